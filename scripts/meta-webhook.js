@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * Send Meta WhatsApp webhooks to a local server, signed like Meta signs them
+ * (x-hub-signature-256 = HMAC-SHA256 of the raw body with META_APP_SECRET).
+ * The payload builders are also used by scripts/mock-graph-api.js for status callbacks.
+ *
+ * Usage: node scripts/meta-webhook.js <type> [args] [options]
+ *   text "Hello"                       Text message
+ *   button "Book a Demo" [--id btn_1]  Reply button click
+ *   list "Pricing" [--id row_pricing]  List selection
+ *   image|document|audio|video [caption] [--media-id image-1]
+ *                                      Media message (served by mock-graph-api.js)
+ *   location [name]                    Location pin
+ *   ad "Hi, I saw your ad"             Text message from a Click-to-WhatsApp ad
+ *   status <wamid> sent|delivered|read|failed [--error 131026]
+ *                                      Status update for a message we sent
+ *
+ * Options:
+ *   --from 919876543210          Customer number (default)
+ *   --name "Test Customer"       Customer profile name
+ *   --phone-number-id <id>       Business number (default META_PHONE_NUMBER_ID)
+ *   --url <url>                  Webhook URL (default http://localhost:$PORT/webhook/whatsapp)
+ *   --secret <secret>            App secret (default META_APP_SECRET)
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Meta error codes for failed statuses, with their titles
+export const META_ERRORS = {
+  131026: 'Message undeliverable',
+  131047: 'Re-engagement message',
+  131049: 'This message was not delivered to maintain healthy ecosystem engagement.',
+  131051: 'Unsupported message type',
+  130429: 'Rate limit hit',
+  131056: '(Business Account, Consumer Account) pair rate limit hit',
+  80007: 'Rate limit issues',
+  132001: 'Template name does not exist in the translation',
+  190: 'Invalid OAuth access token',
+  131000: 'Something went wrong'
+};
+
+/**
+ * A wamid in Meta's format (base64 of the recipient and a random message key)
+ * @param {string} phone - Customer number the message is to/from
+ * @returns {string} wamid
+ */
+export function createWamid(phone) {
+  const key = crypto.randomBytes(10).toString('hex').toUpperCase();
+  return `wamid.${Buffer.from(`\u0018\u000c${phone}\u0015\u0002\u0000\u0012\u0018\u0014${key}\u0000`).toString('base64')}`;
+}
+
+function unixTimestamp() {
+  return String(Math.floor(Date.now() / 1000));
+}
+
+/**
+ * One inbound message as Meta sends it in value.messages[]
+ * @param {string} type - text, button, list, image, document, audio, video, location or ad
+ * @param {object} options - { from, text, id, mediaId, caption }
+ * @returns {object} Message
+ */
+export function buildInboundMessage(type, { from = '919876543210', text = '', id, mediaId, caption } = {}) {
+  const base = { from, id: createWamid(from), timestamp: unixTimestamp() };
+
+  switch (type) {
+    case 'text':
+      return { ...base, type: 'text', text: { body: text || 'Hello' } };
+    case 'ad':
+      return {
+        ...base,
+        type: 'text',
+        text: { body: text || 'Hi, I saw your ad' },
+        referral: {
+          source_url: 'https://fb.me/mockad',
+          source_id: '120210000000001',
+          source_type: 'ad',
+          headline: 'Automate your WhatsApp leads',
+          body: 'Book a free demo',
+          media_type: 'image',
+          image_url: 'https://scontent.example/ad.jpg',
+          ctwa_clid: `ARA${crypto.randomBytes(8).toString('hex')}`
+        }
+      };
+    case 'button':
+      return {
+        ...base,
+        type: 'interactive',
+        interactive: { type: 'button_reply', button_reply: { id: id || 'btn_1_learn_more', title: text || 'Learn More' } }
+      };
+    case 'list':
+      return {
+        ...base,
+        type: 'interactive',
+        interactive: { type: 'list_reply', list_reply: { id: id || 'row_1', title: text || 'Pricing' } }
+      };
+    case 'image':
+    case 'document':
+    case 'audio':
+    case 'video': {
+      const media = { id: mediaId || `${type}-${crypto.randomBytes(4).toString('hex')}`, mime_type: MOCK_MEDIA[type].mimeType, sha256: 'mock' };
+      if (caption && type !== 'audio') media.caption = caption;
+      if (type === 'document') media.filename = 'brochure.pdf';
+      if (type === 'audio') media.voice = true;
+      return { ...base, type, [type]: media };
+    }
+    case 'location':
+      return { ...base, type: 'location', location: { latitude: 12.9716, longitude: 77.5946, name: text || 'MG Road', address: 'Bengaluru' } };
+    default:
+      throw new Error(`Unknown message type '${type}'`);
+  }
+}
+
+/**
+ * Fake files for media IDs, by type (the prefix of the media ID)
+ */
+export const MOCK_MEDIA = {
+  image: {
+    mimeType: 'image/png',
+    // 1x1 transparent PNG
+    body: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64')
+  },
+  document: {
+    mimeType: 'application/pdf',
+    body: Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n')
+  },
+  audio: {
+    mimeType: 'audio/ogg',
+    body: Buffer.concat([Buffer.from('OggS'), Buffer.alloc(60)])
+  },
+  video: {
+    mimeType: 'video/mp4',
+    body: Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypmp42'), Buffer.alloc(12)])
+  }
+};
+
+function envelope(value, { phoneNumberId, displayPhoneNumber, field = 'messages' }) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: process.env.META_WABA_ID || '102290129340398',
+      changes: [{
+        field,
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: displayPhoneNumber || '15550000000', phone_number_id: phoneNumberId },
+          ...value
+        }
+      }]
+    }]
+  };
+}
+
+/**
+ * Webhook body for an inbound message
+ * @param {object} message - From buildInboundMessage()
+ * @param {object} options - { phoneNumberId, displayPhoneNumber, name }
+ * @returns {object} Webhook payload
+ */
+export function buildMessageWebhook(message, { phoneNumberId, displayPhoneNumber, name = 'Test Customer' } = {}) {
+  return envelope({
+    contacts: [{ profile: { name }, wa_id: message.from }],
+    messages: [message]
+  }, { phoneNumberId, displayPhoneNumber });
+}
+
+/**
+ * Webhook body for a status update on a message we sent
+ * @param {object} status - { wamid, recipient, status, errorCode }
+ * @param {object} options - { phoneNumberId, displayPhoneNumber }
+ * @returns {object} Webhook payload
+ */
+export function buildStatusWebhook({ wamid, recipient = '919876543210', status, errorCode }, { phoneNumberId, displayPhoneNumber } = {}) {
+  const item = {
+    id: wamid,
+    status,
+    timestamp: unixTimestamp(),
+    recipient_id: recipient
+  };
+
+  if (status === 'sent' || status === 'delivered') {
+    item.conversation = { id: crypto.randomBytes(16).toString('hex'), origin: { type: 'service' } };
+    item.pricing = { billable: true, pricing_model: 'CBP', category: 'service' };
+  }
+  if (status === 'failed') {
+    const code = Number(errorCode) || 131026;
+    item.errors = [{
+      code,
+      title: META_ERRORS[code] || 'Error',
+      message: META_ERRORS[code] || 'Error',
+      error_data: { details: `Mock failure ${code}` }
+    }];
+  }
+
+  return envelope({ statuses: [item] }, { phoneNumberId, displayPhoneNumber });
+}
+
+/**
+ * x-hub-signature-256 header value for a raw body
+ * @param {string|Buffer} rawBody - Exact bytes being sent
+ * @param {string} appSecret - META_APP_SECRET
+ * @returns {string} 'sha256=<hex>'
+ */
+export function signPayload(rawBody, appSecret) {
+  return `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`;
+}
+
+/**
+ * POST a signed webhook
+ * @param {object} payload - Webhook payload
+ * @param {object} options - { url, appSecret }
+ * @returns {Promise<object>} { status, body }
+ */
+export async function sendWebhook(payload, { url, appSecret }) {
+  const rawBody = JSON.stringify(payload);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-hub-signature-256': signPayload(rawBody, appSecret)
+    },
+    body: rawBody
+  });
+
+  const text = await response.text();
+  let body = text;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Not JSON - keep the text
+  }
+  return { status: response.status, body };
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+async function main() {
+  dotenv.config({ path: join(__dirname, '..', '.env.local') });
+  dotenv.config({ path: join(__dirname, '..', '.env') });
+
+  const { positional: [type, ...args], options } = parseArgs(process.argv.slice(2));
+  if (!type) {
+    console.error('Usage: node scripts/meta-webhook.js <text|button|list|image|document|audio|video|location|ad|status> [args] [options]');
+    process.exit(1);
+  }
+
+  const appSecret = options.secret || process.env.META_APP_SECRET;
+  if (!appSecret) {
+    console.error('META_APP_SECRET (or --secret) is required to sign the webhook');
+    process.exit(1);
+  }
+
+  const url = options.url || `http://localhost:${process.env.PORT || 3001}/webhook/whatsapp`;
+  const numberOptions = {
+    phoneNumberId: options['phone-number-id'] || process.env.META_PHONE_NUMBER_ID || '123456789',
+    displayPhoneNumber: options['display-number']
+  };
+  const from = options.from || '919876543210';
+
+  let payload;
+  if (type === 'status') {
+    const [wamid, status = 'delivered'] = args;
+    if (!wamid) {
+      console.error('Usage: node scripts/meta-webhook.js status <wamid> sent|delivered|read|failed [--error 131026]');
+      process.exit(1);
+    }
+    payload = buildStatusWebhook({ wamid, recipient: from, status, errorCode: options.error }, numberOptions);
+  } else {
+    const text = args.join(' ');
+    const message = buildInboundMessage(type, { from, text, caption: text, id: options.id, mediaId: options['media-id'] });
+    payload = buildMessageWebhook(message, { ...numberOptions, name: options.name });
+  }
+
+  const result = await sendWebhook(payload, { url, appSecret });
+  console.log(JSON.stringify({ sent: payload, response: result }, null, 2));
+  process.exit(result.status >= 200 && result.status < 300 ? 0 : 1);
+}
+
+if (process.argv[1] === __filename) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
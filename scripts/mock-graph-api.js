@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Local mock of the Meta Graph API for offline development.
+ * Point the backend at it with META_GRAPH_API_URL=http://localhost:4010
+ * Run with: node scripts/mock-graph-api.js
+ *
+ * Graph endpoints:
+ *   POST /:version/:phoneNumberId/messages      Records the send, returns a wamid
+ *   GET  /:version/:wabaId/message_templates    Sample templates for /api/templates/sync
+ *   GET  /:version/:mediaId                     Media info, url points at /mock/media/:mediaId
+ *
+ * Control endpoints:
+ *   GET    /mock/messages[?to=919876543210]     Messages sent so far
+ *   DELETE /mock/messages                       Forget them
+ *   POST   /mock/errors { code, count, to }     Fail the next `count` sends (optionally to one number)
+ *   DELETE /mock/errors                         Clear queued failures
+ *   GET    /mock/media/:mediaId                 Fake file, typed by the ID prefix (image-, document-, audio-, video-)
+ *
+ * When META_APP_SECRET is set, each send is followed by signed sent/delivered/read
+ * status webhooks to MOCK_WEBHOOK_URL (MOCK_STATUS_WEBHOOKS=false to turn off).
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  META_ERRORS,
+  MOCK_MEDIA,
+  createWamid,
+  buildStatusWebhook,
+  sendWebhook
+} from './meta-webhook.js';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '..', '.env.local') });
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const port = parseInt(process.env.MOCK_GRAPH_PORT || '4010', 10);
+const webhookUrl = process.env.MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3001}/webhook/whatsapp`;
+const appSecret = process.env.META_APP_SECRET;
+const statusWebhooks = process.env.MOCK_STATUS_WEBHOOKS !== 'false' && Boolean(appSecret);
+const statusDelayMs = parseInt(process.env.MOCK_STATUS_DELAY_MS || '1000', 10);
+
+// HTTP status and error type Meta uses for each code
+const ERROR_RESPONSES = {
+  190: { httpStatus: 401, type: 'OAuthException' },
+  80007: { httpStatus: 400, type: 'OAuthException' },
+  130429: { httpStatus: 400, type: 'OAuthException' },
+  131000: { httpStatus: 500, type: 'OAuthException' },
+  131026: { httpStatus: 400, type: 'OAuthException' },
+  131047: { httpStatus: 400, type: 'OAuthException' },
+  131051: { httpStatus: 400, type: 'OAuthException' },
+  131056: { httpStatus: 400, type: 'OAuthException' },
+  132001: { httpStatus: 404, type: 'OAuthException' }
+};
+
+const SAMPLE_TEMPLATES = [
+  {
+    id: '1000000000000001',
+    name: 'hello_world',
+    language: 'en_US',
+    category: 'UTILITY',
+    status: 'APPROVED',
+    parameter_format: 'POSITIONAL',
+    components: [
+      { type: 'HEADER', format: 'TEXT', text: 'Hello World' },
+      { type: 'BODY', text: 'Welcome and congratulations!! This message demonstrates your ability to send a WhatsApp message notification from the Cloud API.' },
+      { type: 'FOOTER', text: 'WhatsApp Business Platform sample message' }
+    ]
+  },
+  {
+    id: '1000000000000002',
+    name: 'booking_reminder',
+    language: 'en',
+    category: 'UTILITY',
+    status: 'APPROVED',
+    parameter_format: 'POSITIONAL',
+    components: [
+      { type: 'BODY', text: 'Hi {{1}}, your demo is on {{2}} at {{3}}.' },
+      { type: 'BUTTONS', buttons: [{ type: 'QUICK_REPLY', text: 'Reschedule' }] }
+    ]
+  },
+  {
+    id: '1000000000000003',
+    name: 'spring_offer',
+    language: 'en',
+    category: 'MARKETING',
+    status: 'PENDING',
+    parameter_format: 'NAMED',
+    components: [{ type: 'BODY', text: 'Hi {{first_name}}, our spring offer is live!' }]
+  }
+];
+
+const sentMessages = [];
+const queuedErrors = [];
+
+function graphError(res, code, details) {
+  const { httpStatus, type } = ERROR_RESPONSES[code] || { httpStatus: 400, type: 'OAuthException' };
+  res.status(httpStatus).json({
+    error: {
+      message: `(#${code}) ${META_ERRORS[code] || 'Error'}`,
+      type,
+      code,
+      error_data: {
+        messaging_product: 'whatsapp',
+        details: details || META_ERRORS[code] || 'Error'
+      },
+      fbtrace_id: crypto.randomBytes(9).toString('base64')
+    }
+  });
+}
+
+function takeQueuedError(to) {
+  const index = queuedErrors.findIndex(entry => !entry.to || entry.to === to);
+  if (index === -1) return null;
+
+  const entry = queuedErrors[index];
+  entry.count -= 1;
+  if (entry.count <= 0) {
+    queuedErrors.splice(index, 1);
+  }
+  return entry.code;
+}
+
+function mediaType(mediaId) {
+  const prefix = String(mediaId).split(/[-_]/)[0];
+  return MOCK_MEDIA[prefix] ? prefix : 'image';
+}
+
+function scheduleStatusWebhooks(phoneNumberId, to, wamid) {
+  if (!statusWebhooks) return;
+
+  ['sent', 'delivered', 'read'].forEach((status, index) => {
+    setTimeout(() => {
+      const payload = buildStatusWebhook({ wamid, recipient: to, status }, { phoneNumberId });
+      sendWebhook(payload, { url: webhookUrl, appSecret })
+        .then(result => console.log(`↪ ${status} ${wamid} → ${result.status}`))
+        .catch(error => console.warn(`↪ ${status} webhook failed: ${error.message}`));
+    }, statusDelayMs * (index + 1));
+  });
+}
+
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+
+// Control endpoints
+
+app.get('/mock/messages', (req, res) => {
+  const messages = req.query.to
+    ? sentMessages.filter(message => message.to === req.query.to)
+    : sentMessages;
+  res.json({ count: messages.length, messages });
+});
+
+app.delete('/mock/messages', (req, res) => {
+  sentMessages.length = 0;
+  res.json({ status: 'cleared' });
+});
+
+app.post('/mock/errors', (req, res) => {
+  const code = Number(req.body?.code);
+  if (!code) {
+    return res.status(400).json({ error: 'code is required', codes: META_ERRORS });
+  }
+
+  queuedErrors.push({ code, count: Number(req.body.count) || 1, to: req.body.to || null });
+  res.json({ status: 'queued', errors: queuedErrors });
+});
+
+app.delete('/mock/errors', (req, res) => {
+  queuedErrors.length = 0;
+  res.json({ status: 'cleared' });
+});
+
+app.get('/mock/media/:mediaId', (req, res) => {
+  const media = MOCK_MEDIA[mediaType(req.params.mediaId)];
+  res.set('Content-Type', media.mimeType).send(media.body);
+});
+
+// Graph API endpoints
+
+app.use('/:version', (req, res, next) => {
+  if (!/^Bearer .+/.test(req.get('authorization') || '')) {
+    return graphError(res, 190, 'Missing access token');
+  }
+  next();
+});
+
+app.post('/:version/:phoneNumberId/messages', (req, res) => {
+  const body = req.body || {};
+
+  // Mark as read / typing indicator
+  if (body.status === 'read') {
+    return res.json({ success: true });
+  }
+
+  if (body.messaging_product !== 'whatsapp' || !body.to || !body.type) {
+    return graphError(res, 131000, 'messaging_product, to and type are required');
+  }
+
+  const code = takeQueuedError(body.to);
+  if (code) {
+    console.log(`✗ ${body.type} to ${body.to} → ${code}`);
+    return graphError(res, code);
+  }
+
+  const wamid = createWamid(body.to);
+  sentMessages.push({
+    wamid,
+    phoneNumberId: req.params.phoneNumberId,
+    to: body.to,
+    type: body.type,
+    payload: body,
+    sentAt: new Date().toISOString()
+  });
+  console.log(`✓ ${body.type} to ${body.to} (${wamid})`);
+
+  scheduleStatusWebhooks(req.params.phoneNumberId, body.to, wamid);
+
+  res.json({
+    messaging_product: 'whatsapp',
+    contacts: [{ input: body.to, wa_id: body.to }],
+    messages: [{ id: wamid, ...(body.type === 'template' ? { message_status: 'accepted' } : {}) }]
+  });
+});
+
+app.get('/:version/:wabaId/message_templates', (req, res) => {
+  res.json({ data: SAMPLE_TEMPLATES, paging: { cursors: { before: 'MAZDZD', after: 'MjQZD' } } });
+});
+
+app.get('/:version/:mediaId', (req, res) => {
+  const { mediaId } = req.params;
+  const media = MOCK_MEDIA[mediaType(mediaId)];
+
+  res.json({
+    messaging_product: 'whatsapp',
+    url: `${req.protocol}://${req.get('host')}/mock/media/${encodeURIComponent(mediaId)}`,
+    mime_type: media.mimeType,
+    sha256: crypto.createHash('sha256').update(media.body).digest('hex'),
+    file_size: media.body.length,
+    id: mediaId
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock Graph API listening on http://localhost:${port}`);
+  console.log(statusWebhooks
+    ? `Status webhooks → ${webhookUrl}`
+    : 'Status webhooks off (set META_APP_SECRET to enable)');
+});
@@ -0,0 +1,75 @@
+import {
+  extractReferral,
+  applyReferralAttribution,
+  aggregateAttribution,
+  hasBooking
+} from '../services/attributionService.js';
+
+describe('Attribution Service', () => {
+  const referral = {
+    source_url: 'https://fb.me/abc123',
+    source_id: '120210000000001',
+    source_type: 'ad',
+    headline: 'Automate your WhatsApp leads',
+    body: 'Book a free demo',
+    media_type: 'image',
+    image_url: 'https://scontent.example/ad.jpg',
+    ctwa_clid: 'ARAkLkA8rmlFeiCktEJQ'
+  };
+
+  test('extractReferral should keep Meta referral fields and ignore messages without one', () => {
+    expect(extractReferral({ type: 'text', referral })).toEqual(referral);
+    expect(extractReferral({ type: 'text', text: { body: 'Hi' } })).toBeNull();
+    expect(extractReferral({ referral: { headline: 'No source' } })).toBeNull();
+  });
+
+  test('applyReferralAttribution should keep the first touch and move the last touch', () => {
+    let context = applyReferralAttribution({ web: { booking_status: 'pending' } }, referral, {
+      brand: 'proxe',
+      capturedAt: '2025-01-01T10:00:00.000Z'
+    });
+    context = applyReferralAttribution(context, { ...referral, source_id: '120210000000002' }, {
+      brand: 'proxe',
+      capturedAt: '2025-02-01T10:00:00.000Z'
+    });
+
+    expect(context.web).toEqual({ booking_status: 'pending' });
+    expect(context.attribution.first_touch).toEqual(expect.objectContaining({
+      source_id: '120210000000001',
+      channel: 'whatsapp',
+      captured_at: '2025-01-01T10:00:00.000Z'
+    }));
+    expect(context.attribution.last_touch.source_id).toBe('120210000000002');
+    expect(context.attribution.touch_count).toBe(2);
+  });
+
+  test('aggregateAttribution should count leads and bookings per ad', () => {
+    const touch = (sourceId, capturedAt) => ({ attribution: { first_touch: { source_id: sourceId, source_type: 'ad', captured_at: capturedAt } } });
+    const leads = [
+      { id: '1', brand: 'proxe', unified_context: { ...touch('ad-a', '2025-01-02T00:00:00.000Z'), web: { booking_status: 'confirmed' } } },
+      { id: '2', brand: 'proxe', unified_context: touch('ad-a', '2025-01-01T00:00:00.000Z') },
+      { id: '3', brand: 'windchasers', unified_context: { ...touch('ad-b', '2025-01-03T00:00:00.000Z'), whatsapp: { booking_date: '2025-01-10' } } },
+      { id: '4', brand: 'proxe', unified_context: {} }
+    ];
+
+    const [adA, adB] = aggregateAttribution(leads);
+
+    expect(adA).toEqual(expect.objectContaining({
+      source_id: 'ad-a',
+      leads: 2,
+      bookings: 1,
+      booking_rate: 0.5,
+      first_lead_at: '2025-01-01T00:00:00.000Z',
+      last_lead_at: '2025-01-02T00:00:00.000Z'
+    }));
+    expect(adB).toEqual(expect.objectContaining({ source_id: 'ad-b', leads: 1, bookings: 1, brands: ['windchasers'] }));
+  });
+
+  test('hasBooking should see web bookings and demo calls booked over WhatsApp', () => {
+    expect(hasBooking({ web: { booking_status: 'confirmed' } })).toBe(true);
+    // Written by customerService.updateLeadBooking
+    expect(hasBooking({ booking_status: 'confirmed', booking_date: '2025-03-11', booking_time: '18:00' })).toBe(true);
+    expect(hasBooking({ web: { user_inputs: ['hi'] } })).toBe(false);
+    expect(hasBooking(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+import {
+  getWhatsAppNumbers,
+  resolveWhatsAppNumber,
+  getWhatsAppNumberForBrand
+} from '../config/brands.js';
+
+describe('Brand / WhatsApp number registry', () => {
+  beforeEach(() => {
+    process.env.META_PHONE_NUMBER_ID = '111';
+    process.env.META_ACCESS_TOKEN = 'proxe-token';
+    process.env.WINDCHASERS_META_ACCESS_TOKEN = 'windchasers-token';
+    process.env.WHATSAPP_NUMBERS = JSON.stringify([
+      {
+        phoneNumberId: '222',
+        displayPhoneNumber: '+91 98765 43210',
+        brand: 'windchasers',
+        accessTokenEnv: 'WINDCHASERS_META_ACCESS_TOKEN',
+        welcomeMessage: 'Welcome to Windchasers!',
+        welcomeButtons: ['Courses']
+      }
+    ]);
+  });
+
+  afterEach(() => {
+    delete process.env.WHATSAPP_NUMBERS;
+    delete process.env.META_PHONE_NUMBER_ID;
+    delete process.env.META_ACCESS_TOKEN;
+    delete process.env.WINDCHASERS_META_ACCESS_TOKEN;
+  });
+
+  test('should register WHATSAPP_NUMBERS plus the META_* default number', () => {
+    const numbers = getWhatsAppNumbers();
+
+    expect(numbers).toHaveLength(2);
+    expect(getWhatsAppNumberForBrand('proxe')).toEqual(expect.objectContaining({
+      phoneNumberId: '111',
+      accessToken: 'proxe-token',
+      promptKey: 'proxe',
+      welcomeButtons: ['Learn More']
+    }));
+  });
+
+  test('should resolve by phone_number_id with the number\'s own token', () => {
+    const number = resolveWhatsAppNumber({ phoneNumberId: '222' });
+
+    expect(number).toEqual(expect.objectContaining({
+      brand: 'windchasers',
+      accessToken: 'windchasers-token',
+      promptKey: 'windchasers',
+      welcomeMessage: 'Welcome to Windchasers!',
+      welcomeButtons: ['Courses']
+    }));
+  });
+
+  test('should resolve by display phone number', () => {
+    expect(resolveWhatsAppNumber({ displayPhoneNumber: '919876543210' }).brand).toBe('windchasers');
+  });
+
+  test('should fall back to the default number for unknown numbers', () => {
+    expect(resolveWhatsAppNumber({ phoneNumberId: '999' }).phoneNumberId).toBe('111');
+  });
+
+  test('should ignore invalid WHATSAPP_NUMBERS JSON', () => {
+    process.env.WHATSAPP_NUMBERS = '{not json';
+
+    const numbers = getWhatsAppNumbers();
+    expect(numbers).toHaveLength(1);
+    expect(numbers[0].brand).toBe('proxe');
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  matchesAudience,
+  buildCampaignMessage,
+  scheduleSendTimes,
+  nextRecipientStatus
+} from '../services/campaignService.js';
+
+describe('Campaign Service', () => {
+  const lead = {
+    id: 'lead-1',
+    customer_name: 'Asha Rao',
+    phone: '919876543210',
+    email: 'asha@example.com',
+    brand: 'proxe',
+    first_touchpoint: 'web',
+    last_touchpoint: 'whatsapp',
+    last_interaction_at: '2026-05-10T10:00:00.000Z',
+    unified_context: { tags: ['Hot', 'demo'], whatsapp: { booking_status: 'confirmed' } }
+  };
+
+  test('matchesAudience should apply every filter in the audience', () => {
+    expect(matchesAudience(lead, {}, 'proxe')).toBe(true);
+    expect(matchesAudience(lead, {}, 'windchasers')).toBe(false);
+    expect(matchesAudience({ ...lead, phone: null }, {}, 'proxe')).toBe(false);
+
+    expect(matchesAudience(lead, { firstTouchpoint: ['web', 'facebook'], lastTouchpoint: ['whatsapp'] }, 'proxe')).toBe(true);
+    expect(matchesAudience(lead, { lastTouchpoint: ['web'] }, 'proxe')).toBe(false);
+
+    expect(matchesAudience(lead, { booking: 'booked' }, 'proxe')).toBe(true);
+    expect(matchesAudience(lead, { booking: 'not_booked' }, 'proxe')).toBe(false);
+
+    expect(matchesAudience(lead, { tags: ['hot'] }, 'proxe')).toBe(true);
+    expect(matchesAudience(lead, { tags: ['hot', 'pricing'] }, 'proxe')).toBe(false);
+
+    expect(matchesAudience(lead, { lastInteractionAfter: '2026-05-01T00:00:00.000Z' }, 'proxe')).toBe(true);
+    expect(matchesAudience(lead, { lastInteractionBefore: '2026-05-01T00:00:00.000Z' }, 'proxe')).toBe(false);
+    expect(matchesAudience({ ...lead, last_interaction_at: null }, { lastInteractionAfter: '2026-05-01T00:00:00.000Z' }, 'proxe')).toBe(false);
+  });
+
+  test('buildCampaignMessage should fill template parameters per lead', () => {
+    const campaign = {
+      brand: 'proxe',
+      template: { name: 'spring_offer', language: 'en', parameters: ['{{first_name}}', '{{offer}}'] },
+      variables: { offer: '20% off' }
+    };
+
+    expect(buildCampaignMessage(campaign, lead)).toEqual({
+      type: 'template',
+      name: 'spring_offer',
+      language: 'en',
+      parameters: [{ type: 'text', text: 'Asha' }, { type: 'text', text: '20% off' }]
+    });
+  });
+
+  test('scheduleSendTimes should space recipients to the campaign rate', () => {
+    const start = Date.parse('2026-06-01T09:00:00.000Z');
+    expect(scheduleSendTimes(3, start, 2)).toEqual([
+      '2026-06-01T09:00:00.000Z',
+      '2026-06-01T09:00:00.500Z',
+      '2026-06-01T09:00:01.000Z'
+    ]);
+  });
+
+  test('nextRecipientStatus should only move forward', () => {
+    expect(nextRecipientStatus('sent', 'delivered')).toBe('delivered');
+    expect(nextRecipientStatus('read', 'delivered')).toBe('read');
+    expect(nextRecipientStatus('replied', 'read')).toBe('replied');
+    expect(nextRecipientStatus('pending', 'accepted')).toBe('sent');
+    expect(nextRecipientStatus('sent', 'failed')).toBe('failed');
+    expect(nextRecipientStatus('skipped', 'delivered')).toBe('skipped');
+  });
+
+  test('nextRecipientStatus should let failed replace delivered and keep it', () => {
+    expect(nextRecipientStatus('delivered', 'failed')).toBe('failed');
+    expect(nextRecipientStatus('failed', 'delivered')).toBe('failed');
+    expect(nextRecipientStatus('failed', 'read')).toBe('failed');
+  });
+});
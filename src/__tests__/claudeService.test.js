@@ -0,0 +1,33 @@
+import { parseResponse } from '../services/claudeService.js';
+import { getButtonCatalogue } from '../prompts/index.js';
+
+describe('Claude Service', () => {
+  const catalogue = getButtonCatalogue('proxe');
+
+  test('parseResponse should turn a catalogue BUTTON marker into a reply button', () => {
+    const parsed = parseResponse('PROXe captures every lead and keeps them warm.\n\n→ BUTTON: [Book Demo]', catalogue);
+
+    expect(parsed).toMatchObject({
+      text: 'PROXe captures every lead and keeps them warm.',
+      responseType: 'text_with_buttons',
+      buttons: ['Book Demo']
+    });
+    expect(parseResponse('Plans start at $99/month. → BUTTON: "view plans".', catalogue).buttons).toEqual(['View Plans']);
+  });
+
+  test('parseResponse should drop unknown, malformed and extra suggestions', () => {
+    expect(parseResponse('Sure!\n→ BUTTON: [Buy Now]', catalogue)).toMatchObject({
+      text: 'Sure!',
+      responseType: 'text_only',
+      buttons: []
+    });
+    expect(parseResponse('Sure!\n→ BUTTON: []', catalogue).buttons).toEqual([]);
+    expect(parseResponse('Sure!\n→ BUTTON: [See Demo]\n→ BUTTON: [Book Demo]', catalogue).buttons).toEqual(['See Demo']);
+    expect(parseResponse('No marker here', catalogue).responseType).toBe('text_only');
+  });
+
+  test('getButtonCatalogue should fall back to the PROXe buttons for unknown prompts', () => {
+    expect(catalogue).toContain('Talk to Team');
+    expect(getButtonCatalogue('unknown-brand')).toEqual(catalogue);
+  });
+});
@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+
+// Stand-ins for the all_leads lookup, the customer's session, the template registry and the send to Meta
+const leadRows = { data: [], error: null };
+const leadFilters = [];
+const leadQuery = {
+  select: () => leadQuery,
+  eq: (column, value) => {
+    leadFilters.push([column, value]);
+    return leadQuery;
+  },
+  limit: async () => leadRows
+};
+const getWhatsAppSessionByExternalId = jest.fn();
+const checkTemplateSend = jest.fn();
+const dispatchSend = jest.fn();
+
+jest.unstable_mockModule('../config/supabase.js', () => ({ supabase: { from: () => leadQuery } }));
+jest.unstable_mockModule('../services/whatsappSessionService.js', () => ({ getWhatsAppSessionByExternalId }));
+jest.unstable_mockModule('../services/templateService.js', () => ({ checkTemplateSend }));
+jest.unstable_mockModule('../services/outboundDispatcher.js', () => ({ dispatchSend }));
+
+const {
+  matchConsentKeyword,
+  getConsentChange,
+  getConsentConfirmation,
+  assertCanMessage
+} = await import('../services/consentService.js');
+const { sendMessage } = await import('../services/whatsappClient.js');
+
+describe('Consent Service', () => {
+  const optedOut = { id: 'lead-1', consent_status: 'opted_out', consent_source: 'whatsapp_keyword' };
+
+  test('matchConsentKeyword should match keywords on their own, in any case or script', () => {
+    expect(matchConsentKeyword('STOP')).toBe('opted_out');
+    expect(matchConsentKeyword('  Stop! ')).toBe('opted_out');
+    expect(matchConsentKeyword('बंद करो')).toBe('opted_out');
+    expect(matchConsentKeyword('Start')).toBe('opted_in');
+    expect(matchConsentKeyword('stop sending brochures, just call me')).toBeNull();
+    expect(matchConsentKeyword('')).toBeNull();
+  });
+
+  test('getConsentChange should only opt in a lead who opted out', () => {
+    const newLead = { id: 'lead-2', consent_status: null };
+
+    expect(getConsentChange('Start', newLead)).toBeNull();
+    expect(getConsentChange('subscribe', { ...newLead, consent_status: 'opted_in' })).toBeNull();
+    expect(getConsentChange('शुरू', newLead)).toBeNull();
+    expect(getConsentChange('Start', optedOut)).toBe('opted_in');
+    expect(getConsentChange('STOP', newLead)).toBe('opted_out');
+  });
+
+  test('matchConsentKeyword and getConsentConfirmation should use the brand config', () => {
+    const whatsappNumber = { consent: { optOutKeywords: ['Alto'], optOutMessage: 'Listo, no más mensajes.' } };
+
+    expect(matchConsentKeyword('alto', whatsappNumber)).toBe('opted_out');
+    expect(matchConsentKeyword('alto')).toBeNull();
+    expect(getConsentConfirmation('opted_out', whatsappNumber)).toBe('Listo, no más mensajes.');
+    expect(getConsentConfirmation('opted_in', whatsappNumber)).toMatch(/subscribed again/);
+  });
+
+  test('assertCanMessage should only let a person message an opted-out lead free-form', () => {
+    expect(() => assertCanMessage(optedOut, { message: { type: 'template', name: 'spring_offer' }, sender: 'agent' }))
+      .toThrow(expect.objectContaining({ statusCode: 403, code: 'OPTED_OUT' }));
+    expect(() => assertCanMessage(optedOut, { message: { type: 'text', text: 'Following up' }, sender: 'agent' })).toThrow();
+    expect(() => assertCanMessage(optedOut, { message: { type: 'template', name: 'spring_offer' }, sender: 'human' })).toThrow();
+    expect(() => assertCanMessage(optedOut, { message: { type: 'text', text: 'Sure, here you go' }, sender: 'human' })).not.toThrow();
+    expect(() => assertCanMessage({ id: 'lead-2', consent_status: null }, { message: { type: 'template', name: 'spring_offer' }, sender: 'agent' })).not.toThrow();
+  });
+
+  describe('template sends through the WhatsApp client', () => {
+    const credentials = { phoneNumberId: '111', accessToken: 'token' };
+
+    beforeEach(() => {
+      leadRows.data = [optedOut];
+      leadFilters.length = 0;
+      getWhatsAppSessionByExternalId.mockReset();
+      dispatchSend.mockReset().mockResolvedValue({ wamid: 'wamid.OUT1' });
+    });
+
+    test('should refuse a template to an opted-out recipient', async () => {
+      await expect(sendMessage('919876543210', { type: 'template', name: 'spring_offer', language: 'en' }, credentials))
+        .rejects.toMatchObject({ statusCode: 403, code: 'OPTED_OUT', details: { leadId: 'lead-1' } });
+
+      expect(leadFilters).toContainEqual(['customer_phone_normalized', '9876543210']);
+      expect(leadFilters).toContainEqual(['consent_status', 'opted_out']);
+      expect(dispatchSend).not.toHaveBeenCalled();
+    });
+
+    test('should refuse the window template fallback to an opted-out recipient', async () => {
+      getWhatsAppSessionByExternalId.mockResolvedValue({ last_inbound_at: '2026-01-01T00:00:00.000Z' });
+
+      await expect(sendMessage('919876543210', { type: 'text', text: 'Just checking in' }, credentials, {
+        brand: 'proxe',
+        template: { name: 'follow_up', language: 'en' }
+      })).rejects.toMatchObject({ code: 'OPTED_OUT' });
+      expect(dispatchSend).not.toHaveBeenCalled();
+    });
+
+    test('should send a template to a recipient who has not opted out', async () => {
+      leadRows.data = [];
+
+      await expect(sendMessage('919876543210', { type: 'template', name: 'spring_offer', language: 'en' }, credentials))
+        .resolves.toMatchObject({ wamid: 'wamid.OUT1', template: 'spring_offer' });
+      expect(dispatchSend).toHaveBeenCalledTimes(1);
+    });
+  });
+});
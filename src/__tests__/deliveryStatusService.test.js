@@ -0,0 +1,69 @@
+import { applyDeliveryTransition } from '../services/deliveryStatusService.js';
+
+describe('Delivery Status Service', () => {
+  test('should advance through sent, delivered and read with timestamps', () => {
+    let delivery = applyDeliveryTransition({}, { status: 'accepted', timestamp: '2025-01-01T10:00:00.000Z' });
+    delivery = applyDeliveryTransition(delivery, { status: 'sent', timestamp: '2025-01-01T10:00:01.000Z' });
+    delivery = applyDeliveryTransition(delivery, { status: 'delivered', timestamp: '2025-01-01T10:00:02.000Z' });
+    delivery = applyDeliveryTransition(delivery, { status: 'read', timestamp: '2025-01-01T10:05:00.000Z' });
+
+    expect(delivery).toEqual(expect.objectContaining({
+      status: 'read',
+      accepted_at: '2025-01-01T10:00:00.000Z',
+      sent_at: '2025-01-01T10:00:01.000Z',
+      delivered_at: '2025-01-01T10:00:02.000Z',
+      read_at: '2025-01-01T10:05:00.000Z',
+      errors: []
+    }));
+  });
+
+  test('should not move backwards when statuses arrive out of order', () => {
+    let delivery = applyDeliveryTransition({}, { status: 'read', timestamp: '2025-01-01T10:05:00.000Z' });
+    delivery = applyDeliveryTransition(delivery, { status: 'sent', timestamp: '2025-01-01T10:00:01.000Z' });
+    delivery = applyDeliveryTransition(delivery, { status: 'accepted', timestamp: '2025-01-01T10:06:00.000Z' });
+
+    expect(delivery.status).toBe('read');
+    expect(delivery.sent_at).toBe('2025-01-01T10:00:01.000Z');
+  });
+
+  test('should record failures with Meta error codes', () => {
+    let delivery = applyDeliveryTransition({}, { status: 'sent', timestamp: '2025-01-01T10:00:01.000Z' });
+    delivery = applyDeliveryTransition(delivery, {
+      status: 'failed',
+      timestamp: '2025-01-01T10:00:03.000Z',
+      errors: [{
+        code: 131047,
+        title: 'Re-engagement message',
+        message: 'Re-engagement message',
+        error_data: { details: 'Message failed to send because more than 24 hours have passed' }
+      }]
+    });
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.failed_at).toBe('2025-01-01T10:00:03.000Z');
+    expect(delivery.errors).toEqual([{
+      code: 131047,
+      title: 'Re-engagement message',
+      message: 'Re-engagement message',
+      details: 'Message failed to send because more than 24 hours have passed'
+    }]);
+  });
+
+  test('should keep the first timestamp for a repeated status', () => {
+    let delivery = applyDeliveryTransition({}, { status: 'delivered', timestamp: '2025-01-01T10:00:02.000Z' });
+    delivery = applyDeliveryTransition(delivery, { status: 'delivered', timestamp: '2025-01-01T11:00:00.000Z' });
+
+    expect(delivery.delivered_at).toBe('2025-01-01T10:00:02.000Z');
+  });
+
+  test('failed should replace delivered and stay final', () => {
+    const delivered = applyDeliveryTransition({}, { status: 'delivered', timestamp: '2025-01-01T10:00:02.000Z' });
+    expect(applyDeliveryTransition(delivered, { status: 'failed', timestamp: '2025-01-01T10:00:03.000Z' }).status).toBe('failed');
+
+    const failed = applyDeliveryTransition({}, { status: 'failed', timestamp: '2025-01-01T10:00:03.000Z' });
+    const late = applyDeliveryTransition(failed, { status: 'delivered', timestamp: '2025-01-01T10:00:02.000Z' });
+    expect(late.status).toBe('failed');
+    expect(late.delivered_at).toBe('2025-01-01T10:00:02.000Z');
+    expect(applyDeliveryTransition(late, { status: 'read', timestamp: '2025-01-01T10:05:00.000Z' }).status).toBe('failed');
+  });
+});
@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+import { signPayload, subscriptionMatches } from '../services/eventForwardingService.js';
+
+describe('Event Forwarding Service', () => {
+  const subscription = {
+    active: true,
+    event_types: ['message.status'],
+    brands: ['windchasers'],
+    statuses: ['failed']
+  };
+
+  test('signPayload should produce a verifiable sha256 HMAC header', () => {
+    const body = JSON.stringify({ event: 'message.status', message_id: 'wamid.1', status: 'read' });
+    const expected = crypto.createHmac('sha256', 'secret').update(body).digest('hex');
+
+    expect(signPayload(body, 'secret')).toBe(`sha256=${expected}`);
+  });
+
+  test('subscriptionMatches should apply brand and status filters', () => {
+    expect(subscriptionMatches(subscription, 'message.status', { brand: 'windchasers', status: 'failed' })).toBe(true);
+    expect(subscriptionMatches(subscription, 'message.status', { brand: 'proxe', status: 'failed' })).toBe(false);
+    expect(subscriptionMatches(subscription, 'message.status', { brand: 'windchasers', status: 'read' })).toBe(false);
+  });
+
+  test('subscriptionMatches should treat empty filters as match-all', () => {
+    const catchAll = { active: true, event_types: [], brands: null, statuses: null };
+    expect(subscriptionMatches(catchAll, 'message.status', { brand: 'proxe', status: 'sent' })).toBe(true);
+  });
+
+  test('subscriptionMatches should skip inactive subscriptions and other event types', () => {
+    expect(subscriptionMatches({ ...subscription, active: false }, 'message.status', { brand: 'windchasers', status: 'failed' })).toBe(false);
+    expect(subscriptionMatches(subscription, 'message.received', { brand: 'windchasers', status: 'failed' })).toBe(false);
+  });
+});
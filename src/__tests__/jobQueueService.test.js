@@ -0,0 +1,145 @@
+import {
+  JOB_PRIORITIES,
+  enqueueJob,
+  enqueueJobs,
+  registerJobHandler,
+  drainJobs,
+  getJob,
+  listJobs,
+  replayJob,
+  purgeCompletedJobs,
+  getRetryDelay
+} from '../services/jobQueueService.js';
+
+describe('Job Queue Service (memory driver)', () => {
+  test('enqueueJob should store a pending job', async () => {
+    const job = await enqueueJob('test_pending', { text: 'hello' });
+
+    expect(job).toHaveProperty('id');
+    expect(job).toHaveProperty('status', 'pending');
+    expect(job).toHaveProperty('attempts', 0);
+  });
+
+  test('drainJobs should run the handler and complete the job', async () => {
+    const received = [];
+    registerJobHandler('test_success', async (payload) => {
+      received.push(payload);
+    });
+
+    const job = await enqueueJob('test_success', { text: 'hi' });
+    await drainJobs();
+
+    expect(received).toEqual([{ text: 'hi' }]);
+    expect((await getJob(job.id)).status).toBe('completed');
+  });
+
+  test('failed job should be rescheduled with backoff', async () => {
+    registerJobHandler('test_retry', async () => {
+      throw new Error('Claude unavailable');
+    });
+
+    const job = await enqueueJob('test_retry', {}, { maxAttempts: 3 });
+    await drainJobs();
+
+    const retried = await getJob(job.id);
+    expect(retried.status).toBe('pending');
+    expect(retried.attempts).toBe(1);
+    expect(retried.last_error).toBe('Claude unavailable');
+    expect(new Date(retried.run_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('job should be dead-lettered after max attempts and be replayable', async () => {
+    let calls = 0;
+    registerJobHandler('test_dead', async () => {
+      calls++;
+      if (calls === 1) throw new Error('Supabase timeout');
+    });
+
+    const job = await enqueueJob('test_dead', {}, { maxAttempts: 1 });
+    await drainJobs();
+
+    expect((await getJob(job.id)).status).toBe('dead');
+    const deadJobs = await listJobs({ status: 'dead', type: 'test_dead' });
+    expect(deadJobs).toHaveLength(1);
+
+    await replayJob(job.id);
+    await drainJobs();
+
+    expect((await getJob(job.id)).status).toBe('completed');
+    expect(calls).toBe(2);
+  });
+
+  test('grouped jobs should be merged into one handler call', async () => {
+    const received = [];
+    registerJobHandler('test_group', async (payload) => {
+      received.push(payload);
+    }, {
+      merge: (payloads) => ({ text: payloads.map(p => p.text).join(' / ') })
+    });
+
+    const first = await enqueueJob('test_group', { text: 'hi' }, { groupKey: 'proxe:9198' });
+    const second = await enqueueJob('test_group', { text: 'how much?' }, { groupKey: 'proxe:9198' });
+    await drainJobs();
+
+    expect(received).toEqual([{ text: 'hi / how much?' }]);
+    expect((await getJob(first.id)).status).toBe('completed');
+    expect((await getJob(second.id)).status).toBe('completed');
+  });
+
+  test('debounced job should defer earlier jobs in its group', async () => {
+    registerJobHandler('test_debounce', async () => {}, { merge: (payloads) => payloads[0] });
+
+    const first = await enqueueJob('test_debounce', { text: 'hi' }, { groupKey: 'proxe:9199' });
+    const second = await enqueueJob('test_debounce', { text: 'there' }, { groupKey: 'proxe:9199', debounceMs: 60000 });
+    await drainJobs();
+
+    expect((await getJob(first.id)).status).toBe('pending');
+    expect((await getJob(first.id)).run_at).toBe((await getJob(second.id)).run_at);
+  });
+
+  test('purgeCompletedJobs should delete completed jobs past the retention period', async () => {
+    registerJobHandler('test_purge', async () => {});
+
+    const completed = await enqueueJob('test_purge', {});
+    await drainJobs();
+    const pending = await enqueueJob('test_purge_pending', {});
+
+    // Still within JOB_RETENTION_DAYS (7 by default)
+    await purgeCompletedJobs(Date.now() + 6 * 24 * 60 * 60 * 1000);
+    expect(await getJob(completed.id)).not.toBeNull();
+
+    await purgeCompletedJobs(Date.now() + 8 * 24 * 60 * 60 * 1000);
+    expect(await getJob(completed.id)).toBeNull();
+    expect((await getJob(pending.id)).status).toBe('pending');
+  });
+
+  test('higher priority jobs should be claimed ahead of an earlier bulk backlog', async () => {
+    const order = [];
+    registerJobHandler('test_bulk', async ({ n }) => { order.push(`bulk-${n}`); });
+    registerJobHandler('test_urgent', async () => { order.push('urgent'); });
+
+    const past = new Date(Date.now() - 60000);
+    const bulk = await enqueueJobs('test_bulk', [1, 2, 3, 4, 5, 6].map(n => ({
+      payload: { n },
+      runAt: past,
+      priority: JOB_PRIORITIES.low
+    })));
+    await enqueueJob('test_urgent', {}, { priority: JOB_PRIORITIES.high });
+
+    expect(bulk).toHaveLength(6);
+    expect(bulk[0]).toMatchObject({ type: 'test_bulk', status: 'pending', priority: JOB_PRIORITIES.low });
+
+    // The bulk jobs were due first and fill more than the 5 slots, but the urgent job runs first
+    await drainJobs();
+    expect(order[0]).toBe('urgent');
+
+    await drainJobs();
+    await drainJobs();
+    expect(order).toEqual(['urgent', 'bulk-1', 'bulk-2', 'bulk-3', 'bulk-4', 'bulk-5', 'bulk-6']);
+  });
+
+  test('getRetryDelay should grow exponentially', () => {
+    expect(getRetryDelay(2)).toBe(getRetryDelay(1) * 2);
+    expect(getRetryDelay(3)).toBe(getRetryDelay(1) * 4);
+  });
+});
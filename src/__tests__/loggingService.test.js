@@ -0,0 +1,40 @@
+import { summarisePromptCache } from '../services/loggingService.js';
+import { getSystemPrompt, getSystemPromptParts } from '../prompts/index.js';
+
+describe('Logging Service', () => {
+  test('summarisePromptCache should report hit rate, cached tokens and input cost saving', () => {
+    const summary = summarisePromptCache([
+      { cache: 'miss', input_tokens: 400, cache_creation_input_tokens: 3000, output_tokens: 120, response_time_ms: 2400 },
+      { cache: 'hit', input_tokens: 500, cache_read_input_tokens: 3000, output_tokens: 100, response_time_ms: 1200 },
+      { cache: 'hit', input_tokens: 300, cache_read_input_tokens: 3000, output_tokens: 80, response_time_ms: 1000 },
+      { cache: 'none', input_tokens: 900, output_tokens: 60 }
+    ]);
+
+    expect(summary).toEqual({
+      responses: 4,
+      hits: 2,
+      misses: 1,
+      uncached: 1,
+      hitRate: 0.5,
+      inputTokens: 2100,
+      cacheReadTokens: 6000,
+      cacheWriteTokens: 3000,
+      outputTokens: 360,
+      cachedShare: 0.541,
+      // (2100 + 3000 * 1.25 + 6000 * 0.1) / 11100 of the uncached price
+      inputCostSaving: 0.419,
+      averageResponseTime: { hit: 1100, miss: 2400 }
+    });
+    expect(summarisePromptCache([])).toMatchObject({ responses: 0, hitRate: 0, inputCostSaving: 0 });
+  });
+
+  test('getSystemPromptParts should keep customer context out of the cached prompt', () => {
+    const first = getSystemPromptParts('proxe', 'Customer: Asha');
+    const second = getSystemPromptParts('proxe', 'Customer: Ravi');
+
+    expect(first.staticPrompt).toBe(second.staticPrompt);
+    expect(first.staticPrompt).not.toContain('Asha');
+    expect(first.contextPrompt).toContain('Customer: Asha');
+    expect(getSystemPrompt('proxe', 'Customer: Asha')).toBe(`${first.staticPrompt}\n\n${first.contextPrompt}`);
+  });
+});
@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+
+// Storage stand-ins: uploads must go through the service-role client
+const upload = jest.fn(async () => ({ error: null }));
+const adminStorage = { from: jest.fn(() => ({ upload })) };
+const anonStorage = { from: jest.fn(() => ({ upload })) };
+
+jest.unstable_mockModule('../config/supabase.js', () => ({
+  supabase: { storage: anonStorage },
+  supabaseAdmin: { storage: adminStorage }
+}));
+
+const {
+  extractMediaReference,
+  describeMedia,
+  extractDocumentText,
+  buildClaudeAttachments,
+  storeMedia
+} = await import('../services/mediaService.js');
+
+describe('Media Service', () => {
+  test('extractMediaReference should read image messages', () => {
+    const media = extractMediaReference({
+      type: 'image',
+      image: { id: 'media-1', mime_type: 'image/jpeg', caption: 'My clinic' }
+    });
+
+    expect(media).toMatchObject({ type: 'image', id: 'media-1', mimeType: 'image/jpeg', caption: 'My clinic' });
+  });
+
+  test('extractMediaReference should ignore text messages', () => {
+    expect(extractMediaReference({ type: 'text', text: { body: 'hi' } })).toBeNull();
+  });
+
+  test('describeMedia should label voice notes and documents', () => {
+    expect(describeMedia({ type: 'audio', voice: true })).toBe('[Voice note]');
+    expect(describeMedia({ type: 'document', filename: 'pricing.pdf' })).toBe('[Document: pricing.pdf]');
+  });
+
+  test('extractDocumentText should only decode text formats', () => {
+    expect(extractDocumentText(Buffer.from('name,phone\nAsha,98'), 'text/csv')).toBe('name,phone\nAsha,98');
+    expect(extractDocumentText(Buffer.from('%PDF-1.4'), 'application/pdf')).toBeNull();
+  });
+
+  test('buildClaudeAttachments should attach supported images and PDFs', () => {
+    const image = buildClaudeAttachments({ type: 'image', mimeType: 'image/png', buffer: Buffer.from('png') });
+    const pdf = buildClaudeAttachments({ type: 'document', mimeType: 'application/pdf', buffer: Buffer.from('pdf') });
+    const video = buildClaudeAttachments({ type: 'video', mimeType: 'video/mp4', buffer: Buffer.from('mp4') });
+
+    expect(image).toEqual([{ type: 'image', mimeType: 'image/png', data: Buffer.from('png').toString('base64') }]);
+    expect(pdf[0]).toHaveProperty('type', 'document');
+    expect(video).toEqual([]);
+  });
+
+  test('storeMedia should upload to the private media bucket with the service-role client', async () => {
+    const buffer = Buffer.from('image-bytes');
+    const stored = await storeMedia(buffer, { leadId: 'lead-1', mediaId: 'media-1', mimeType: 'image/jpeg; charset=binary' });
+
+    expect(stored).toEqual({ bucket: 'whatsapp-media', path: 'lead-1/media-1.jpg' });
+    expect(adminStorage.from).toHaveBeenCalledWith('whatsapp-media');
+    expect(anonStorage.from).not.toHaveBeenCalled();
+    expect(upload).toHaveBeenCalledWith('lead-1/media-1.jpg', buffer, { contentType: 'image/jpeg', upsert: true });
+  });
+});
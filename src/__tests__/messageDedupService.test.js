@@ -0,0 +1,21 @@
+import { claimMessageId } from '../services/messageDedupService.js';
+
+describe('Message Dedup Service', () => {
+  test('claimMessageId should accept the first delivery of a wamid', async () => {
+    const claimed = await claimMessageId('wamid.first-delivery', { phone: '919876543210' });
+
+    expect(claimed).toBe(true);
+  });
+
+  test('claimMessageId should reject a redelivered wamid', async () => {
+    await claimMessageId('wamid.redelivered');
+    const claimedAgain = await claimMessageId('wamid.redelivered');
+
+    expect(claimedAgain).toBe(false);
+  });
+
+  test('claimMessageId should let messages without an ID through', async () => {
+    expect(await claimMessageId(null)).toBe(true);
+    expect(await claimMessageId(null)).toBe(true);
+  });
+});
@@ -0,0 +1,157 @@
+import {
+  PIPELINE_STAGES,
+  resolveStageToggles,
+  decideRoute,
+  runMessagePipeline
+} from '../services/messagePipeline.js';
+
+describe('Message Pipeline', () => {
+  const input = {
+    sessionId: '919876543210',
+    brand: 'proxe',
+    profileName: 'Test User',
+    whatsappNumber: { phoneNumberId: '111', brand: 'proxe', pipeline: {} },
+    messages: [{ messageId: 'wamid.1', message: 'Hello' }]
+  };
+
+  // Records the order stages ran in, without touching Supabase, Claude or Meta
+  function recordingHandlers(calls) {
+    return {
+      identifyLead: async () => { calls.push('identifyLead'); return { lead: { id: 'lead-1' }, session: { id: 'session-1' } }; },
+      loadContext: async () => { calls.push('loadContext'); return { isNewUser: false, context: {}, history: [] }; },
+      decideRoute: turn => { calls.push('decideRoute'); return decideRoute(turn); },
+      generate: async () => { calls.push('generate'); return { reply: { rawResponse: 'Hi!', buttons: [] } }; },
+      send: async () => { calls.push('send'); return { sendResult: { messages: [{ id: 'wamid.out' }] } }; },
+      persist: async () => { calls.push('persist'); return { assistantMessage: { id: 'conv-1' } }; },
+      sync: async () => { calls.push('sync'); return {}; }
+    };
+  }
+
+  test('resolveStageToggles should enable every stage by default and let later layers win', () => {
+    expect(resolveStageToggles()).toEqual(Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, true])));
+
+    const toggles = resolveStageToggles({ sync: false, send: false }, { send: true });
+    expect(toggles.sync).toBe(false);
+    expect(toggles.send).toBe(true);
+  });
+
+  test('resolveStageToggles should ignore unknown stages and keep identifyLead on', () => {
+    const toggles = resolveStageToggles({ identifyLead: false, welcome: false });
+    expect(toggles.identifyLead).toBe(true);
+    expect(toggles).not.toHaveProperty('welcome');
+  });
+
+  test('decideRoute should welcome new users and send everyone else to Claude', () => {
+    expect(decideRoute({ isNewUser: true })).toEqual({ route: 'welcome' });
+    expect(decideRoute({ isNewUser: false })).toEqual({ route: 'claude' });
+  });
+
+  test('decideRoute should send new users from a Click-to-WhatsApp ad to Claude', () => {
+    expect(decideRoute({ isNewUser: true, referral: { source_id: '120210000000001' } })).toEqual({ route: 'claude' });
+  });
+
+  test('decideRoute should only confirm STOP / START', () => {
+    expect(decideRoute({ isNewUser: true, consent: 'opted_out' })).toEqual({ route: 'consent' });
+    expect(decideRoute({ isNewUser: false, consent: 'opted_in' })).toEqual({ route: 'consent' });
+  });
+
+  test('runMessagePipeline should run the stages in order', async () => {
+    const calls = [];
+    const turn = await runMessagePipeline(input, { handlers: recordingHandlers(calls) });
+
+    expect(calls).toEqual(PIPELINE_STAGES);
+    expect(turn.route).toBe('claude');
+    expect(turn.sendResult.messages[0].id).toBe('wamid.out');
+    expect(turn.credentials.phoneNumberId).toBe('111');
+  });
+
+  test('runMessagePipeline should skip stages disabled by the brand or the caller', async () => {
+    const calls = [];
+    const turn = await runMessagePipeline(
+      { ...input, whatsappNumber: { ...input.whatsappNumber, pipeline: { sync: false } } },
+      { stages: { send: false }, handlers: recordingHandlers(calls) }
+    );
+
+    expect(calls).toEqual(['identifyLead', 'loadContext', 'decideRoute', 'generate', 'persist']);
+    expect(turn.skippedStages).toEqual(['send', 'sync']);
+  });
+
+  test('runMessagePipeline should not send when no reply was generated', async () => {
+    const calls = [];
+    const turn = await runMessagePipeline(input, { stages: { generate: false }, handlers: recordingHandlers(calls) });
+
+    expect(calls).not.toContain('send');
+    expect(calls).toContain('persist');
+    expect(turn.reply).toBeNull();
+  });
+
+  test('runMessagePipeline should keep the typing indicator up until the reply is sent', async () => {
+    const calls = [];
+    const handlers = {
+      ...recordingHandlers(calls),
+      startReadReceipts: turn => {
+        calls.push(`typing ${turn.parts[0].messageId}`);
+        return () => calls.push('stop typing');
+      }
+    };
+
+    await runMessagePipeline(input, { handlers });
+
+    expect(calls.slice(0, 2)).toEqual(['typing wamid.1', 'identifyLead']);
+    expect(calls.indexOf('stop typing')).toBe(calls.indexOf('send') - 1);
+  });
+
+  test('runMessagePipeline should stop the typing indicator when a stage fails', async () => {
+    let stopped = false;
+    const handlers = {
+      ...recordingHandlers([]),
+      startReadReceipts: () => () => { stopped = true; },
+      generate: async () => { throw new Error('Claude unavailable'); }
+    };
+
+    await expect(runMessagePipeline(input, { handlers })).rejects.toThrow('Claude unavailable');
+    expect(stopped).toBe(true);
+  });
+
+  test('runMessagePipeline should not fail the turn once the reply is sent', async () => {
+    const calls = [];
+    const handlers = {
+      ...recordingHandlers(calls),
+      persist: async () => { calls.push('persist'); throw new Error('Supabase unavailable'); }
+    };
+
+    const turn = await runMessagePipeline(input, { handlers });
+
+    expect(calls.filter(call => call === 'send')).toHaveLength(1);
+    expect(calls).toEqual(PIPELINE_STAGES);
+    expect(turn.failedStages).toEqual(['persist']);
+  });
+
+  test('runMessagePipeline should treat a reply sent in part as sent', async () => {
+    const calls = [];
+    const handlers = {
+      ...recordingHandlers(calls),
+      // The second part of a split reply failed after the first went out
+      send: async () => { calls.push('send'); return { sendResult: null, sentMessageIds: ['wamid.part1'], sendError: 'Meta 500' }; },
+      persist: async () => { calls.push('persist'); throw new Error('Supabase unavailable'); }
+    };
+
+    const turn = await runMessagePipeline(input, { handlers });
+
+    expect(calls).toEqual(PIPELINE_STAGES);
+    expect(turn.sentMessageIds).toEqual(['wamid.part1']);
+    expect(turn.failedStages).toEqual(['persist']);
+  });
+
+  test('runMessagePipeline should tag errors with the failing stage', async () => {
+    const handlers = {
+      ...recordingHandlers([]),
+      generate: async () => { throw new Error('Claude unavailable'); }
+    };
+
+    await expect(runMessagePipeline(input, { handlers })).rejects.toMatchObject({
+      message: 'Claude unavailable',
+      stage: 'generate'
+    });
+  });
+});
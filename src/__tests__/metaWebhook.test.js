@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import {
+  buildInboundMessage,
+  buildMessageWebhook,
+  buildStatusWebhook,
+  signPayload
+} from '../../scripts/meta-webhook.js';
+import { extractMediaReference } from '../services/mediaService.js';
+
+describe('Meta webhook emitter', () => {
+  test('buildMessageWebhook should wrap messages the way Meta sends them', () => {
+    const message = buildInboundMessage('button', { from: '919812345678', text: 'Book a Demo', id: 'btn_2_book_demo' });
+    const payload = buildMessageWebhook(message, { phoneNumberId: '123', name: 'Asha' });
+    const value = payload.entry[0].changes[0].value;
+
+    expect(payload.object).toBe('whatsapp_business_account');
+    expect(value.metadata.phone_number_id).toBe('123');
+    expect(value.contacts[0]).toEqual({ profile: { name: 'Asha' }, wa_id: '919812345678' });
+    expect(value.messages[0].id).toMatch(/^wamid\./);
+    expect(value.messages[0].interactive.button_reply).toEqual({ id: 'btn_2_book_demo', title: 'Book a Demo' });
+  });
+
+  test('buildInboundMessage media should be readable by the media service', () => {
+    const message = buildInboundMessage('document', { caption: 'Brochure', mediaId: 'document-1' });
+
+    expect(extractMediaReference(message)).toMatchObject({
+      type: 'document',
+      id: 'document-1',
+      mimeType: 'application/pdf',
+      caption: 'Brochure'
+    });
+  });
+
+  test('buildStatusWebhook should include Meta error details for failures', () => {
+    const payload = buildStatusWebhook({ wamid: 'wamid.1', status: 'failed', errorCode: 131047 }, { phoneNumberId: '123' });
+    const status = payload.entry[0].changes[0].value.statuses[0];
+
+    expect(status).toMatchObject({ id: 'wamid.1', status: 'failed' });
+    expect(status.errors[0]).toMatchObject({ code: 131047, title: 'Re-engagement message' });
+  });
+
+  test('signPayload should match the webhook signature check', () => {
+    const rawBody = JSON.stringify({ object: 'whatsapp_business_account', entry: [] });
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'secret').update(Buffer.from(rawBody, 'utf8')).digest('hex');
+
+    expect(signPayload(rawBody, 'secret')).toBe(expected);
+  });
+});
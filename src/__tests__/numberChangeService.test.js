@@ -0,0 +1,43 @@
+import { extractNumberChange, appendPhoneHistory } from '../services/numberChangeService.js';
+
+describe('Number Change Service', () => {
+  const systemMessage = {
+    from: '919876543210',
+    id: 'wamid.SYS1',
+    timestamp: '1748299381',
+    type: 'system',
+    system: {
+      body: 'Asha changed from 919876543210 to 919812345678',
+      new_wa_id: '919812345678',
+      type: 'customer_changed_number'
+    }
+  };
+
+  test('extractNumberChange should read the old and new numbers', () => {
+    expect(extractNumberChange(systemMessage)).toEqual({
+      oldPhone: '919876543210',
+      newPhone: '919812345678',
+      body: 'Asha changed from 919876543210 to 919812345678'
+    });
+  });
+
+  test('extractNumberChange should accept the older wa_id field', () => {
+    const legacy = { ...systemMessage, system: { type: 'customer_changed_number', wa_id: '919812345678' } };
+    expect(extractNumberChange(legacy).newPhone).toBe('919812345678');
+  });
+
+  test('extractNumberChange should ignore other messages', () => {
+    expect(extractNumberChange({ ...systemMessage, system: { type: 'customer_identity_changed' } })).toBeNull();
+    expect(extractNumberChange({ from: '919876543210', type: 'text', text: { body: 'Hi' } })).toBeNull();
+    expect(extractNumberChange({ ...systemMessage, system: { type: 'customer_changed_number' } })).toBeNull();
+  });
+
+  test('appendPhoneHistory should not record the same change twice', () => {
+    const entry = { phone: '919876543210', normalized: '9876543210', changed_at: '2025-05-26T22:43:01.000Z', whatsapp_message_id: 'wamid.SYS1' };
+
+    const history = appendPhoneHistory(null, entry);
+    expect(history).toEqual([entry]);
+    expect(appendPhoneHistory(history, { ...entry })).toEqual([entry]);
+    expect(appendPhoneHistory(history, { ...entry, phone: '919800000000', whatsapp_message_id: 'wamid.SYS2' })).toHaveLength(2);
+  });
+});
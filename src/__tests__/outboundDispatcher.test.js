@@ -0,0 +1,65 @@
+import {
+  dispatchSend,
+  getThrottleDelay,
+  isThrottleError,
+  META_PAIR_RATE_LIMIT_ERROR
+} from '../services/outboundDispatcher.js';
+
+describe('Outbound Dispatcher', () => {
+  const throttled = metaCode => Object.assign(new Error('WhatsApp API error: rate limit hit'), { metaCode });
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('isThrottleError should only match Meta throttling codes', () => {
+    expect(isThrottleError(throttled(130429))).toBe(true);
+    expect(isThrottleError(throttled(131056))).toBe(true);
+    expect(isThrottleError(throttled(131047))).toBe(false);
+    expect(isThrottleError(new Error('fetch failed'))).toBe(false);
+  });
+
+  test('getThrottleDelay should back off exponentially, longer for pair rate limits', () => {
+    expect(getThrottleDelay(130429, 2)).toBe(getThrottleDelay(130429, 1) * 2);
+    expect(getThrottleDelay(META_PAIR_RATE_LIMIT_ERROR, 1)).toBeGreaterThan(getThrottleDelay(130429, 1));
+    expect(getThrottleDelay(130429, 20)).toBe(60 * 1000);
+  });
+
+  test('dispatchSend should retry a throttled send', async () => {
+    let calls = 0;
+    const result = await dispatchSend('dispatch-1', '919876543210', async () => {
+      calls++;
+      if (calls === 1) throw throttled(130429);
+      return { wamid: 'wamid.OUT1' };
+    });
+
+    expect(result).toEqual({ wamid: 'wamid.OUT1' });
+    expect(calls).toBe(2);
+  });
+
+  test('dispatchSend should fail other errors without retrying', async () => {
+    let calls = 0;
+    await expect(dispatchSend('dispatch-2', '919876543210', async () => {
+      calls++;
+      throw Object.assign(new Error('Re-engagement message'), { metaCode: 131047 });
+    })).rejects.toMatchObject({ metaCode: 131047 });
+
+    expect(calls).toBe(1);
+  });
+
+  test('dispatchSend should keep one recipient in order without holding up others', async () => {
+    const events = [];
+    const send = (to, label, ms) => dispatchSend('dispatch-3', to, async () => {
+      events.push(`start ${label}`);
+      await wait(ms);
+      events.push(`end ${label}`);
+      return label;
+    });
+
+    await Promise.all([
+      send('919800000001', 'A1', 50),
+      send('919800000001', 'A2', 0),
+      send('919800000002', 'B1', 0)
+    ]);
+
+    expect(events.indexOf('end B1')).toBeLessThan(events.indexOf('end A1'));
+    expect(events.indexOf('start A2')).toBeGreaterThan(events.indexOf('end A1'));
+  });
+});
@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+
+// Stand-ins for Supabase and Meta: the lead lookup, first-contact lead, message log and send
+const leadQuery = { data: null, error: null };
+const from = jest.fn(() => ({
+  select: () => ({ eq: () => ({ maybeSingle: async () => leadQuery }) })
+}));
+const getOrCreateLead = jest.fn();
+const logMessage = jest.fn();
+const recordOutboundMessage = jest.fn();
+const sendMessage = jest.fn();
+
+jest.unstable_mockModule('../config/supabase.js', () => ({ supabase: { from } }));
+jest.unstable_mockModule('../services/customerService.js', () => ({
+  getOrCreateLead,
+  normalizePhoneNumber: phone => String(phone).replace(/\D/g, '').slice(-10)
+}));
+jest.unstable_mockModule('../services/conversationService.js', () => ({ logMessage }));
+jest.unstable_mockModule('../services/deliveryStatusService.js', () => ({ recordOutboundMessage }));
+jest.unstable_mockModule('../services/whatsappClient.js', () => ({ sendMessage }));
+
+const { describeOutboundMessage, sendToLead } = await import('../services/outboundMessageService.js');
+
+describe('Outbound Message Service', () => {
+  const lead = { id: 'lead-1', phone: '919876543210', brand: 'proxe', customer_name: 'Asha', consent_status: null };
+  const message = { type: 'text', text: 'Your demo is at 6 PM' };
+
+  beforeEach(() => {
+    process.env.META_PHONE_NUMBER_ID = '111';
+    process.env.META_ACCESS_TOKEN = 'proxe-token';
+
+    leadQuery.data = lead;
+    from.mockClear();
+    getOrCreateLead.mockReset().mockResolvedValue(lead);
+    logMessage.mockReset().mockResolvedValue({ id: 'conv-1' });
+    recordOutboundMessage.mockReset().mockResolvedValue({ status: 'accepted', accepted_at: '2026-05-10T10:00:00.000Z' });
+    sendMessage.mockReset().mockResolvedValue({ wamid: 'wamid.OUT1', template: null });
+  });
+
+  afterEach(() => {
+    delete process.env.META_PHONE_NUMBER_ID;
+    delete process.env.META_ACCESS_TOKEN;
+  });
+
+  test('describeOutboundMessage should log the text of text-based messages', () => {
+    expect(describeOutboundMessage({ type: 'text', text: 'Your demo is at 6 PM' })).toBe('Your demo is at 6 PM');
+    expect(describeOutboundMessage({ type: 'buttons', text: 'Still interested?', buttons: ['Yes', 'No'] })).toBe('Still interested?');
+  });
+
+  test('describeOutboundMessage should describe media, templates and locations', () => {
+    expect(describeOutboundMessage({ type: 'image', link: 'https://goproxe.com/plans.jpg', caption: 'Our plans' })).toBe('Our plans');
+    expect(describeOutboundMessage({ type: 'document', id: 'media-1', filename: 'pricing.pdf' })).toBe('[document: pricing.pdf]');
+    expect(describeOutboundMessage({ type: 'template', name: 'booking_reminder', language: 'en' })).toBe('[template: booking_reminder]');
+    expect(describeOutboundMessage({ type: 'location', latitude: 12.97, longitude: 77.59, name: 'PROXe HQ' })).toBe('PROXe HQ');
+  });
+
+  test('sendToLead should send from the brand number and log the message', async () => {
+    const result = await sendToLead({ leadId: 'lead-1', message, sentBy: 'n8n' });
+
+    expect(sendMessage).toHaveBeenCalledWith('919876543210', message, { phoneNumberId: '111', accessToken: 'proxe-token' }, {
+      brand: 'proxe',
+      variables: { customer_name: 'Asha' }
+    });
+    expect(logMessage).toHaveBeenCalledWith('lead-1', 'whatsapp', 'agent', 'Your demo is at 6 PM', 'text', expect.objectContaining({ sent_by: 'n8n' }));
+    expect(recordOutboundMessage).toHaveBeenCalledWith('conv-1', 'wamid.OUT1', { phoneNumberId: '111', recipient: '919876543210' });
+    expect(result).toEqual({
+      leadId: 'lead-1',
+      conversationId: 'conv-1',
+      wamid: 'wamid.OUT1',
+      template: null,
+      recipient: '919876543210',
+      phoneNumberId: '111',
+      delivery: { status: 'accepted', acceptedAt: '2026-05-10T10:00:00.000Z' }
+    });
+  });
+
+  test('sendToLead should find the lead by ID, or by phone creating one on first contact', async () => {
+    await sendToLead({ leadId: 'lead-1', message });
+    expect(from).toHaveBeenCalledWith('all_leads');
+    expect(getOrCreateLead).not.toHaveBeenCalled();
+
+    from.mockClear();
+    await sendToLead({ phone: '919811112222', brand: 'proxe', message });
+    expect(from).not.toHaveBeenCalled();
+    expect(getOrCreateLead).toHaveBeenCalledWith('919811112222', 'proxe');
+    expect(sendMessage.mock.calls[1][0]).toBe('919811112222');
+
+    leadQuery.data = null;
+    await expect(sendToLead({ leadId: 'lead-missing', message }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('sendToLead should refuse a phone that is not the lead\'s', async () => {
+    await expect(sendToLead({ leadId: 'lead-1', phone: '919811112222', message }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'LEAD_PHONE_MISMATCH' });
+    expect(sendMessage).not.toHaveBeenCalled();
+
+    await sendToLead({ leadId: 'lead-1', phone: '9876543210', message });
+    expect(sendMessage.mock.calls[0][0]).toBe('9876543210');
+    expect(logMessage.mock.calls[0][0]).toBe('lead-1');
+  });
+
+  test('sendToLead should never send an opted-out lead the window template', async () => {
+    leadQuery.data = { ...lead, consent_status: 'opted_out' };
+
+    await sendToLead({ leadId: 'lead-1', message, sender: 'human' });
+
+    expect(sendMessage.mock.calls[0][3]).toMatchObject({ template: false });
+  });
+
+  test('sendToLead should reject a business number that is not configured', async () => {
+    await expect(sendToLead({ leadId: 'lead-1', phoneNumberId: '999', message }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('sendToLead should still return the wamid when logging the message fails', async () => {
+    logMessage.mockRejectedValue(new Error('Supabase timeout'));
+
+    const result = await sendToLead({ leadId: 'lead-1', message });
+
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ wamid: 'wamid.OUT1', conversationId: null });
+    expect(recordOutboundMessage).toHaveBeenCalledWith(undefined, 'wamid.OUT1', expect.any(Object));
+  });
+});
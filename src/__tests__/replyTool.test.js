@@ -0,0 +1,73 @@
+import { buildReplyTool, readReplyToolInput } from '../services/replyTool.js';
+
+describe('Reply Tool', () => {
+  const catalogue = ['Learn More', 'Book Demo', 'View Plans'];
+
+  test('buildReplyTool should only offer catalogue buttons', () => {
+    const tool = buildReplyTool(catalogue);
+
+    expect(tool.name).toBe('reply_to_customer');
+    expect(tool.input_schema.properties.buttons.items.enum).toEqual(catalogue);
+    expect(tool.input_schema.required).toEqual(['reply', 'urgency', 'next_action', 'intent']);
+  });
+
+  test('readReplyToolInput should read a valid reply', () => {
+    const { reply, issues } = readReplyToolInput({
+      reply: 'Happy to show you! Pick a slot below.',
+      list: {
+        button_text: 'Pick a slot',
+        options: [{ title: 'Tomorrow 6 PM' }, { title: 'Friday 11 AM', description: '30 minute demo' }]
+      },
+      urgency: 'high',
+      next_action: 'book_demo',
+      intent: 'demo_request',
+      lead_fields: { name: 'Asha', business_type: 'real estate' }
+    }, catalogue);
+
+    expect(issues).toEqual([]);
+    expect(reply).toEqual({
+      text: 'Happy to show you! Pick a slot below.',
+      buttons: [],
+      list: {
+        buttonText: 'Pick a slot',
+        options: [
+          { id: 'row_1', title: 'Tomorrow 6 PM' },
+          { id: 'row_2', title: 'Friday 11 AM', description: '30 minute demo' }
+        ]
+      },
+      urgency: 'high',
+      nextAction: 'book_demo',
+      intent: 'demo_request',
+      leadFields: { name: 'Asha', business_type: 'real estate' }
+    });
+  });
+
+  test('readReplyToolInput should default invalid fields and report them', () => {
+    const { reply, issues } = readReplyToolInput({
+      reply: 'Plans start at $99/month.',
+      buttons: ['view plans', 'Buy Now'],
+      urgency: 'urgent',
+      lead_fields: { email: '' }
+    }, catalogue);
+
+    expect(reply).toMatchObject({
+      text: 'Plans start at $99/month.',
+      buttons: ['View Plans'],
+      list: null,
+      urgency: 'normal',
+      nextAction: 'continue_conversation',
+      intent: 'unknown',
+      leadFields: {}
+    });
+    expect(issues).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^urgency:/),
+      expect.stringMatching(/^next_action:/),
+      "buttons: 'Buy Now' is not in the button catalogue"
+    ]));
+  });
+
+  test('readReplyToolInput should give up without reply text', () => {
+    expect(readReplyToolInput({ urgency: 'low', next_action: 'end_conversation', intent: 'greeting' }, catalogue))
+      .toMatchObject({ reply: null, issues: ['reply: Required'] });
+  });
+});
@@ -1,7 +1,9 @@
 import {
   formatWhatsAppResponse,
+  formatWhatsAppMessages,
   formatCarouselResponse,
-  formatListResponse
+  formatListResponse,
+  splitMessageText
 } from '../services/responseFormatter.js';
 
 describe('Response Formatter', () => {
@@ -43,6 +45,38 @@ describe('Response Formatter', () => {
     expect(result).toHaveProperty('type', 'interactive');
     expect(result.interactive).toHaveProperty('type', 'list');
   });
+
+  test('splitMessageText should keep short text in one message', () => {
+    expect(splitMessageText('Hello, world!')).toEqual(['Hello, world!']);
+    expect(splitMessageText('  ')).toEqual([]);
+  });
+
+  test('splitMessageText should split on paragraphs, then sentences', () => {
+    const paragraph = 'Our Growth plan includes WhatsApp, web chat and voice. '.repeat(10).trim();
+    const text = `${paragraph}\n\nShort note.\n\n${paragraph}`;
+
+    expect(splitMessageText(text, { maxLength: 600 })).toEqual([`${paragraph}\n\nShort note.`, paragraph]);
+
+    const chunks = splitMessageText(text, { maxLength: 200 });
+    expect(chunks.every(chunk => chunk.length <= 200 && chunk.endsWith('.'))).toBe(true);
+    expect(chunks.join(' ').replace(/\s+/g, ' ')).toBe(text.replace(/\s+/g, ' '));
+  });
+
+  test('splitMessageText should hard cut words longer than the limit', () => {
+    expect(splitMessageText('x'.repeat(25), { maxLength: 10 })).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+  });
+
+  test('formatWhatsAppMessages should put buttons on the last message only', () => {
+    const text = 'We can help with lead capture and follow-ups. '.repeat(120).trim();
+    const messages = formatWhatsAppMessages(text, 'text_with_buttons', ['Book Demo', 'Pricing']);
+    const last = messages[messages.length - 1];
+
+    expect(messages.length).toBeGreaterThan(1);
+    expect(messages.slice(0, -1).every(message => message.type === 'text' && message.text.body.length <= 4096)).toBe(true);
+    expect(last.type).toBe('interactive');
+    expect(last.interactive.body.text.length).toBeLessThanOrEqual(1024);
+    expect(last.metadata).toEqual({ part: messages.length, parts: messages.length });
+  });
 });
 
 
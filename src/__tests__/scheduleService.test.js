@@ -0,0 +1,53 @@
+import { buildDaySlots, fromZonedTime, normaliseTime, formatTimeLabel } from '../services/scheduleService.js';
+import { buildBookingTools, describeBookingCalendar, runBookingTool } from '../services/bookingTools.js';
+
+describe('Schedule Service', () => {
+  const config = {
+    timeZone: 'Asia/Kolkata',
+    openTime: '17:00',
+    closeTime: '19:00',
+    days: [1, 2, 3, 4, 5, 6],
+    slotMinutes: 30,
+    minNoticeMinutes: 60,
+    horizonDays: 30
+  };
+
+  test('fromZonedTime should convert a wall-clock time in the booking zone', () => {
+    expect(fromZonedTime('2025-03-11', '18:00', 'Asia/Kolkata').toISOString()).toBe('2025-03-11T12:30:00.000Z');
+    // Across a DST change
+    expect(fromZonedTime('2025-03-10', '09:00', 'America/New_York').toISOString()).toBe('2025-03-10T13:00:00.000Z');
+  });
+
+  test('normaliseTime and formatTimeLabel should read and print customer times', () => {
+    expect(['6pm', '6:30 PM', '18:00', '12am', '9'].map(normaliseTime)).toEqual(['18:00', '18:30', '18:00', '00:00', '09:00']);
+    expect(normaliseTime('13pm')).toBeNull();
+    expect(normaliseTime('tomorrow')).toBeNull();
+    expect(formatTimeLabel('18:00')).toBe('6:00 PM');
+    expect(formatTimeLabel('00:30')).toBe('12:30 AM');
+  });
+
+  test('buildDaySlots should leave out booked slots, short notice and closed days', () => {
+    const now = new Date('2025-03-11T11:15:00.000Z'); // 4:45 PM in Kolkata
+    const slots = buildDaySlots('2025-03-11', config, ['2025-03-11T12:30:00.000Z'], now);
+
+    expect(slots.map(slot => slot.label)).toEqual(['6:30 PM']);
+    expect(slots[0]).toEqual({
+      date: '2025-03-11',
+      time: '18:30',
+      label: '6:30 PM',
+      startAt: '2025-03-11T13:00:00.000Z',
+      endAt: '2025-03-11T13:30:00.000Z'
+    });
+    expect(buildDaySlots('2025-03-16', config, [], now)).toEqual([]); // Sunday
+  });
+
+  test('booking tools should reject invalid input before touching the calendar', async () => {
+    const tools = buildBookingTools();
+
+    expect(tools.map(tool => tool.name)).toEqual(['check_availability', 'create_booking', 'reschedule_booking', 'cancel_booking']);
+    expect(describeBookingCalendar(new Date('2025-03-11T11:15:00.000Z')))
+      .toBe('Booking calendar: today is Tuesday 2025-03-11, 4:45 PM in Asia/Kolkata.');
+    await expect(runBookingTool('create_booking', { date: 'tomorrow', time: '6pm' }, { leadId: 'lead-1' }))
+      .resolves.toEqual({ output: 'Invalid input - date: must be YYYY-MM-DD', isError: true, booking: null });
+  });
+});
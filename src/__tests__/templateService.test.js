@@ -0,0 +1,79 @@
+import {
+  getTemplateRequirements,
+  validateTemplateParameters
+} from '../services/templateService.js';
+
+describe('Template Service', () => {
+  const bookingReminder = {
+    name: 'booking_reminder',
+    language: 'en',
+    status: 'APPROVED',
+    parameter_format: 'POSITIONAL',
+    components: [
+      { type: 'HEADER', format: 'IMAGE' },
+      { type: 'BODY', text: 'Hi {{1}}, your demo is on {{2}} at {{3}}. See you then, {{1}}!' },
+      {
+        type: 'BUTTONS',
+        buttons: [
+          { type: 'QUICK_REPLY', text: 'Reschedule' },
+          { type: 'URL', text: 'Join', url: 'https://meet.goproxe.com/{{1}}' }
+        ]
+      }
+    ]
+  };
+
+  const text = value => ({ type: 'text', text: value });
+
+  test('getTemplateRequirements should read parameters from Meta components', () => {
+    expect(getTemplateRequirements(bookingReminder)).toEqual({
+      named: false,
+      header: { format: 'image', keys: [null] },
+      body: ['1', '2', '3'],
+      buttons: [{ index: 1, subType: 'url', type: 'text' }]
+    });
+
+    expect(getTemplateRequirements({
+      parameter_format: 'NAMED',
+      components: [{ type: 'BODY', text: 'Hi {{first_name}}, your code is {{code}}' }]
+    }).body).toEqual(['first_name', 'code']);
+  });
+
+  test('validateTemplateParameters should accept parameters that fit the template', () => {
+    expect(validateTemplateParameters(bookingReminder, [
+      { type: 'header', parameters: [{ type: 'image', image: { link: 'https://goproxe.com/demo.jpg' } }] },
+      { type: 'body', parameters: [text('Asha'), text('Friday'), text('6 PM')] },
+      { type: 'button', sub_type: 'url', index: '1', parameters: [text('abc123')] }
+    ])).toEqual([]);
+  });
+
+  test('validateTemplateParameters should report missing, extra and malformed parameters', () => {
+    expect(validateTemplateParameters(bookingReminder, [
+      { type: 'header', parameters: [{ type: 'video', video: { id: 'media-1' } }] },
+      { type: 'body', parameters: [text('Asha'), text('Friday')] }
+    ])).toEqual([
+      'header parameter 1 must be of type image (got video)',
+      'body expects 3 parameter(s), got 2',
+      'button 1 (url) needs a parameter'
+    ]);
+
+    const plain = { components: [{ type: 'BODY', text: 'Thanks {{1}}' }] };
+    expect(validateTemplateParameters(plain, [
+      { type: 'body', parameters: [text('Asha\nRao')] },
+      { type: 'button', sub_type: 'quick_reply', index: '0', parameters: [{ type: 'payload', payload: 'x' }] }
+    ])).toEqual([
+      'body parameter 1 may not contain new lines, tabs or more than 4 consecutive spaces',
+      'button 0 expects no parameters'
+    ]);
+  });
+
+  test('validateTemplateParameters should match named parameters by name', () => {
+    const named = {
+      parameter_format: 'NAMED',
+      components: [{ type: 'BODY', text: 'Hi {{first_name}}, your code is {{code}}' }]
+    };
+
+    expect(validateTemplateParameters(named, [
+      { type: 'body', parameters: [{ ...text('Asha'), parameter_name: 'first_name' }, { ...text('X1'), parameter_name: 'coupon' }] }
+    ])).toEqual(['body is missing named parameter(s): code']);
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  transcribeAudio,
+  registerTranscriptionProvider,
+  createStubProvider,
+  createOpenAIProvider,
+  isTranscriptionEnabled
+} from '../services/transcriptionService.js';
+
+describe('Transcription Service', () => {
+  afterEach(() => {
+    delete process.env.TRANSCRIPTION_PROVIDER;
+  });
+
+  test('should use the stub provider under NODE_ENV=test', async () => {
+    const result = await transcribeAudio(Buffer.from('audio'), { mimeType: 'audio/ogg; codecs=opus' });
+
+    expect(isTranscriptionEnabled()).toBe(true);
+    expect(result).toHaveProperty('provider', 'stub');
+    expect(result.text.length).toBeGreaterThan(0);
+  });
+
+  test('should use a registered custom provider', async () => {
+    registerTranscriptionProvider('custom', {
+      name: 'custom',
+      async transcribe(buffer, { language }) {
+        return { text: '  Book a demo for tomorrow  ', language };
+      }
+    });
+    process.env.TRANSCRIPTION_PROVIDER = 'custom';
+
+    const result = await transcribeAudio(Buffer.from('audio'), { language: 'hi' });
+
+    expect(result).toEqual(expect.objectContaining({
+      text: 'Book a demo for tomorrow',
+      language: 'hi',
+      provider: 'custom'
+    }));
+  });
+
+  test('should return null when transcription is disabled', async () => {
+    process.env.TRANSCRIPTION_PROVIDER = 'none';
+
+    expect(isTranscriptionEnabled()).toBe(false);
+    expect(await transcribeAudio(Buffer.from('audio'))).toBeNull();
+  });
+
+  test('should reject unknown providers', async () => {
+    process.env.TRANSCRIPTION_PROVIDER = 'missing';
+
+    await expect(transcribeAudio(Buffer.from('audio'))).rejects.toThrow('Unknown transcription provider');
+  });
+
+  test('createStubProvider should return the configured text', async () => {
+    const provider = createStubProvider('Hello there');
+    expect(await provider.transcribe(Buffer.from(''))).toEqual({ text: 'Hello there', language: 'en' });
+  });
+
+  test('createOpenAIProvider should give up on a request that hangs', async () => {
+    const originalFetch = global.fetch;
+    let signal = null;
+    process.env.OPENAI_API_KEY = 'test-key';
+    global.fetch = async (url, options) => {
+      signal = options.signal;
+      throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+    };
+
+    try {
+      await expect(createOpenAIProvider().transcribe(Buffer.from('audio'), { mimeType: 'audio/ogg' }))
+        .rejects.toThrow('Transcription API timed out after 30000ms');
+      expect(signal).toBeInstanceOf(AbortSignal);
+    } finally {
+      global.fetch = originalFetch;
+      delete process.env.OPENAI_API_KEY;
+    }
+  });
+});
@@ -1,5 +1,6 @@
 import request from 'supertest';
 import app from '../server.js';
+import { buildStatusWebhook, signPayload } from '../../scripts/meta-webhook.js';
 
 describe('WhatsApp Message Endpoint', () => {
   test('POST /api/whatsapp/message should require valid data', async () => {
@@ -25,6 +26,57 @@ describe('WhatsApp Message Endpoint', () => {
     // Expect either success (if services configured) or error (if not)
     expect([200, 500, 503]).toContain(response.status);
   });
+
+  // Set by the tests below - put back so they don't leak into other suites
+  const envKeys = ['ADMIN_API_KEY', 'META_APP_SECRET'];
+  const savedEnv = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+
+  afterEach(() => {
+    for (const key of envKeys) {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    }
+  });
+
+  test('POST /api/whatsapp/send should require the admin API key', async () => {
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    const response = await request(app)
+      .post('/api/whatsapp/send')
+      .send({ phone: '919876543210', message: { type: 'text', text: 'Hello' } });
+
+    expect(response.status).toBe(401);
+
+    const wrongKey = await request(app)
+      .post('/api/whatsapp/send')
+      .set('x-api-key', 'test-admin-kez')
+      .send({ phone: '919876543210', message: { type: 'text', text: 'Hello' } });
+
+    expect(wrongKey.status).toBe(401);
+  });
+
+  test('POST /api/whatsapp/send should need a lead or phone', async () => {
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    const response = await request(app)
+      .post('/api/whatsapp/send')
+      .set('x-api-key', 'test-admin-key')
+      .send({ message: { type: 'text', text: 'Hello' } })
+      .expect(400);
+
+    expect(response.body.details).toContain('body: leadId or phone is required');
+  });
+
+  test('POST /webhook/whatsapp should acknowledge statuses it could not forward', async () => {
+    // No Supabase in tests, so publishing the status event fails
+    process.env.META_APP_SECRET = 'test-app-secret';
+    const rawBody = JSON.stringify(buildStatusWebhook({ wamid: 'wamid.test', status: 'delivered' }, { phoneNumberId: '123' }));
+    const response = await request(app)
+      .post('/webhook/whatsapp')
+      .set('Content-Type', 'application/json')
+      .set('x-hub-signature-256', signPayload(rawBody, 'test-app-secret'))
+      .send(rawBody);
+
+    expect(response.status).toBe(200);
+  });
 });
 
 
@@ -0,0 +1,139 @@
+import {
+  buildMessagePayload,
+  validateMessagePayload,
+  sendPayload,
+  getServiceWindow,
+  renderTemplateParameters,
+  buildReplyMessages
+} from '../services/whatsappClient.js';
+import { formatListResponse, formatTemplateResponse } from '../services/responseFormatter.js';
+
+describe('WhatsApp Client', () => {
+  const to = '919876543210';
+
+  test('buildMessagePayload should build reply buttons with ids and an optional header', () => {
+    const payload = buildMessagePayload(to, {
+      type: 'buttons',
+      text: 'How can we help?',
+      header: 'PROXe',
+      buttons: ['Book Demo', { id: 'pricing', title: 'Pricing' }],
+      replyTo: 'wamid.IN1'
+    });
+
+    expect(payload.context).toEqual({ message_id: 'wamid.IN1' });
+    expect(payload.interactive.header).toEqual({ type: 'text', text: 'PROXe' });
+    expect(payload.interactive.action.buttons).toEqual([
+      { type: 'reply', reply: { id: 'btn_1_book_demo', title: 'Book Demo' } },
+      { type: 'reply', reply: { id: 'pricing', title: 'Pricing' } }
+    ]);
+    expect(validateMessagePayload(payload)).toEqual([]);
+  });
+
+  test('validateMessagePayload should accept each supported message type', () => {
+    const messages = [
+      { type: 'text', text: 'Hello' },
+      { type: 'cta_url', text: 'Pick a slot', displayText: 'Book now', url: 'https://goproxe.com/book' },
+      { type: 'image', link: 'https://goproxe.com/brochure.jpg', caption: 'Our plans' },
+      { type: 'document', id: 'media-1', filename: 'pricing.pdf' },
+      { type: 'location', latitude: 12.97, longitude: 77.59, name: 'PROXe HQ' },
+      { type: 'template', name: 'booking_reminder', language: 'en', parameters: ['Asha', '6 PM'] },
+      { type: 'reaction', messageId: 'wamid.IN1', emoji: '👍' }
+    ];
+
+    for (const message of messages) {
+      expect(validateMessagePayload(buildMessagePayload(to, message))).toEqual([]);
+    }
+  });
+
+  test('validateMessagePayload should report Meta limit violations', () => {
+    const problems = validateMessagePayload(buildMessagePayload(to, {
+      type: 'buttons',
+      text: 'x'.repeat(1025),
+      buttons: ['One', 'Two', 'Three', 'Four', 'A label that is far too long']
+    }));
+
+    expect(problems).toEqual(expect.arrayContaining([
+      'interactive.body.text must be at most 1024 characters (got 1025)',
+      'interactive buttons must have 1-3 buttons (got 5)',
+      'button 5 title must be at most 20 characters (got 28)'
+    ]));
+  });
+
+  test('validateMessagePayload should limit list rows across sections', () => {
+    const rows = count => Array.from({ length: count }, (_, index) => ({ id: `r${index}`, title: `Row ${index}` }));
+    const payload = buildMessagePayload(to, {
+      type: 'list',
+      text: 'Choose a plan',
+      buttonText: 'Plans',
+      sections: [{ title: 'Starter', rows: rows(6) }, { title: 'Growth', rows: rows(6).map(row => ({ ...row, id: `${row.id}b` })) }]
+    });
+
+    expect(validateMessagePayload(payload)).toEqual(['list must have 1-10 rows in total (got 12)']);
+  });
+
+  test('validateMessagePayload should check media sources and coordinates', () => {
+    expect(validateMessagePayload(buildMessagePayload(to, { type: 'image' })))
+      .toContain('image needs exactly one of id or link');
+    expect(validateMessagePayload(buildMessagePayload(to, { type: 'location', latitude: 120, longitude: 77 })))
+      .toContain('location latitude must be between -90 and 90');
+  });
+
+  test('responseFormatter list and template payloads should pass validation', () => {
+    const list = formatListResponse('Pick one', [{ id: 'a', title: 'Starter' }, { id: 'b', title: 'Growth' }]);
+    const template = formatTemplateResponse('welcome_back', 'en', ['Asha']);
+
+    expect(validateMessagePayload({ ...list, to })).toEqual([]);
+    expect(validateMessagePayload({ ...template, to })).toEqual([]);
+  });
+
+  test('getServiceWindow should close 24 hours after the last inbound message', () => {
+    const lastInboundAt = '2025-01-01T10:00:00.000Z';
+    const at = iso => new Date(iso).getTime();
+
+    expect(getServiceWindow(lastInboundAt, at('2025-01-02T09:00:00.000Z'))).toEqual({
+      open: true,
+      expiresAt: '2025-01-02T10:00:00.000Z'
+    });
+    expect(getServiceWindow(lastInboundAt, at('2025-01-02T10:30:00.000Z')).open).toBe(false);
+    expect(getServiceWindow(null).open).toBe(false);
+  });
+
+  test('renderTemplateParameters should fill placeholders and strip characters Meta rejects', () => {
+    expect(renderTemplateParameters(['{{customer_name}}', 'Re: {{ message }}', '{{missing}}'], {
+      customer_name: 'Asha',
+      message: 'Your demo is confirmed.\n\nSee you at 6 PM'
+    })).toEqual([
+      { type: 'text', text: 'Asha' },
+      { type: 'text', text: 'Re: Your demo is confirmed. See you at 6 PM' },
+      { type: 'text', text: '-' }
+    ]);
+  });
+
+  test('buildReplyMessages should split long replies and keep buttons on the last message', () => {
+    const messages = buildReplyMessages('Here is everything about our plans. '.repeat(150).trim(), ['Book a demo with our team', 'Pricing']);
+    const last = messages[messages.length - 1];
+
+    expect(messages.map(message => message.type)).toEqual([...Array(messages.length - 1).fill('text'), 'buttons']);
+    expect(last.buttons[0].title).toBe('Book a demo with our');
+    for (const message of messages) {
+      expect(validateMessagePayload(buildMessagePayload(to, message))).toEqual([]);
+    }
+  });
+
+  test('buildReplyMessages should send list options instead of buttons', () => {
+    const list = { buttonText: 'Pick a slot', options: [{ id: 'row_1', title: 'Tomorrow 6 PM' }, { id: 'row_2', title: 'Friday 11 AM' }] };
+    const [message] = buildReplyMessages('Which time works?', ['Book Demo'], list);
+
+    expect(message).toEqual({ type: 'list', text: 'Which time works?', buttonText: 'Pick a slot', sections: [{ rows: list.options }] });
+    expect(validateMessagePayload(buildMessagePayload(to, message))).toEqual([]);
+  });
+
+  test('sendPayload should reject invalid payloads before calling Meta', async () => {
+    await expect(sendPayload(to, { type: 'text', text: { body: '' } }, { phoneNumberId: '111', accessToken: 'token' }))
+      .rejects.toMatchObject({
+        statusCode: 400,
+        code: 'INVALID_WHATSAPP_MESSAGE',
+        details: ['text.body is required']
+      });
+  });
+});
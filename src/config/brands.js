@@ -0,0 +1,170 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Brand / WhatsApp number registry
+ *
+ * Each WhatsApp Business number belongs to one brand and carries its own
+ * Meta credentials, system prompt and welcome message. Inbound webhooks are
+ * routed by value.metadata.phone_number_id (or display_phone_number), and
+ * replies are sent with the credentials of the number the message came in on.
+ *
+ * WHATSAPP_NUMBERS is a JSON array of:
+ *   {
+ *     "phoneNumberId": "123456789",
+ *     "displayPhoneNumber": "+91 98765 43210",
+ *     "wabaId": "102290129340398",                         // WhatsApp Business Account (template registry)
+ *     "brand": "windchasers",
+ *     "accessTokenEnv": "WINDCHASERS_META_ACCESS_TOKEN",  // or "accessToken": "..."
+ *     "promptKey": "windchasers",
+ *     "welcomeMessage": "Hi! Welcome to Windchasers...",
+ *     "welcomeButtons": ["Learn More"],
+ *     "pipeline": { "send": true, "sync": true },         // message pipeline stage toggles
+ *     "windowTemplate": {                                  // sent instead of free-form messages
+ *       "name": "follow_up", "language": "en",             // outside the 24-hour window
+ *       "parameters": ["{{customer_name}}", "{{message}}"]
+ *     },
+ *     "messagesPerSecond": 20,                             // outbound pacing (see outboundDispatcher.js)
+ *     "readReceipts": false,                               // no blue ticks / typing indicator
+ *     "consent": {                                         // extra STOP/START keywords and
+ *       "optOutKeywords": ["alto"],                        // confirmations (see consentService.js)
+ *       "optOutMessage": "Unsubscribed. Reply START to resubscribe."
+ *     }
+ *   }
+ * META_PHONE_NUMBER_ID / META_ACCESS_TOKEN (and META_WABA_ID) are always
+ * registered as the default 'proxe' number, so single-number setups need no
+ * extra config.
+ */
+
+// Defaults for fields a number entry doesn't set
+const BRAND_DEFAULTS = {
+  proxe: {
+    promptKey: 'proxe',
+    welcomeMessage: "Hey! I'm PROXe. What brings you here today?",
+    welcomeButtons: ['Learn More']
+  }
+};
+
+const GENERIC_DEFAULTS = {
+  welcomeMessage: 'Hey! What brings you here today?',
+  welcomeButtons: ['Learn More']
+};
+
+let cachedSource = null;
+let cachedNumbers = [];
+
+/**
+ * Digits only, for comparing display numbers ("+91 98765 43210" vs "919876543210")
+ */
+function digitsOnly(value) {
+  return value ? String(value).replace(/\D/g, '') : '';
+}
+
+/**
+ * Fill in brand defaults and resolve the access token
+ * @param {object} entry - Raw registry entry
+ * @returns {object} Normalised number config
+ */
+function normaliseEntry(entry) {
+  const brand = entry.brand || 'proxe';
+  const defaults = BRAND_DEFAULTS[brand] || GENERIC_DEFAULTS;
+
+  return {
+    phoneNumberId: entry.phoneNumberId ? String(entry.phoneNumberId) : null,
+    displayPhoneNumber: entry.displayPhoneNumber || null,
+    wabaId: entry.wabaId ? String(entry.wabaId) : null,
+    brand,
+    accessToken: entry.accessToken || (entry.accessTokenEnv ? process.env[entry.accessTokenEnv] : null) || null,
+    promptKey: entry.promptKey || defaults.promptKey || brand,
+    welcomeMessage: entry.welcomeMessage || defaults.welcomeMessage,
+    welcomeButtons: Array.isArray(entry.welcomeButtons) ? entry.welcomeButtons : defaults.welcomeButtons,
+    pipeline: entry.pipeline && typeof entry.pipeline === 'object' ? entry.pipeline : {},
+    windowTemplate: entry.windowTemplate?.name ? entry.windowTemplate : null,
+    messagesPerSecond: Number(entry.messagesPerSecond) > 0 ? Number(entry.messagesPerSecond) : null,
+    readReceipts: entry.readReceipts !== false,
+    consent: entry.consent && typeof entry.consent === 'object' ? entry.consent : {}
+  };
+}
+
+/**
+ * All configured WhatsApp numbers (WHATSAPP_NUMBERS plus the META_* default)
+ * Re-parsed only when the environment changes.
+ * @returns {Array<object>} Number configs
+ */
+export function getWhatsAppNumbers() {
+  const source = `${process.env.WHATSAPP_NUMBERS || ''}|${process.env.META_PHONE_NUMBER_ID || ''}|${process.env.META_ACCESS_TOKEN || ''}|${process.env.META_WABA_ID || ''}`;
+  if (source === cachedSource) {
+    return cachedNumbers;
+  }
+
+  let entries = [];
+  if (process.env.WHATSAPP_NUMBERS) {
+    try {
+      const parsed = JSON.parse(process.env.WHATSAPP_NUMBERS);
+      entries = Array.isArray(parsed) ? parsed : [];
+      if (!Array.isArray(parsed)) {
+        logger.error('WHATSAPP_NUMBERS must be a JSON array - ignoring');
+      }
+    } catch (error) {
+      logger.error('Invalid WHATSAPP_NUMBERS JSON - ignoring', { error: error.message });
+    }
+  }
+
+  const numbers = entries.map(normaliseEntry);
+
+  const defaultId = process.env.META_PHONE_NUMBER_ID;
+  if (defaultId && !numbers.some(number => number.phoneNumberId === defaultId)) {
+    numbers.push(normaliseEntry({
+      phoneNumberId: defaultId,
+      brand: 'proxe',
+      accessToken: process.env.META_ACCESS_TOKEN,
+      wabaId: process.env.META_WABA_ID
+    }));
+  }
+
+  cachedSource = source;
+  cachedNumbers = numbers;
+  return numbers;
+}
+
+/**
+ * Find the number a webhook was delivered for
+ * Unknown numbers fall back to the default number so a misconfigured
+ * registry never drops customer messages.
+ * @param {object} identifiers - Values from webhook value.metadata
+ * @param {string} identifiers.phoneNumberId - metadata.phone_number_id
+ * @param {string} identifiers.displayPhoneNumber - metadata.display_phone_number
+ * @returns {object|null} Number config, or null if nothing is configured
+ */
+export function resolveWhatsAppNumber({ phoneNumberId, displayPhoneNumber } = {}) {
+  const numbers = getWhatsAppNumbers();
+
+  if (phoneNumberId) {
+    const match = numbers.find(number => number.phoneNumberId === String(phoneNumberId));
+    if (match) return match;
+  }
+
+  const display = digitsOnly(displayPhoneNumber);
+  if (display) {
+    const match = numbers.find(number => digitsOnly(number.displayPhoneNumber) === display);
+    if (match) return match;
+  }
+
+  const fallback = getWhatsAppNumberForBrand('proxe') || numbers[0] || null;
+  if ((phoneNumberId || displayPhoneNumber) && numbers.length > 0) {
+    logger.warn('Webhook for unregistered WhatsApp number - using default number', {
+      phoneNumberId,
+      displayPhoneNumber,
+      fallbackPhoneNumberId: fallback?.phoneNumberId
+    });
+  }
+  return fallback;
+}
+
+/**
+ * First number registered for a brand (outbound messages with no inbound number)
+ * @param {string} brand - Brand name
+ * @returns {object|null} Number config
+ */
+export function getWhatsAppNumberForBrand(brand) {
+  return getWhatsAppNumbers().find(number => number.brand === brand) || null;
+}
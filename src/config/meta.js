@@ -0,0 +1,16 @@
+/**
+ * Meta WhatsApp Cloud API configuration
+ * META_GRAPH_API_URL can point at a local mock of the Graph API for development.
+ */
+
+export const GRAPH_API_VERSION = process.env.META_GRAPH_API_VERSION || 'v22.0';
+
+/**
+ * Build a Graph API URL
+ * @param {string} path - Path after the version segment (e.g. '123/messages')
+ * @returns {string} Full URL
+ */
+export function getGraphApiUrl(path) {
+  const baseUrl = (process.env.META_GRAPH_API_URL || 'https://graph.facebook.com').replace(/\/+$/, '');
+  return `${baseUrl}/${GRAPH_API_VERSION}/${path.replace(/^\/+/, '')}`;
+}
@@ -36,13 +36,15 @@ export const supabase = new Proxy({}, {
 });
 
 // Service role client for admin operations (lazy)
+// Backend-only tables (jobs, processed_messages, event_*, campaigns, message_templates,
+// bookings) are only open to the service role, so their services use this client.
 let _supabaseAdmin = null;
 export const supabaseAdmin = new Proxy({}, {
   get(target, prop) {
     if (!_supabaseAdmin) {
       const serviceKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
       if (!serviceKey) {
-        return null;
+        throw new Error('Missing Supabase service key. Please set SUPABASE_SERVICE_KEY (or SUPABASE_SERVICE_ROLE_KEY) environment variable.');
       }
       const supabaseUrl = process.env.NEXT_PUBLIC_PROXE_SUPABASE_URL || 
                           process.env.NEXT_PUBLIC_SUPABASE_URL || 
@@ -52,7 +54,7 @@ export const supabaseAdmin = new Proxy({}, {
       }
       _supabaseAdmin = createClient(supabaseUrl, serviceKey);
     }
-    return _supabaseAdmin ? _supabaseAdmin[prop] : null;
+    return _supabaseAdmin[prop];
   }
 });
 
@@ -0,0 +1,24 @@
+-- Processed Meta message IDs (wamid) for idempotent webhook handling
+-- Rows expire after MESSAGE_DEDUP_TTL_MS (default 24h) and are purged by the backend
+
+CREATE TABLE IF NOT EXISTS processed_messages (
+  message_id TEXT PRIMARY KEY,
+  phone TEXT,
+  brand TEXT,
+  processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_messages_expires_at
+  ON processed_messages (expires_at);
+
+-- Trace conversation rows back to the Meta message that produced them
+CREATE INDEX IF NOT EXISTS idx_conversations_whatsapp_message_id
+  ON conversations ((metadata->>'whatsapp_message_id'));
+
+ALTER TABLE processed_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on processed_messages"
+  ON processed_messages FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,11 @@
+-- Storage bucket for inbound WhatsApp media (images, documents, audio, video)
+-- Files are stored as <lead_id>/<media_id>.<ext>; the path is saved in
+-- conversations.metadata.media.storage_path and conversations.message_type
+-- is set to 'image', 'document', 'audio' or 'video'.
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('whatsapp-media', 'whatsapp-media', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_message_type
+  ON conversations (message_type);
@@ -0,0 +1,6 @@
+-- Per-customer serialisation and burst coalescing for queued jobs
+-- Jobs sharing a group_key (brand:phone for inbound messages) run one batch at a time
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS group_key TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_group_key_status ON jobs (group_key, status);
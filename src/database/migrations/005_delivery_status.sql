@@ -0,0 +1,7 @@
+-- Delivery tracking for outbound messages (see src/services/deliveryStatusService.js)
+-- The outbound wamid lives in conversations.metadata.whatsapp_message_id (indexed in 001)
+-- and status transitions in conversations.metadata.delivery
+
+CREATE INDEX IF NOT EXISTS idx_conversations_delivery_status
+  ON conversations ((metadata->'delivery'->>'status'))
+  WHERE sender = 'agent';
@@ -0,0 +1,52 @@
+-- Outbound event forwarding (see src/services/eventForwardingService.js)
+
+CREATE TABLE IF NOT EXISTS event_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT,
+  event_types TEXT[] NOT NULL DEFAULT ARRAY['message.status'],
+  brands TEXT[],      -- NULL = all brands
+  statuses TEXT[],    -- NULL = all statuses
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One row per event per sink; attempt_log holds every HTTP attempt
+-- subscription_id is NULL for the built-in N8N_WHATSAPP_STATUS_WEBHOOK sink.
+-- No foreign key so the log survives a deleted subscription.
+CREATE TABLE IF NOT EXISTS event_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id UUID,
+  url TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'retrying', 'delivered', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_status_code INTEGER,
+  last_error TEXT,
+  last_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  attempt_log JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_subscriptions_active ON event_subscriptions (active);
+CREATE INDEX IF NOT EXISTS idx_event_deliveries_subscription ON event_deliveries (subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_event_deliveries_status ON event_deliveries (status, created_at DESC);
+
+ALTER TABLE event_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on event_subscriptions"
+  ON event_subscriptions FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Service role full access on event_deliveries"
+  ON event_deliveries FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,6 @@
+-- Click-to-WhatsApp ad attribution (see src/services/attributionService.js)
+-- Stored in all_leads.unified_context.attribution; first_touch is the ad that brought the lead in
+
+CREATE INDEX IF NOT EXISTS idx_all_leads_attribution_source
+  ON all_leads ((unified_context->'attribution'->'first_touch'->>'source_id'))
+  WHERE unified_context ? 'attribution';
@@ -0,0 +1,5 @@
+-- Previous WhatsApp numbers of customers who changed number (see src/services/numberChangeService.js)
+-- Entries: { phone, normalized, changed_at, whatsapp_message_id }
+
+ALTER TABLE all_leads ADD COLUMN IF NOT EXISTS phone_history JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE whatsapp_sessions ADD COLUMN IF NOT EXISTS phone_history JSONB NOT NULL DEFAULT '[]'::jsonb;
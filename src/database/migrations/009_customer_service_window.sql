@@ -0,0 +1,8 @@
+-- Meta's 24-hour customer service window (see src/services/whatsappClient.js)
+-- Free-form messages are only allowed within 24 hours of the customer's last message
+
+ALTER TABLE whatsapp_sessions ADD COLUMN IF NOT EXISTS last_inbound_at TIMESTAMPTZ;
+
+-- Existing sessions: best guess from the last message either way. If Meta disagrees
+-- (error 131047) the client still falls back to the brand's template
+UPDATE whatsapp_sessions SET last_inbound_at = last_message_at WHERE last_inbound_at IS NULL;
@@ -0,0 +1,17 @@
+-- Messages sent by a person from the dashboard through POST /api/whatsapp/send
+-- are logged with sender = 'human' (automations use 'agent').
+-- conversations.sender is an enum; its type name is looked up rather than assumed.
+
+DO $$
+DECLARE
+  sender_type regtype;
+BEGIN
+  SELECT atttypid::regtype INTO sender_type
+  FROM pg_attribute
+  WHERE attrelid = 'conversations'::regclass AND attname = 'sender';
+
+  IF EXISTS (SELECT 1 FROM pg_type WHERE oid = sender_type AND typtype = 'e') THEN
+    EXECUTE format('ALTER TYPE %s ADD VALUE IF NOT EXISTS %L', sender_type, 'human');
+  END IF;
+END $$;
+
@@ -0,0 +1,60 @@
+-- Broadcast campaigns (see src/services/campaignService.js)
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  brand TEXT NOT NULL,
+  phone_number_id TEXT,           -- NULL = the brand's number
+  audience JSONB NOT NULL DEFAULT '{}'::jsonb,
+  template JSONB NOT NULL,        -- { name, language, parameters | components }
+  variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+  messages_per_second NUMERIC,
+  status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'scheduled', 'sending', 'completed', 'cancelled')),
+  scheduled_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  recipient_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One row per lead in the audience when the campaign was scheduled
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  lead_id UUID NOT NULL,
+  phone TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sent', 'delivered', 'read', 'replied', 'failed', 'skipped')),
+  whatsapp_message_id TEXT,
+  conversation_id UUID,
+  error TEXT,
+  send_at TIMESTAMPTZ,
+  sent_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  read_at TIMESTAMPTZ,
+  failed_at TIMESTAMPTZ,
+  replied_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (campaign_id, lead_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns (status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_status ON campaign_recipients (campaign_id, status);
+-- Reply attribution: a lead's most recent campaign message
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_lead ON campaign_recipients (lead_id, sent_at DESC);
+
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_recipients ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on campaigns"
+  ON campaigns FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Service role full access on campaign_recipients"
+  ON campaign_recipients FOR ALL
+  USING (true)
+  WITH CHECK (true);
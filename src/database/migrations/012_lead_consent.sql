@@ -0,0 +1,11 @@
+-- WhatsApp marketing consent per lead (see src/services/consentService.js)
+-- NULL status = never asked; messages we start are refused for 'opted_out'
+
+ALTER TABLE all_leads ADD COLUMN IF NOT EXISTS consent_status TEXT
+  CHECK (consent_status IN ('opted_in', 'opted_out'));
+ALTER TABLE all_leads ADD COLUMN IF NOT EXISTS consent_source TEXT;          -- whatsapp_keyword, api, web_form, ...
+ALTER TABLE all_leads ADD COLUMN IF NOT EXISTS consent_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_all_leads_opted_out
+  ON all_leads (brand)
+  WHERE consent_status = 'opted_out';
@@ -0,0 +1,31 @@
+-- WhatsApp message template registry (see src/services/templateService.js)
+-- Synced from each WhatsApp Business Account; status follows Meta's
+-- message_template_status_update webhooks
+
+CREATE TABLE IF NOT EXISTS message_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  waba_id TEXT NOT NULL,
+  meta_template_id TEXT,
+  name TEXT NOT NULL,
+  language TEXT NOT NULL,
+  category TEXT,                    -- MARKETING, UTILITY, AUTHENTICATION
+  status TEXT NOT NULL,             -- APPROVED, PENDING, REJECTED, PAUSED, DISABLED, DELETED, ...
+  components JSONB NOT NULL DEFAULT '[]'::jsonb,
+  parameter_format TEXT NOT NULL DEFAULT 'POSITIONAL',  -- POSITIONAL ({{1}}) or NAMED ({{first_name}})
+  rejected_reason TEXT,
+  synced_at TIMESTAMPTZ,
+  status_updated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (waba_id, name, language)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_templates_meta_id ON message_templates (waba_id, meta_template_id);
+CREATE INDEX IF NOT EXISTS idx_message_templates_status ON message_templates (status);
+
+ALTER TABLE message_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on message_templates"
+  ON message_templates FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,35 @@
+-- Demo call bookings made in WhatsApp conversations (see src/services/scheduleService.js)
+-- The lead's current booking is also copied to all_leads.unified_context
+-- (booking_date, booking_time, booking_status) for the greeting logic
+
+CREATE TABLE IF NOT EXISTS bookings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL,
+  brand TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'demo_call',
+  start_at TIMESTAMPTZ NOT NULL,
+  end_at TIMESTAMPTZ NOT NULL,
+  timezone TEXT NOT NULL,             -- IANA zone the slot was offered in, e.g. Asia/Kolkata
+  status TEXT NOT NULL DEFAULT 'confirmed'
+    CHECK (status IN ('confirmed', 'cancelled')),
+  source TEXT NOT NULL DEFAULT 'whatsapp',
+  notes TEXT,
+  cancel_reason TEXT,
+  rescheduled_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One confirmed booking per slot and brand
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_slot
+  ON bookings (brand, start_at)
+  WHERE status = 'confirmed';
+CREATE INDEX IF NOT EXISTS idx_bookings_lead ON bookings (lead_id, start_at DESC);
+
+ALTER TABLE bookings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on bookings"
+  ON bookings FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,14 @@
+-- Limit the "Service role full access" policies to the service_role
+-- Without TO service_role they applied to every role, so anyone with the
+-- public anon key could read and write these tables (queued messages,
+-- event signing secrets, bookings, campaign recipients). The backend reaches
+-- them through supabaseAdmin, so SUPABASE_SERVICE_KEY is required.
+
+ALTER POLICY "Service role full access on processed_messages" ON processed_messages TO service_role;
+ALTER POLICY "Service role full access on jobs" ON jobs TO service_role;
+ALTER POLICY "Service role full access on event_subscriptions" ON event_subscriptions TO service_role;
+ALTER POLICY "Service role full access on event_deliveries" ON event_deliveries TO service_role;
+ALTER POLICY "Service role full access on campaigns" ON campaigns TO service_role;
+ALTER POLICY "Service role full access on campaign_recipients" ON campaign_recipients TO service_role;
+ALTER POLICY "Service role full access on message_templates" ON message_templates TO service_role;
+ALTER POLICY "Service role full access on bookings" ON bookings TO service_role;
@@ -0,0 +1,2 @@
+-- Completed jobs are purged after JOB_RETENTION_DAYS (see jobQueueService)
+CREATE INDEX IF NOT EXISTS idx_jobs_completed_at ON jobs (completed_at) WHERE status = 'completed';
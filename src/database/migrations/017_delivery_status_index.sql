@@ -0,0 +1,9 @@
+-- Widen the delivery status index from 005 to messages sent by a person
+-- Dashboard sends (sender = 'human', see outboundMessageService) are tracked
+-- and queried (getLeadDeliveryStates) the same way as the agent's own replies.
+
+DROP INDEX IF EXISTS idx_conversations_delivery_status;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_delivery_status
+  ON conversations ((metadata->'delivery'->>'status'))
+  WHERE sender IN ('agent', 'human');
@@ -0,0 +1,8 @@
+-- Job priority: due jobs are claimed highest priority first, then by run_at,
+-- so inbound customer messages are not queued behind a campaign's sends
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_pending_priority
+  ON jobs (priority DESC, run_at)
+  WHERE status = 'pending';
@@ -0,0 +1,6 @@
+-- A reply split into several WhatsApp messages keeps every wamid in
+-- conversations.metadata.whatsapp_message_ids; status webhooks for the
+-- earlier parts are matched through it (see findMessageByWhatsAppId)
+
+CREATE INDEX IF NOT EXISTS idx_conversations_whatsapp_message_ids
+  ON conversations USING GIN ((metadata->'whatsapp_message_ids'));
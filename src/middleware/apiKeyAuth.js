@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+import { AppError } from './errorHandler.js';
+
+/**
+ * Require a valid admin API key in the x-api-key header
+ * Protects operational endpoints (job replay, etc.) that must not be public.
+ * Key is configured via ADMIN_API_KEY.
+ */
+export const requireApiKey = (req, res, next) => {
+  const expectedKey = process.env.ADMIN_API_KEY;
+
+  if (!expectedKey) {
+    return next(new AppError('ADMIN_API_KEY not configured', 503));
+  }
+
+  if (!keysMatch(req.get('x-api-key'), expectedKey)) {
+    return next(new AppError('Invalid or missing API key', 401));
+  }
+
+  next();
+};
+
+/**
+ * Constant-time key comparison (timingSafeEqual needs equal-length buffers)
+ */
+function keysMatch(provided, expected) {
+  const providedBuffer = Buffer.from(provided || '');
+  const expectedBuffer = Buffer.from(expected);
+  return providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
@@ -32,6 +32,7 @@ export const errorHandler = (err, req, res, next) => {
     res.status(statusCode).json({
       error: message,
       statusCode: statusCode,
+      ...(err.code && typeof err.code === 'string' && { code: err.code }),
       path: req.path,
       method: req.method,
       ...(process.env.NODE_ENV !== 'production' && { 
@@ -0,0 +1,61 @@
+import { logger } from '../utils/logger.js';
+import { PROXE_STATIC_PROMPT, getProxeContextPrompt, PROXE_BUTTONS } from './proxe-prompt.js';
+
+/**
+ * System prompts by prompt key (see promptKey in config/brands.js)
+ * Each has a static part, identical for every customer, and a function that
+ * builds the per-customer part from the knowledge base and customer context.
+ * Add a brand's prompt module here to give it its own persona.
+ */
+const SYSTEM_PROMPTS = {
+  proxe: { staticPrompt: PROXE_STATIC_PROMPT, buildContextPrompt: getProxeContextPrompt }
+};
+
+/**
+ * Buttons each prompt offers Claude (the reply tool's `buttons` field)
+ */
+const BUTTON_CATALOGUES = {
+  proxe: PROXE_BUTTONS
+};
+
+/**
+ * Get the system prompt for a brand
+ * Unknown keys fall back to the PROXe prompt.
+ * @param {string} promptKey - Prompt key (usually the brand name)
+ * @param {string} context - Knowledge base and customer context
+ * @returns {string} Complete system prompt
+ */
+export function getSystemPrompt(promptKey, context) {
+  const { staticPrompt, contextPrompt } = getSystemPromptParts(promptKey, context);
+  return `${staticPrompt}\n\n${contextPrompt}`;
+}
+
+/**
+ * Get the system prompt for a brand, split for prompt caching
+ * Unknown keys fall back to the PROXe prompt.
+ * @param {string} promptKey - Prompt key (usually the brand name)
+ * @param {string} context - Knowledge base and customer context
+ * @returns {object} { staticPrompt (same for every customer), contextPrompt }
+ */
+export function getSystemPromptParts(promptKey, context) {
+  let prompt = SYSTEM_PROMPTS[promptKey];
+  if (!prompt) {
+    if (promptKey) {
+      logger.warn(`No system prompt registered for '${promptKey}' - using PROXe prompt`);
+    }
+    prompt = SYSTEM_PROMPTS.proxe;
+  }
+  return { staticPrompt: prompt.staticPrompt, contextPrompt: prompt.buildContextPrompt(context) };
+}
+
+/**
+ * Get the button labels a brand's prompt lets Claude suggest
+ * Unknown keys get the PROXe buttons, matching the prompt they fall back to;
+ * a prompt without a catalogue gets none.
+ * @param {string} promptKey - Prompt key (usually the brand name)
+ * @returns {Array<string>} Allowed button labels
+ */
+export function getButtonCatalogue(promptKey) {
+  const buttons = SYSTEM_PROMPTS[promptKey] ? BUTTON_CATALOGUES[promptKey] || [] : PROXE_BUTTONS;
+  return buttons.map(button => button.label);
+}
@@ -0,0 +1,39 @@
+import express from 'express';
+import { z } from 'zod';
+import { getAttributionReport } from '../services/attributionService.js';
+import { requireApiKey } from '../middleware/apiKeyAuth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+// Validation schema
+const reportSchema = z.object({
+  brand: z.string().min(1).optional(),
+  since: z.string().datetime().optional(),
+  until: z.string().datetime().optional()
+});
+
+/**
+ * GET /api/attribution/report
+ * Leads and bookings per Click-to-WhatsApp ad (first touch)
+ */
+router.get('/report', async (req, res, next) => {
+  try {
+    const validation = reportSchema.safeParse(req.query);
+    if (!validation.success) {
+      throw new AppError('Invalid query parameters', 400);
+    }
+
+    const report = await getAttributionReport(validation.data);
+    res.json({
+      filters: validation.data,
+      ...report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
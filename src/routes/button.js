@@ -1,7 +1,7 @@
 import express from 'express';
 import { z } from 'zod';
 import { handleButtonAction } from '../services/buttonService.js';
-import { formatWhatsAppResponse } from '../services/responseFormatter.js';
+import { formatWhatsAppResponse, formatWhatsAppMessages } from '../services/responseFormatter.js';
 import { AppError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -32,7 +32,17 @@ router.post('/action', async (req, res, next) => {
     const formatted = formatWhatsAppResponse(
       result.message,
       result.responseType || 'text_only',
-      result.buttons || []
+      result.buttons || [],
+      {},
+      result.list
+    );
+    // Knowledge base answers can be long - split for sending in order
+    const payloads = formatWhatsAppMessages(
+      result.message,
+      result.responseType || 'text_only',
+      result.buttons || [],
+      {},
+      result.list
     );
 
     res.json({
@@ -41,6 +51,7 @@ router.post('/action', async (req, res, next) => {
       message: result.message,
       responseType: result.responseType,
       whatsappPayload: formatted,
+      whatsappPayloads: payloads,
       metadata: result
     });
   } catch (error) {
@@ -0,0 +1,207 @@
+import express from 'express';
+import { z } from 'zod';
+import {
+  CAMPAIGN_STATUSES,
+  RECIPIENT_STATUSES,
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  previewAudience,
+  scheduleCampaign,
+  cancelCampaign,
+  listCampaignRecipients
+} from '../services/campaignService.js';
+import { requireApiKey } from '../middleware/apiKeyAuth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+// Validation schemas
+const audienceSchema = z.object({
+  firstTouchpoint: z.array(z.string()).optional(),
+  lastTouchpoint: z.array(z.string()).optional(),
+  booking: z.enum(['booked', 'not_booked']).optional(),
+  tags: z.array(z.string().min(1)).optional(),
+  lastInteractionAfter: z.string().datetime().optional(),
+  lastInteractionBefore: z.string().datetime().optional()
+}).strict();
+
+// Approved template; string parameters may use {{customer_name}} etc., filled per lead
+const templateSchema = z.object({
+  name: z.string().min(1),
+  language: z.string().min(2).optional(),
+  parameters: z.array(z.union([z.string(), z.record(z.any())])).optional(),
+  components: z.array(z.record(z.any())).optional()
+});
+
+const createSchema = z.object({
+  name: z.string().min(1).max(200),
+  brand: z.enum(['proxe', 'windchasers']),
+  // Business number to send from (defaults to the brand's)
+  phoneNumberId: z.string().optional(),
+  audience: audienceSchema.default({}),
+  template: templateSchema,
+  // Campaign-wide {{placeholders}} (e.g. an offer code)
+  variables: z.record(z.string()).optional(),
+  messagesPerSecond: z.number().positive().max(80).optional()
+});
+
+const listSchema = z.object({
+  status: z.enum(CAMPAIGN_STATUSES).optional(),
+  brand: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional()
+});
+
+const scheduleSchema = z.object({
+  sendAt: z.string().datetime().optional()
+});
+
+const recipientsSchema = z.object({
+  status: z.enum(RECIPIENT_STATUSES).optional(),
+  limit: z.coerce.number().int().min(1).max(1000).optional()
+});
+
+function invalidRequest(validation, message) {
+  const error = new AppError(message, 400);
+  error.details = validation.error.issues.map(issue => `${issue.path.join('.') || 'body'}: ${issue.message}`);
+  return error;
+}
+
+/**
+ * GET /api/campaigns
+ * List campaigns, newest first
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const validation = listSchema.safeParse(req.query);
+    if (!validation.success) {
+      throw new AppError('Invalid query parameters', 400);
+    }
+
+    const campaigns = await listCampaigns(validation.data);
+    res.json({
+      count: campaigns.length,
+      campaigns
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/campaigns
+ * Create a draft campaign (nothing is sent until it is scheduled)
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validation = createSchema.safeParse(req.body);
+    if (!validation.success) {
+      throw invalidRequest(validation, 'Invalid campaign');
+    }
+
+    const campaign = await createCampaign(validation.data);
+    res.status(201).json(campaign);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/campaigns/:campaignId
+ * Campaign with recipient counts per status
+ */
+router.get('/:campaignId', async (req, res, next) => {
+  try {
+    const campaign = await getCampaign(req.params.campaignId);
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
+    }
+
+    res.json(campaign);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/campaigns/:campaignId/audience
+ * Leads the audience matches right now, with sample rendered messages
+ */
+router.get('/:campaignId/audience', async (req, res, next) => {
+  try {
+    const preview = await previewAudience(req.params.campaignId);
+    if (!preview) {
+      throw new AppError('Campaign not found', 404);
+    }
+
+    res.json(preview);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/campaigns/:campaignId/schedule
+ * Snapshot the audience and start sending at sendAt (default now)
+ */
+router.post('/:campaignId/schedule', async (req, res, next) => {
+  try {
+    const validation = scheduleSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      throw invalidRequest(validation, 'Invalid schedule');
+    }
+
+    const campaign = await scheduleCampaign(req.params.campaignId, validation.data);
+    res.json({
+      status: 'scheduled',
+      campaign
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/campaigns/:campaignId/cancel
+ * Stop a campaign; recipients not yet messaged are skipped
+ */
+router.post('/:campaignId/cancel', async (req, res, next) => {
+  try {
+    const campaign = await cancelCampaign(req.params.campaignId);
+    if (!campaign) {
+      throw new AppError('Campaign not found or already finished', 404);
+    }
+
+    res.json({
+      status: 'cancelled',
+      campaign
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/campaigns/:campaignId/recipients
+ * Per-recipient status (e.g. ?status=failed)
+ */
+router.get('/:campaignId/recipients', async (req, res, next) => {
+  try {
+    const validation = recipientsSchema.safeParse(req.query);
+    if (!validation.success) {
+      throw new AppError('Invalid query parameters', 400);
+    }
+
+    const recipients = await listCampaignRecipients(req.params.campaignId, validation.data);
+    res.json({
+      count: recipients.length,
+      recipients
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,59 @@
+import express from 'express';
+import { z } from 'zod';
+import { CONSENT_STATUSES, getLeadConsent, setLeadConsent } from '../services/consentService.js';
+import { requireApiKey } from '../middleware/apiKeyAuth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+// Validation schema
+const consentSchema = z.object({
+  status: z.enum(CONSENT_STATUSES),
+  // Where consent was given or withdrawn, e.g. web_form, dashboard, import
+  source: z.string().min(1).max(100).default('api')
+});
+
+/**
+ * GET /api/consent/:leadId
+ * A lead's WhatsApp marketing consent
+ */
+router.get('/:leadId', async (req, res, next) => {
+  try {
+    const consent = await getLeadConsent(req.params.leadId);
+    if (!consent) {
+      throw new AppError('Lead not found', 404);
+    }
+
+    res.json(consent);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/consent/:leadId
+ * Record consent captured outside WhatsApp (forms, dashboard, imports)
+ */
+router.put('/:leadId', async (req, res, next) => {
+  try {
+    const validation = consentSchema.safeParse(req.body);
+    if (!validation.success) {
+      const error = new AppError('Invalid consent', 400);
+      error.details = validation.error.issues.map(issue => `${issue.path.join('.') || 'body'}: ${issue.message}`);
+      throw error;
+    }
+
+    const consent = await setLeadConsent(req.params.leadId, validation.data.status, { source: validation.data.source });
+    if (!consent) {
+      throw new AppError('Lead not found', 404);
+    }
+
+    res.json(consent);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
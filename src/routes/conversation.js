@@ -1,5 +1,7 @@
 import express from 'express';
+import { z } from 'zod';
 import { getConversationHistory } from '../services/conversationService.js';
+import { getLeadDeliveryStates, DELIVERY_STATUSES } from '../services/deliveryStatusService.js';
 import { AppError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -28,6 +30,37 @@ router.get('/:customerId', async (req, res, next) => {
   }
 });
 
+// Validation schema
+const deliveryQuerySchema = z.object({
+  status: z.enum(DELIVERY_STATUSES).optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional()
+});
+
+/**
+ * GET /api/conversation/:customerId/delivery
+ * Delivery state (sent/delivered/read/failed) of the lead's outbound messages
+ */
+router.get('/:customerId/delivery', async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+
+    const validation = deliveryQuerySchema.safeParse(req.query);
+    if (!validation.success) {
+      throw new AppError('Invalid query parameters', 400);
+    }
+
+    const { summary, messages } = await getLeadDeliveryStates(customerId, validation.data);
+    res.json({
+      customerId,
+      messageCount: messages.length,
+      summary,
+      messages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
 
 
@@ -0,0 +1,169 @@
+import express from 'express';
+import { z } from 'zod';
+import {
+  EVENT_TYPES,
+  listEventSubscriptions,
+  createEventSubscription,
+  updateEventSubscription,
+  deleteEventSubscription,
+  listEventDeliveries,
+  getEventDelivery,
+  redeliverEvent
+} from '../services/eventForwardingService.js';
+import { DELIVERY_STATUSES } from '../services/deliveryStatusService.js';
+import { requireApiKey } from '../middleware/apiKeyAuth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+// Validation schemas
+const subscriptionSchema = z.object({
+  name: z.string().min(1).max(100),
+  url: z.string().url(),
+  secret: z.string().min(16).optional(),
+  eventTypes: z.array(z.enum(EVENT_TYPES)).optional(),
+  brands: z.array(z.string().min(1)).optional(),
+  statuses: z.array(z.enum(DELIVERY_STATUSES)).optional(),
+  active: z.boolean().optional()
+});
+
+const deliveryListSchema = z.object({
+  subscriptionId: z.string().uuid().optional(),
+  status: z.enum(['pending', 'retrying', 'delivered', 'failed', 'cancelled']).optional(),
+  eventType: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional()
+});
+
+/**
+ * GET /api/events/subscriptions
+ * List webhook sinks (secrets are not returned)
+ */
+router.get('/subscriptions', async (req, res, next) => {
+  try {
+    const subscriptions = await listEventSubscriptions();
+    res.json({
+      count: subscriptions.length,
+      subscriptions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/events/subscriptions
+ * Register a sink; the signing secret is only returned in this response
+ */
+router.post('/subscriptions', async (req, res, next) => {
+  try {
+    const validation = subscriptionSchema.safeParse(req.body);
+    if (!validation.success) {
+      throw new AppError('Invalid subscription data', 400);
+    }
+
+    const subscription = await createEventSubscription(validation.data);
+    res.status(201).json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/events/subscriptions/:subscriptionId
+ * Change filters, URL, secret or pause a sink (active: false)
+ */
+router.patch('/subscriptions/:subscriptionId', async (req, res, next) => {
+  try {
+    const validation = subscriptionSchema.partial().safeParse(req.body);
+    if (!validation.success) {
+      throw new AppError('Invalid subscription data', 400);
+    }
+
+    const subscription = await updateEventSubscription(req.params.subscriptionId, validation.data);
+    if (!subscription) {
+      throw new AppError('Subscription not found', 404);
+    }
+
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/events/subscriptions/:subscriptionId
+ */
+router.delete('/subscriptions/:subscriptionId', async (req, res, next) => {
+  try {
+    const deleted = await deleteEventSubscription(req.params.subscriptionId);
+    if (!deleted) {
+      throw new AppError('Subscription not found', 404);
+    }
+
+    res.json({ status: 'deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/events/deliveries
+ * Delivery log (e.g. ?status=failed)
+ */
+router.get('/deliveries', async (req, res, next) => {
+  try {
+    const validation = deliveryListSchema.safeParse(req.query);
+    if (!validation.success) {
+      throw new AppError('Invalid query parameters', 400);
+    }
+
+    const deliveries = await listEventDeliveries(validation.data);
+    res.json({
+      count: deliveries.length,
+      deliveries
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/events/deliveries/:deliveryId
+ * A delivery with its payload and attempt log
+ */
+router.get('/deliveries/:deliveryId', async (req, res, next) => {
+  try {
+    const delivery = await getEventDelivery(req.params.deliveryId);
+    if (!delivery) {
+      throw new AppError('Delivery not found', 404);
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/events/deliveries/:deliveryId/redeliver
+ * Send a delivery again
+ */
+router.post('/deliveries/:deliveryId/redeliver', async (req, res, next) => {
+  try {
+    const delivery = await redeliverEvent(req.params.deliveryId);
+    if (!delivery) {
+      throw new AppError('Delivery not found', 404);
+    }
+
+    res.json({
+      status: 'requeued',
+      delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,76 @@
+import express from 'express';
+import { z } from 'zod';
+import { listJobs, getJob, replayJob } from '../services/jobQueueService.js';
+import { requireApiKey } from '../middleware/apiKeyAuth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+// Validation schema
+const listSchema = z.object({
+  status: z.enum(['pending', 'processing', 'completed', 'dead']).optional(),
+  type: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional()
+});
+
+/**
+ * GET /api/jobs
+ * List queued jobs (e.g. ?status=dead for the dead-letter queue)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const validation = listSchema.safeParse(req.query);
+    if (!validation.success) {
+      throw new AppError('Invalid query parameters', 400);
+    }
+
+    const jobs = await listJobs(validation.data);
+    res.json({
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Fetch a single job with its payload and last error
+ */
+router.get('/:jobId', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.jobId);
+    if (!job) {
+      throw new AppError('Job not found', 404);
+    }
+
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/jobs/:jobId/replay
+ * Reset a job (usually dead-lettered) and run it again
+ */
+router.post('/:jobId/replay', async (req, res, next) => {
+  try {
+    const job = await replayJob(req.params.jobId);
+    if (!job) {
+      throw new AppError('Job not found', 404);
+    }
+
+    res.json({
+      status: 'requeued',
+      job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -2,10 +2,12 @@ import express from 'express';
 import { z } from 'zod';
 import {
   formatWhatsAppResponse,
+  formatWhatsAppMessages,
   formatCarouselResponse,
   formatListResponse,
   formatTemplateResponse
 } from '../services/responseFormatter.js';
+import { checkTemplateSend } from '../services/templateService.js';
 import { AppError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -21,7 +23,9 @@ const formatSchema = z.object({
   customerId: z.string().uuid().optional(),
   items: z.array(z.any()).optional(), // For carousel/list
   templateName: z.string().optional(), // For template
-  templateParams: z.array(z.any()).optional() // For template
+  templateLanguage: z.string().min(2).optional(), // For template (default 'en')
+  templateParams: z.array(z.any()).optional(), // For template
+  phoneNumberId: z.string().optional() // Number that will send it - its WABA's template registry is checked
 });
 
 /**
@@ -35,17 +39,21 @@ router.post('/format', async (req, res, next) => {
       throw new AppError('Invalid request data', 400);
     }
 
-    const { text, responseType, buttons, items, templateName, templateParams } = validation.data;
+    const { text, responseType, buttons, items, templateName, templateLanguage, templateParams, phoneNumberId } = validation.data;
 
     let formatted;
+    // Long text replies may need several messages - n8n sends them in order
+    let payloads = null;
 
     switch (responseType) {
       case 'text_only':
         formatted = formatWhatsAppResponse(text, 'text_only');
+        payloads = formatWhatsAppMessages(text, 'text_only');
         break;
 
       case 'text_with_buttons':
         formatted = formatWhatsAppResponse(text, 'text_with_buttons', buttons || []);
+        payloads = formatWhatsAppMessages(text, 'text_with_buttons', buttons || []);
         break;
 
       case 'carousel':
@@ -66,7 +74,9 @@ router.post('/format', async (req, res, next) => {
         if (!templateName) {
           throw new AppError('templateName required for template response', 400);
         }
-        formatted = formatTemplateResponse(templateName, 'en', templateParams || []);
+        formatted = formatTemplateResponse(templateName, templateLanguage || 'en', templateParams || []);
+        // Unknown, unapproved or wrong parameters fail here rather than at Meta
+        await checkTemplateSend(formatted.template, { phoneNumberId });
         break;
 
       default:
@@ -76,6 +86,7 @@ router.post('/format', async (req, res, next) => {
     res.json({
       status: 'success',
       whatsappPayload: formatted,
+      whatsappPayloads: payloads || [formatted],
       responseType
     });
   } catch (error) {
@@ -37,13 +37,13 @@ router.post('/booking', async (req, res, next) => {
 });
 
 /**
- * GET /api/schedule/slots
- * Get available time slots
+ * GET /api/schedule/slots?date=YYYY-MM-DD&brand=proxe
+ * Get available time slots (free demo call slots from the bookings table)
  */
 router.get('/slots', async (req, res, next) => {
   try {
-    const { date } = req.query;
-    const slots = await getAvailableTimeSlots(date || null);
+    const { date, brand } = req.query;
+    const slots = await getAvailableTimeSlots(date || null, brand || 'proxe');
 
     res.json({
       status: 'success',
@@ -0,0 +1,118 @@
+import express from 'express';
+import { z } from 'zod';
+import { listTemplates, getTemplate, syncTemplates, checkTemplateSend } from '../services/templateService.js';
+import { buildMessagePayload } from '../services/whatsappClient.js';
+import { requireApiKey } from '../middleware/apiKeyAuth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+// Validation schemas
+const listSchema = z.object({
+  wabaId: z.string().optional(),
+  status: z.string().optional(),
+  category: z.string().optional(),
+  name: z.string().optional(),
+  language: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(500).optional()
+});
+
+const syncSchema = z.object({
+  wabaId: z.string().optional()
+});
+
+// Same template description as /api/whatsapp/send
+const validateSchema = z.object({
+  phoneNumberId: z.string().optional(),
+  name: z.string().min(1),
+  language: z.string().min(2).optional(),
+  parameters: z.array(z.union([z.string(), z.record(z.any())])).optional(),
+  components: z.array(z.record(z.any())).optional()
+});
+
+/**
+ * GET /api/templates
+ * Registered templates (e.g. ?status=APPROVED)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const validation = listSchema.safeParse(req.query);
+    if (!validation.success) {
+      throw new AppError('Invalid query parameters', 400);
+    }
+
+    const templates = await listTemplates(validation.data);
+    res.json({
+      count: templates.length,
+      templates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/templates/sync
+ * Pull templates from Meta (one WABA, or every WABA in the brand registry)
+ */
+router.post('/sync', async (req, res, next) => {
+  try {
+    const validation = syncSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      throw new AppError('Invalid request data', 400);
+    }
+
+    const accounts = await syncTemplates(validation.data);
+    res.json({
+      status: 'synced',
+      accounts
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/templates/validate
+ * Check a template message against the registry without sending it
+ */
+router.post('/validate', async (req, res, next) => {
+  try {
+    const validation = validateSchema.safeParse(req.body);
+    if (!validation.success) {
+      throw new AppError('Invalid request data', 400);
+    }
+
+    const { phoneNumberId, ...message } = validation.data;
+    const payload = buildMessagePayload('0', { type: 'template', ...message });
+    const template = await checkTemplateSend(payload.template, { phoneNumberId });
+
+    res.json({
+      status: template ? 'valid' : 'unchecked',
+      template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/templates/:templateId
+ * One template with the parameters it expects
+ */
+router.get('/:templateId', async (req, res, next) => {
+  try {
+    const template = await getTemplate(req.params.templateId);
+    if (!template) {
+      throw new AppError('Template not found', 404);
+    }
+
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,103 +1,21 @@
 import express from 'express';
 import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import { resolveWhatsAppNumber } from '../config/brands.js';
+import { claimMessageId, releaseMessageId } from '../services/messageDedupService.js';
+import { enqueueJob, registerJobHandler, JOB_PRIORITIES } from '../services/jobQueueService.js';
+import { extractMediaReference, describeMedia } from '../services/mediaService.js';
+import { extractReferral } from '../services/attributionService.js';
+import { extractNumberChange, migrateCustomerNumber } from '../services/numberChangeService.js';
+import { queueStatusUpdate, toStatusEvent } from '../services/deliveryStatusService.js';
+import { publishEvent } from '../services/eventForwardingService.js';
+import { queueTemplateStatusUpdate } from '../services/templateService.js';
+import { runMessagePipeline } from '../services/messagePipeline.js';
 
 const router = express.Router();
 
-/**
- * Send WhatsApp message via Meta API
- * @param {string} to - Recipient phone number
- * @param {string} message - Message text to send
- * @param {Array<string>} buttons - Optional array of button labels
- * @returns {Promise<Object>} - API response
- */
-async function sendWhatsAppMessage(to, message, buttons = null) {
-  const phoneNumberId = process.env.META_PHONE_NUMBER_ID;
-  const accessToken = process.env.META_ACCESS_TOKEN;
-
-  if (!phoneNumberId || !accessToken) {
-    logger.error('Meta WhatsApp API credentials not configured', {
-      hasPhoneNumberId: !!phoneNumberId,
-      hasAccessToken: !!accessToken
-    });
-    throw new Error('WhatsApp API credentials not configured');
-  }
-
-  const url = `https://graph.facebook.com/v22.0/${phoneNumberId}/messages`;
-  
-  let payload;
-  
-  // If buttons provided, send interactive message
-  if (buttons && buttons.length > 0 && buttons.length <= 3) {
-    payload = {
-      messaging_product: 'whatsapp',
-      to: to,
-      type: 'interactive',
-      interactive: {
-        type: 'button',
-        body: {
-          text: message
-        },
-        action: {
-          buttons: buttons.slice(0, 3).map((label, index) => ({
-            type: 'reply',
-            reply: {
-              id: `btn_${index + 1}`,
-              title: label.length > 20 ? label.substring(0, 20) : label
-            }
-          }))
-        }
-      }
-    };
-  } else {
-    // Plain text message
-    payload = {
-      messaging_product: 'whatsapp',
-      to: to,
-      text: {
-        body: message
-      }
-    };
-  }
-
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    const responseData = await response.json();
-
-    if (!response.ok) {
-      logger.error('Failed to send WhatsApp message', {
-        status: response.status,
-        statusText: response.statusText,
-        error: responseData
-      });
-      throw new Error(`WhatsApp API error: ${responseData.error?.message || response.statusText}`);
-    }
-
-    logger.info('WhatsApp message sent successfully', {
-      to,
-      messageId: responseData.messages?.[0]?.id,
-      messageLength: message.length,
-      hasButtons: !!(buttons && buttons.length > 0)
-    });
-
-    return responseData;
-  } catch (error) {
-    logger.error('Error sending WhatsApp message', {
-      to,
-      error: error.message,
-      stack: error.stack
-    });
-    throw error;
-  }
-}
+// Quiet period before replying, so "hi" / "I run a clinic" / "how much?" get one answer
+const MESSAGE_COALESCE_WINDOW_MS = parseInt(process.env.MESSAGE_COALESCE_WINDOW_MS ?? '3000', 10);
 
 /**
  * GET /webhook/whatsapp
@@ -262,13 +180,17 @@ router.post('/whatsapp', async (req, res) => {
       return res.status(400).json({ error: 'Invalid JSON payload' });
     }
     
-    // Return 200 immediately (don't wait for processing)
-    res.status(200).json({ status: 'received' });
+    // Persist inbound messages to the job queue before acknowledging.
+    // If this fails we return 500 so Meta redelivers instead of losing the message.
+    try {
+      await processWebhook(webhookData);
+    } catch (error) {
+      logger.error('Error queueing Meta webhook:', error);
+      return res.status(500).json({ error: 'Failed to queue webhook' });
+    }
 
-    // Process webhook asynchronously
-    processWebhook(webhookData).catch(error => {
-      logger.error('Error processing Meta webhook:', error);
-    });
+    // Processing happens in the job worker (see registerJobHandler below)
+    res.status(200).json({ status: 'received' });
 
   } catch (error) {
     logger.error('Error in Meta webhook POST handler:', error);
@@ -279,7 +201,8 @@ router.post('/whatsapp', async (req, res) => {
 
 /**
  * Process Meta webhook data and transform to existing format
- * Calls the existing message handler logic
+ * Each inbound message is stored as an 'inbound_message' job;
+ * status updates are forwarded to n8n in the background
  */
 async function processWebhook(webhookData) {
   try {
@@ -307,6 +230,20 @@ async function processWebhook(webhookData) {
           continue;
         }
 
+        // Template approved / rejected / paused - entry id is the WhatsApp Business Account
+        if (change.field === 'message_template_status_update') {
+          await queueTemplateStatusUpdate(entryItem.id, value);
+          continue;
+        }
+
+        // Which of our numbers (and so which brand) this webhook is for
+        const whatsappNumber = resolveWhatsAppNumber({
+          phoneNumberId: value.metadata?.phone_number_id,
+          displayPhoneNumber: value.metadata?.display_phone_number
+        });
+        const brand = whatsappNumber?.brand || 'proxe';
+        const phoneNumberId = value.metadata?.phone_number_id || whatsappNumber?.phoneNumberId || null;
+
         // Process messages if present
         if (value.messages && Array.isArray(value.messages)) {
           // Process each message
@@ -318,10 +255,45 @@ async function processWebhook(webhookData) {
             continue;
           }
 
+          // Skip messages Meta has already delivered to us (webhook redelivery)
+          const messageId = message.id || null;
+          const isFirstDelivery = await claimMessageId(messageId, { phone, brand });
+          if (!isFirstDelivery) {
+            logger.info('Skipping already processed Meta message', { messageId, phone });
+            continue;
+          }
+
+          // System messages aren't from the customer and get no reply.
+          // A number change is applied right away, before any later message from
+          // the new number in this webhook, so that message finds the existing lead.
+          if (message.type === 'system') {
+            const numberChange = extractNumberChange(message);
+            if (!numberChange) {
+              logger.info('Ignoring Meta system message', { type: message.system?.type, phone });
+              continue;
+            }
+
+            try {
+              const result = await migrateCustomerNumber({
+                ...numberChange,
+                brand,
+                messageId,
+                changedAt: message.timestamp ? new Date(parseInt(message.timestamp, 10) * 1000).toISOString() : null
+              });
+              logger.info('Customer changed WhatsApp number', { ...numberChange, brand, status: result.status });
+            } catch (error) {
+              // Not applied: forget the claim so Meta's redelivery is processed
+              await releaseMessageId(messageId);
+              throw error;
+            }
+            continue;
+          }
+
           // Extract message text
           let messageText = '';
           let buttonId = null;
           let buttonTitle = null;
+          let media = null;
           
           if (message.text && message.text.body) {
             // Regular text message
@@ -351,6 +323,10 @@ async function processWebhook(webhookData) {
             messageText = message.button.text || message.button.payload || '';
             buttonId = message.button.id;
             buttonTitle = message.button.text;
+          } else if ((media = extractMediaReference(message))) {
+            // Image, document, audio or video - downloaded later by the job worker
+            messageText = media.caption || describeMedia(media);
+            logger.info('Media message detected', { type: media.type, mediaId: media.id, phone });
           } else {
             logger.warn('Message missing text content', { 
               type: message.type,
@@ -381,26 +357,46 @@ async function processWebhook(webhookData) {
           // Transform to existing format
           const transformedMessage = {
             sessionId: phone,
+            messageId: messageId, // Meta wamid, stored in conversations.metadata
             message: messageText,
             profileName: profileName,
             timestamp: timestamp,
-            brand: 'proxe', // Default brand, can be made configurable
+            brand: brand, // Brand of the receiving number (config/brands.js)
+            phoneNumberId: phoneNumberId, // Receiving number - replies are sent from it
             buttonId: buttonId, // Include button ID if it's a button click
-            buttonTitle: buttonTitle // Include button title if it's a button click
+            buttonTitle: buttonTitle, // Include button title if it's a button click
+            media: media, // Media reference (id, type, mimeType, caption, filename) if any
+            referral: extractReferral(message) // Click-to-WhatsApp ad the customer came from, if any
           };
 
           logger.info('Processing Meta webhook message', {
             sessionId: phone,
+            messageId,
+            brand,
+            phoneNumberId,
             messageLength: messageText.length,
             hasProfileName: !!profileName,
             isButtonClick: !!buttonId,
             buttonId: buttonId,
-            buttonTitle: buttonTitle
+            buttonTitle: buttonTitle,
+            mediaType: media?.type || null,
+            adSourceId: transformedMessage.referral?.source_id || null
           });
 
-          // Call existing message handler
-          // Import the handler function and call it directly
-          await handleMessage(transformedMessage);
+          // Store as a durable job - the worker calls handleMessage with retries
+          try {
+            await enqueueJob('inbound_message', transformedMessage, {
+              dedupKey: messageId,
+              groupKey: `${brand}:${phone}`,
+              // A customer is waiting - claimed ahead of campaign sends
+              priority: JOB_PRIORITIES.high,
+              debounceMs: MESSAGE_COALESCE_WINDOW_MS
+            });
+          } catch (error) {
+            // Not persisted: forget the claim so Meta's redelivery is processed
+            await releaseMessageId(messageId);
+            throw error;
+          }
           }
         }
 
@@ -410,32 +406,22 @@ async function processWebhook(webhookData) {
           console.log(`📊 Processing ${statuses.length} status update(s) from Meta webhook`);
           for (const statusItem of statuses) {
             console.log(`📊 Status Update: ${statusItem.id} - ${statusItem.status} (recipient: ${statusItem.recipient_id})`);
+            // Recorded on the conversations row by the job worker.
+            // A failure here must not fail the batch: Meta would redeliver the
+            // messages and statuses already queued and publish them again.
             try {
-              const response = await fetch('https://build.goproxe.com/webhook/whatsapp-delivery-status', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  message_id: statusItem.id,
-                  status: statusItem.status,
-                  timestamp: statusItem.timestamp,
-                  recipient: statusItem.recipient_id
-                })
-              });
-              
-              if (response.ok) {
-                console.log(`✅ Successfully forwarded status to n8n: ${statusItem.id} - ${statusItem.status}`);
-                logger.info(`Forwarded status update to n8n: ${statusItem.id} - ${statusItem.status}`);
-              } else {
-                console.error(`❌ Failed to forward status to n8n: ${response.status} ${response.statusText}`);
-                logger.error(`Failed to forward status update to n8n: ${response.status} ${response.statusText}`, {
-                  statusItem,
-                  responseStatus: response.status
-                });
-              }
+              await queueStatusUpdate(statusItem);
             } catch (error) {
-              console.error(`❌ Error forwarding status to n8n:`, error.message);
-              logger.error(`Failed to forward status update to n8n: ${error.message}`, {
-                statusItem,
+              logger.error('Failed to queue status update', { messageId: statusItem.id, error: error.message });
+            }
+
+            // Forwarded to subscribed sinks (n8n etc.) by the job worker
+            try {
+              await publishEvent('message.status', toStatusEvent(statusItem, { brand, phoneNumberId }));
+            } catch (error) {
+              logger.error(`Failed to publish status update: ${error.message}`, {
+                messageId: statusItem.id,
+                status: statusItem.status,
                 error: error.message
               });
             }
@@ -450,270 +436,49 @@ async function processWebhook(webhookData) {
 }
 
 /**
- * Handle message using existing message handler logic
- * Reuses the logic from /api/whatsapp/message endpoint
+ * Combine a burst of queued messages from one customer into a single turn
+ * Each part is kept so it is still logged with its own wamid and media.
+ * @param {Array<object>} payloads - inbound_message payloads, oldest first
+ * @returns {object} Merged payload for handleMessage
  */
-async function handleMessage(messageData) {
-  try {
-    // Import the message handler logic
-    const { getOrCreateLead, buildCustomerContext, generateSummary, extractInterests } = await import('../services/customerService.js');
-    const { getConversationHistory, addToHistory } = await import('../services/conversationService.js');
-    const { 
-      getOrCreateWhatsAppSession, 
-      linkSessionToLead, 
-      incrementSessionMessageCount,
-      updateConversationData 
-    } = await import('../services/whatsappSessionService.js');
-    const { generateResponse } = await import('../services/claudeService.js');
-    const { formatWhatsAppResponse } = await import('../services/responseFormatter.js');
-    const { storeConversationLog } = await import('../services/loggingService.js');
-
-    const inputReceivedAt = Date.now();
-    const startTime = Date.now();
-    
-    const { sessionId, message, profileName, timestamp, brand } = messageData;
-
-    logger.info(`Processing WhatsApp message from ${sessionId} (brand: ${brand})`);
-
-    // Step 1: Get or create lead
-    const lead = await getOrCreateLead(sessionId, brand, { profileName });
-    logger.info(`Lead retrieved/created: ${lead.id}`);
-
-    // Step 2: Get or create WhatsApp session
-    const whatsappSession = await getOrCreateWhatsAppSession(sessionId, brand, {
-      profileName,
-      whatsappNumber: sessionId
-    });
-    logger.info(`WhatsApp session retrieved/created: ${whatsappSession.id}`);
-
-    // Step 3: Link session to lead if not already linked
-    if (!whatsappSession.lead_id && lead.id) {
-      await linkSessionToLead(whatsappSession.id, lead.id);
-      whatsappSession.lead_id = lead.id;
-    }
-
-    // Step 3.5: Check if this is a NEW or RETURNING user
-    // Check if lead has existing messages BEFORE adding current message
-    const { supabase } = await import('../config/supabase.js');
-    const { data: existingMessages, error: messagesError } = await supabase
-      .from('conversations')
-      .select('id')
-      .eq('lead_id', lead.id)
-      .eq('channel', 'whatsapp')
-      .limit(1);
-
-    if (messagesError) {
-      logger.warn('Error checking existing messages, defaulting to returning user', { error: messagesError.message });
-    }
-
-    // Check for web history and bookings in unified_context
-    const hasWebHistory = lead.unified_context?.web?.user_inputs?.length > 0 || 
-                          lead.unified_context?.web?.conversation_summary;
-    const hasBooking = lead.unified_context?.web?.booking_status === 'confirmed';
-    const hasWhatsAppHistory = existingMessages && existingMessages.length > 0;
-
-    // User is only "new" if they have NO history across any channel
-    const isNewUser = !hasWebHistory && !hasBooking && !hasWhatsAppHistory;
-    
-    logger.info(`User type detected: ${isNewUser ? 'NEW' : 'RETURNING'}`, {
-      leadId: lead.id,
-      hasWebHistory,
-      hasBooking,
-      hasWhatsAppHistory,
-      existingMessagesCount: existingMessages?.length || 0
-    });
-
-    // Step 4: Add user message to conversations table (via logMessage)
-    await addToHistory(lead.id, message, 'user', 'text', {
-      input_received_at: inputReceivedAt
-    });
-
-    // Step 5: Increment session message count
-    await incrementSessionMessageCount(whatsappSession.id);
-
-    let aiResponse;
-    let outputSentAt;
-    let inputToOutputGap;
-
-    // Step 6: Handle NEW vs RETURNING users
-    if (isNewUser) {
-      // NEW USER: Send template response with buttons, skip Claude
-      logger.info('New user detected - sending template welcome message');
-      
-      const welcomeMessage = "Hey! I'm PROXe. What brings you here today?";
-      // New user gets: "Learn More" button (single button)
-      const welcomeButtons = ["Learn More"];
-      
-      // Send welcome message with buttons
-      try {
-        await sendWhatsAppMessage(sessionId, welcomeMessage, welcomeButtons);
-        logger.info('Welcome message sent to new user', { sessionId });
-      } catch (error) {
-        logger.error('Failed to send welcome message', {
-          sessionId,
-          error: error.message
-        });
-        throw error;
-      }
-
-      // Create mock AI response for logging consistency
-      outputSentAt = Date.now();
-      inputToOutputGap = outputSentAt - inputReceivedAt;
-      
-      aiResponse = {
-        rawResponse: welcomeMessage,
-        responseType: 'text_with_buttons',
-        buttons: welcomeButtons,
-        urgency: 'low',
-        nextAction: 'wait_for_user_selection',
-        tokensUsed: 0,
-        responseTime: outputSentAt - startTime
-      };
-    } else {
-      // RETURNING USER (has web history, booking, or WhatsApp history): Use Claude to generate personalized response
-      logger.info('Returning user detected - using Claude AI response with context-aware greeting');
-      
-      // Build customer context
-      const context = await buildCustomerContext(sessionId, brand);
-      logger.info('Customer context built successfully');
-
-      // Get conversation history (includes the message we just added)
-      const conversationHistory = await getConversationHistory(lead.id, 10);
-      logger.info(`Retrieved ${conversationHistory.length} messages from history`);
-
-      // Calculate message count for button logic (exclude current message from count)
-      // conversationHistory includes user messages and assistant responses
-      // For button logic, we want the count of previous exchanges
-      const messageCount = Math.floor(conversationHistory.length / 2); // Each exchange = user + assistant
-
-      // Generate AI response (pass isNewUser=false since we already checked)
-      // Claude will use the greeting instructions we added to generate context-aware greeting
-      aiResponse = await generateResponse(context, message, conversationHistory, false);
-      logger.info('AI response generated successfully');
-
-      // Calculate time gap
-      outputSentAt = Date.now();
-      inputToOutputGap = outputSentAt - inputReceivedAt;
-    }
-
-    // Step 7: Add assistant response to conversations table (via logMessage)
-    await addToHistory(lead.id, aiResponse.rawResponse, 'assistant', 'text', {
-      input_received_at: inputReceivedAt,
-      output_sent_at: outputSentAt,
-      input_to_output_gap_ms: inputToOutputGap
-    });
-
-    // Step 8: Increment session message count again
-    await incrementSessionMessageCount(whatsappSession.id);
-
-    // Step 9: Update conversation summary, context, and user inputs (only for returning users)
-    if (!isNewUser) {
-      try {
-        const updatedHistory = await getConversationHistory(lead.id, 20);
-        const conversationSummary = generateSummary([...updatedHistory].reverse());
-        const userInterests = extractInterests([...updatedHistory].reverse());
-        
-        // Build context for returning users
-        const context = await buildCustomerContext(sessionId, brand);
-        
-        const conversationContext = {
-          conversationPhase: context?.conversationPhase || 'discovery',
-          messageCount: updatedHistory.length,
-          lastMessageAt: new Date().toISOString(),
-          interests: userInterests,
-          previousTopics: userInterests.slice(0, 5),
-          metadata: {
-            brand: brand,
-            leadId: lead.id,
-            updatedAt: new Date().toISOString()
-          }
-        };
-        
-        const userInputsSummary = {
-          interests: userInterests,
-          totalInputs: userInterests.length,
-          recentTopics: userInterests.slice(0, 10),
-          extractedAt: new Date().toISOString()
-        };
-        
-        await updateConversationData(whatsappSession.id, {
-          summary: conversationSummary,
-          context: conversationContext,
-          userInputsSummary: userInputsSummary
-        });
-        
-        logger.info('Updated conversation summary, context, and user inputs summary');
-      } catch (error) {
-        logger.error('Error updating conversation data:', error);
-      }
-    }
-
-    // Step 13: Format response for WhatsApp
-    const formattedResponse = formatWhatsAppResponse(
-      aiResponse.rawResponse,
-      aiResponse.responseType,
-      aiResponse.buttons,
-      {
-        leadId: lead.id,
-        sessionId: whatsappSession.id,
-        conversationId: `conv_${Date.now()}`,
-        responseTime: Date.now() - startTime,
-        tokensUsed: aiResponse.tokensUsed
-      }
-    );
-
-    // Step 10: Send WhatsApp message via Meta API
-    // For new users, message already sent with buttons
-    // For returning users, send Claude response
-    if (!isNewUser) {
-      try {
-        // Send message with buttons if available
-        await sendWhatsAppMessage(sessionId, aiResponse.rawResponse, aiResponse.buttons);
-        logger.info('WhatsApp message sent successfully', { sessionId });
-      } catch (error) {
-        logger.error('Failed to send WhatsApp message', {
-          sessionId,
-          error: error.message
-        });
-        // Don't throw - we still want to store the log even if sending fails
-      }
-    }
-
-    // Step 14: Store conversation log
-    await storeConversationLog({
-      customerId: lead.id,
-      leadId: lead.id,
-      message,
-      response: aiResponse.rawResponse,
-      responseType: aiResponse.responseType,
-      tokensUsed: aiResponse.tokensUsed,
-      responseTime: Date.now() - startTime,
-      inputToOutputGap: inputToOutputGap,
-      metadata: {
-        buttons: aiResponse.buttons,
-        urgency: aiResponse.urgency,
-        nextAction: aiResponse.nextAction,
-        brand: brand,
-        input_received_at: inputReceivedAt,
-        output_sent_at: outputSentAt
-      }
-    });
-
-    logger.info('Message processed successfully', {
-      sessionId,
-      responseType: aiResponse.responseType,
-      responseTime: Date.now() - startTime
-    });
-
-    // Note: The formatted response is available but not sent back to Meta
-    // Meta webhook is one-way - responses should be sent via WhatsApp Business API
-    // The formattedResponse.whatsappPayload can be used to send the response
+function mergeInboundMessages(payloads) {
+  const latest = payloads[payloads.length - 1];
+  return {
+    ...latest,
+    message: payloads.map(payload => payload.message).join('\n'),
+    parts: payloads
+  };
+}
 
-  } catch (error) {
-    logger.error('Error in handleMessage:', error);
-    throw error;
-  }
+/**
+ * Reply to one queued inbound turn (a single message, or a merged burst)
+ * Runs the shared message pipeline, sending from the number the message came in on.
+ * @param {object} messageData - inbound_message payload (see processWebhook)
+ * @returns {Promise<void>}
+ */
+async function handleMessage(messageData) {
+  const { sessionId, profileName, brand } = messageData;
+
+  // Reply from the number the message came in on, with that number's token and config
+  const whatsappNumber = resolveWhatsAppNumber({ phoneNumberId: messageData.phoneNumberId });
+
+  logger.info(`Processing WhatsApp message from ${sessionId} (brand: ${brand}, number: ${whatsappNumber?.phoneNumberId})`, {
+    coalescedMessages: messageData.parts?.length || 1
+  });
+
+  await runMessagePipeline({
+    sessionId,
+    profileName,
+    brand,
+    whatsappNumber,
+    messages: messageData.parts || [messageData],
+    receivedAt: Date.now()
+  });
 }
 
+// Inbound messages queued by processWebhook are processed by the job worker.
+// Messages from the same customer are serialised, and a burst is merged into one turn.
+registerJobHandler('inbound_message', handleMessage, { merge: mergeInboundMessages });
+
 export default router;
 
@@ -1,17 +1,14 @@
 import express from 'express';
 import { z } from 'zod';
-import { getOrCreateLead, buildCustomerContext, generateSummary, extractInterests, updateWhatsAppContext } from '../services/customerService.js';
-import { getConversationHistory, addToHistory } from '../services/conversationService.js';
-import { 
-  getOrCreateWhatsAppSession, 
-  linkSessionToLead, 
-  incrementSessionMessageCount,
-  updateConversationData 
-} from '../services/whatsappSessionService.js';
-import { generateResponse } from '../services/claudeService.js';
-import { formatWhatsAppResponse } from '../services/responseFormatter.js';
-import { storeConversationLog } from '../services/loggingService.js';
+import { formatWhatsAppResponse, formatWhatsAppMessages } from '../services/responseFormatter.js';
+import { runMessagePipeline } from '../services/messagePipeline.js';
+import { extractReferral } from '../services/attributionService.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { resolveWhatsAppNumber, getWhatsAppNumberForBrand } from '../config/brands.js';
+import { queueStatusUpdate, toStatusEvent } from '../services/deliveryStatusService.js';
+import { publishEvent } from '../services/eventForwardingService.js';
+import { sendToLead, OUTBOUND_SENDERS } from '../services/outboundMessageService.js';
+import { requireApiKey } from '../middleware/apiKeyAuth.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -22,9 +19,27 @@ const messageSchema = z.object({
   message: z.string().min(1).max(4000),
   profileName: z.string().optional(),
   timestamp: z.string().optional(),
-  brand: z.enum(['proxe', 'windchasers']).optional().default('proxe')
+  brand: z.enum(['proxe', 'windchasers']).optional(),
+  // Receiving WhatsApp number - selects brand, prompt and sending number
+  phoneNumberId: z.string().optional(),
+  // Meta's messages[].referral for Click-to-WhatsApp ad clicks, passed through as-is
+  referral: z.record(z.any()).optional()
 });
 
+// Outbound send - message is a whatsappClient.js description ({ type, ... }), validated there
+const sendSchema = z.object({
+  leadId: z.string().uuid().optional(),
+  phone: z.string().regex(/^\+?\d{10,15}$/).optional(),
+  brand: z.enum(['proxe', 'windchasers']).optional(),
+  // Business number to send from (defaults to the brand's)
+  phoneNumberId: z.string().optional(),
+  message: z.object({ type: z.string().min(1) }).passthrough(),
+  sender: z.enum(OUTBOUND_SENDERS).default('agent'),
+  sentBy: z.string().max(200).optional(),
+  // Extra {{placeholders}} for the brand's window template
+  variables: z.record(z.string()).optional()
+}).refine(data => data.leadId || data.phone, { message: 'leadId or phone is required' });
+
 /**
  * POST /api/whatsapp/message
  * Primary message handler - receives messages from n8n
@@ -52,281 +67,79 @@ router.post('/message', async (req, res, next) => {
       });
     }
 
-    const { sessionId, message, profileName, timestamp, brand } = validation.data;
+    const { sessionId, message, profileName, timestamp, phoneNumberId } = validation.data;
 
-    logger.info(`Processing WhatsApp message from ${sessionId} (brand: ${brand})`);
+    // An explicit brand wins; otherwise the receiving number decides (default 'proxe')
+    const receivingNumber = phoneNumberId ? resolveWhatsAppNumber({ phoneNumberId }) : null;
+    const brand = validation.data.brand || receivingNumber?.brand || 'proxe';
+    const whatsappNumber = receivingNumber?.brand === brand ? receivingNumber : getWhatsAppNumberForBrand(brand);
 
-    // Step 1: Get or create lead in all_leads
-    let lead;
-    try {
-      lead = await getOrCreateLead(sessionId, brand, { profileName });
-      logger.info(`Lead retrieved/created: ${lead.id}`);
-    } catch (error) {
-      console.error('=== ERROR in getOrCreateLead ===');
-      console.error('Error:', error);
-      console.error('Message:', error.message);
-      console.error('Stack:', error.stack);
-      logger.error('Error in getOrCreateLead:', error);
-      return res.status(500).json({ 
-        error: 'Failed to get or create lead', 
-        details: error.message,
-        step: 'getOrCreateLead',
-        code: error.code || null
-      });
-    }
+    logger.info(`Processing WhatsApp message from ${sessionId} (brand: ${brand})`);
 
-    // Step 2: Get or create WhatsApp session
-    let whatsappSession;
+    // Same pipeline as the Meta webhook, minus sending - n8n sends the reply
+    let turn;
     try {
-      whatsappSession = await getOrCreateWhatsAppSession(sessionId, brand, {
+      turn = await runMessagePipeline({
+        sessionId,
         profileName,
-        whatsappNumber: sessionId
-      });
-      logger.info(`WhatsApp session retrieved/created: ${whatsappSession.id}`);
-    } catch (error) {
-      console.error('=== ERROR in getOrCreateWhatsAppSession ===');
-      console.error('Error:', error);
-      console.error('Message:', error.message);
-      console.error('Stack:', error.stack);
-      logger.error('Error in getOrCreateWhatsAppSession:', error);
-      return res.status(500).json({ 
-        error: 'Failed to get or create WhatsApp session', 
-        details: error.message,
-        step: 'getOrCreateWhatsAppSession',
-        code: error.code || null
-      });
-    }
-
-    // Step 3: Link session to lead if not already linked
-    try {
-      if (!whatsappSession.lead_id && lead.id) {
-        await linkSessionToLead(whatsappSession.id, lead.id);
-        whatsappSession.lead_id = lead.id;
-      }
-    } catch (error) {
-      console.error('=== ERROR in linkSessionToLead ===', error);
-      logger.error('Error linking session to lead:', error);
-      // Continue - not critical
-    }
-
-    // Step 4: Build customer context (uses all_leads, whatsapp_sessions, messages)
-    let context;
-    try {
-      context = await buildCustomerContext(sessionId, brand);
-      logger.info('Customer context built successfully');
-    } catch (error) {
-      console.error('=== ERROR in buildCustomerContext ===', error);
-      logger.error('Error building customer context:', error);
-      return res.status(500).json({ 
-        error: 'Failed to build customer context', 
-        details: error.message,
-        step: 'buildCustomerContext',
-        code: error.code || null
-      });
-    }
-
-    // Step 5: Get conversation history from conversations table
-    let conversationHistory;
-    try {
-      conversationHistory = await getConversationHistory(lead.id, 10);
-      logger.info(`Retrieved ${conversationHistory.length} messages from history`);
-    } catch (error) {
-      console.error('=== ERROR in getConversationHistory ===', error);
-      logger.error('Error getting conversation history:', error);
-      conversationHistory = []; // Continue with empty history
-    }
-
-    // Step 6: Add user message to conversations table with input timestamp (via logMessage)
-    try {
-      console.log('=== Adding user message to history ===');
-      console.log('lead.id:', lead.id);
-      console.log('lead.id type:', typeof lead.id);
-      console.log('message:', message);
-      console.log('message length:', message?.length);
-      
-      const userMessageResult = await addToHistory(lead.id, message, 'user', 'text', {
-        input_received_at: inputReceivedAt
-      });
-      
-      console.log('✓ User message added successfully:', userMessageResult?.id);
-    } catch (error) {
-      console.error('=== ERROR in addToHistory (user) ===');
-      console.error('lead.id:', lead?.id);
-      console.error('Error message:', error.message);
-      console.error('Error details:', error);
-      logger.error('Error adding user message to history:', error);
-      // Continue - logging is not critical, but log the error for debugging
-    }
-
-    // Step 7: Increment session message count
-    try {
-      await incrementSessionMessageCount(whatsappSession.id);
+        brand,
+        whatsappNumber,
+        messages: [{ message, timestamp, referral: extractReferral({ referral: validation.data.referral }) }],
+        receivedAt: inputReceivedAt
+      }, { stages: { send: false } });
     } catch (error) {
-      console.error('=== ERROR in incrementSessionMessageCount ===', error);
-      logger.error('Error incrementing message count:', error);
-      // Continue - not critical
-    }
-
-    // Step 8: Generate AI response
-    let aiResponse;
-    try {
-      aiResponse = await generateResponse(context, message, conversationHistory);
-      logger.info('AI response generated successfully');
-    } catch (error) {
-      console.error('=== ERROR in generateResponse ===', error);
-      logger.error('Error generating AI response:', error);
-      return res.status(500).json({ 
-        error: 'Failed to generate AI response', 
+      if (!error.stage) throw error;
+      return res.status(500).json({
+        error: `Failed at message pipeline stage ${error.stage}`,
         details: error.message,
-        step: 'generateResponse',
+        step: error.stage,
         code: error.code || null
       });
     }
 
-    // Step 9: Calculate time gap between input received and output sent
-    const outputSentAt = Date.now();
-    const inputToOutputGap = outputSentAt - inputReceivedAt; // Total time from input to output
-
-    // Step 10: Add assistant response to conversations table (via logMessage)
-    try {
-      console.log('=== Adding assistant message to history ===');
-      console.log('lead.id:', lead.id);
-      console.log('aiResponse.rawResponse length:', aiResponse.rawResponse?.length);
-      
-      const assistantMessageResult = await addToHistory(lead.id, aiResponse.rawResponse, 'assistant', 'text', {
-        input_received_at: inputReceivedAt,
-        output_sent_at: outputSentAt,
-        input_to_output_gap_ms: inputToOutputGap
-      });
-      
-      console.log('✓ Assistant message added successfully:', assistantMessageResult?.id);
-    } catch (error) {
-      console.error('=== ERROR in addToHistory (assistant) ===');
-      console.error('lead.id:', lead?.id);
-      console.error('Error message:', error.message);
-      console.error('Error details:', error);
-      logger.error('Error adding assistant message to history:', error);
-      // Continue - message was sent, but logging failed
+    const metadata = {
+      leadId: turn.lead.id,
+      sessionId: turn.session?.id || null,
+      conversationId: `conv_${Date.now()}`,
+      responseTime: Date.now() - startTime,
+      tokensUsed: turn.reply?.tokensUsed || 0,
+      brand: brand,
+      phoneNumberId: whatsappNumber?.phoneNumberId || null,
+      route: turn.route,
+      // 'opted_out' / 'opted_in' when the customer sent STOP / START
+      consent: turn.consent || null
+    };
+
+    // Reply generation is switched off for this brand - the message was only recorded
+    if (!turn.reply) {
+      return res.json({ status: 'recorded', metadata });
     }
 
-    // Step 11: Increment session message count again
-    await incrementSessionMessageCount(whatsappSession.id);
-
-    // Step 11.5: Update conversation summary, context, and user inputs
-    try {
-      // Get updated conversation history including the new messages
-      const updatedHistory = await getConversationHistory(lead.id, 20);
-      
-      // Generate conversation summary from messages
-      const conversationSummary = generateSummary([...updatedHistory].reverse());
-      
-      // Extract user interests/inputs from messages
-      const userInterests = extractInterests([...updatedHistory].reverse());
-      
-      // Build conversation context object
-      const conversationContext = {
-        conversationPhase: context?.conversationPhase || 'discovery',
-        messageCount: updatedHistory.length,
-        lastMessageAt: new Date().toISOString(),
-        interests: userInterests,
-        previousTopics: userInterests.slice(0, 5),
-        metadata: {
-          brand: brand,
-          leadId: lead.id,
-          updatedAt: new Date().toISOString()
-        }
-      };
-      
-      // Build user inputs summary
-      const userInputsSummary = {
-        interests: userInterests,
-        totalInputs: userInterests.length,
-        recentTopics: userInterests.slice(0, 10),
-        extractedAt: new Date().toISOString()
-      };
-      
-      // Update all conversation data in whatsapp_sessions
-      await updateConversationData(whatsappSession.id, {
-        summary: conversationSummary,
-        context: conversationContext,
-        userInputsSummary: userInputsSummary
-      });
-
-      // Sync to all_leads.unified_context
-      await updateWhatsAppContext(lead.id, {
-        conversation_summary: conversationSummary,
-        conversation_context: conversationContext,
-        user_inputs_summary: userInputsSummary,
-        message_count: updatedHistory.length,
-        last_interaction: new Date().toISOString()
-      });
-
-      logger.info('Synced WhatsApp context to unified_context');
-      
-      logger.info('Updated conversation summary, context, and user inputs summary');
-
-      // Sync to Dashboard
-      try {
-        await fetch(`${process.env.DASHBOARD_API_URL}/api/integrations/whatsapp`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': process.env.WHATSAPP_API_KEY,
-          },
-          body: JSON.stringify({
-            name: context.name,
-            phone: sessionId,  // WhatsApp phone
-            email: lead.email,
-            brand: 'proxe',
-            conversation_summary: conversationSummary,           // From generateSummary()
-            conversation_context: conversationContext,  // From whatsapp_sessions
-            user_inputs_summary: userInterests,         // From extractInterests()
-            message_count: updatedHistory.length,
-            last_interaction: new Date().toISOString()
-          })
-        });
-      } catch (error) {
-        console.error('Failed to sync to dashboard:', error);
-      }
-    } catch (error) {
-      console.error('=== ERROR updating conversation data ===', error);
-      logger.error('Error updating conversation data:', error);
-      // Continue - not critical for message processing
-    }
+    const aiResponse = turn.reply;
 
-    // Step 12: Format response for WhatsApp
+    // Format response for WhatsApp
+    const payloadMetadata = {
+      leadId: metadata.leadId,
+      sessionId: metadata.sessionId,
+      conversationId: metadata.conversationId,
+      responseTime: metadata.responseTime,
+      tokensUsed: aiResponse.tokensUsed
+    };
     const formattedResponse = formatWhatsAppResponse(
       aiResponse.rawResponse,
       aiResponse.responseType,
       aiResponse.buttons,
-      {
-        leadId: lead.id,
-        sessionId: whatsappSession.id,
-        conversationId: `conv_${Date.now()}`,
-        responseTime: Date.now() - startTime,
-        tokensUsed: aiResponse.tokensUsed
-      }
+      payloadMetadata,
+      aiResponse.list
+    );
+    // Long replies are split into several messages, buttons on the last - n8n sends them in order
+    const formattedMessages = formatWhatsAppMessages(
+      aiResponse.rawResponse,
+      aiResponse.responseType,
+      aiResponse.buttons,
+      payloadMetadata,
+      aiResponse.list
     );
-
-    // Step 13: Store conversation log (analytics in messages metadata)
-    await storeConversationLog({
-      customerId: lead.id, // For backward compatibility
-      leadId: lead.id,
-      message,
-      response: aiResponse.rawResponse,
-      responseType: aiResponse.responseType,
-      tokensUsed: aiResponse.tokensUsed,
-      responseTime: Date.now() - startTime,
-      inputToOutputGap: inputToOutputGap, // Add the gap here too
-      metadata: {
-        buttons: aiResponse.buttons,
-        urgency: aiResponse.urgency,
-        nextAction: aiResponse.nextAction,
-        brand: brand,
-        input_received_at: inputReceivedAt,
-        output_sent_at: outputSentAt
-      }
-    });
 
     // Return structured response to n8n
     res.json({
@@ -344,15 +157,14 @@ router.post('/message', async (req, res, next) => {
           action: determineAction(buttonId, buttonLabel)
         };
       }),
+      list: aiResponse.list || null,
+      urgency: aiResponse.urgency,
+      nextAction: aiResponse.nextAction,
+      intent: aiResponse.intent || null,
+      leadFields: aiResponse.leadFields || {},
       whatsappPayload: formattedResponse,
-      metadata: {
-        leadId: lead.id,
-        sessionId: whatsappSession.id,
-        conversationId: `conv_${Date.now()}`,
-        responseTime: Date.now() - startTime,
-        tokensUsed: aiResponse.tokensUsed,
-        brand: brand
-      }
+      whatsappPayloads: formattedMessages,
+      metadata
     });
   } catch (error) {
     // Log full error details
@@ -405,6 +217,41 @@ router.post('/message', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/whatsapp/send
+ * Send a message to a lead (agents, dashboard, n8n automations)
+ * Goes through the WhatsApp client (limits, pacing, 24-hour window) and is
+ * logged in conversations with its wamid for delivery tracking.
+ */
+router.post('/send', requireApiKey, async (req, res, next) => {
+  try {
+    const validation = sendSchema.safeParse(req.body);
+    if (!validation.success) {
+      const error = new AppError('Invalid request data', 400);
+      error.details = validation.error.issues.map(issue => `${issue.path.join('.') || 'body'}: ${issue.message}`);
+      throw error;
+    }
+
+    const { phone, ...request } = validation.data;
+    const result = await sendToLead({
+      ...request,
+      phone: phone ? phone.replace(/\D/g, '') : undefined
+    });
+
+    res.json({
+      status: 'sent',
+      ...result,
+      delivery: {
+        ...result.delivery,
+        // Updated by Meta status webhooks
+        trackingUrl: `/api/conversation/${result.leadId}/delivery`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Helper to determine button action
  */
@@ -429,7 +276,8 @@ function determineAction(buttonId, label) {
 
 /**
  * POST /api/whatsapp/status
- * Receives WhatsApp message status updates from Meta and forwards to n8n
+ * Receives WhatsApp message status updates from Meta, records them and
+ * forwards them to subscribed sinks (see eventForwardingService)
  */
 router.post('/status', async (req, res) => {
   try {
@@ -453,14 +301,24 @@ router.post('/status', async (req, res) => {
       
       for (const change of changes) {
         const statuses = change?.value?.statuses || [];
+        const whatsappNumber = resolveWhatsAppNumber({
+          phoneNumberId: change?.value?.metadata?.phone_number_id,
+          displayPhoneNumber: change?.value?.metadata?.display_phone_number
+        });
         
         for (const statusItem of statuses) {
-          statusUpdates.push({
-            message_id: statusItem.id,
-            status: statusItem.status, // sent, delivered, read, failed
-            timestamp: statusItem.timestamp,
-            recipient: statusItem.recipient_id
-          });
+          // Recorded against the outbound conversations row by the job worker
+          try {
+            await queueStatusUpdate(statusItem);
+          } catch (error) {
+            logger.error('Failed to queue status update', { messageId: statusItem.id, error: error.message });
+          }
+
+          // sent, delivered, read, failed
+          statusUpdates.push(toStatusEvent(statusItem, {
+            brand: whatsappNumber?.brand,
+            phoneNumberId: change?.value?.metadata?.phone_number_id || whatsappNumber?.phoneNumberId
+          }));
         }
       }
     }
@@ -476,32 +334,12 @@ router.post('/status', async (req, res) => {
       console.log(`   - ${update.message_id}: ${update.status} (recipient: ${update.recipient})`);
     });
 
-    // Forward each status update to n8n
-    const n8nWebhookUrl = process.env.N8N_WHATSAPP_STATUS_WEBHOOK || 'https://build.goproxe.com/webhook/whatsapp-delivery-status';
-    
+    // Queue delivery to each subscribed sink (signed, retried, logged)
     for (const statusUpdate of statusUpdates) {
       try {
-        const response = await fetch(n8nWebhookUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(statusUpdate)
-        });
-        
-        if (response.ok) {
-          console.log(`✅ Successfully forwarded status to n8n: ${statusUpdate.message_id} - ${statusUpdate.status}`);
-          logger.info(`Forwarded status update to n8n: ${statusUpdate.message_id} - ${statusUpdate.status}`);
-        } else {
-          console.error(`❌ Failed to forward status to n8n: ${response.status} ${response.statusText}`);
-          logger.error(`Failed to forward status update to n8n: ${response.status} ${response.statusText}`, {
-            statusUpdate,
-            responseStatus: response.status
-          });
-        }
+        await publishEvent('message.status', statusUpdate);
       } catch (error) {
-        console.error(`❌ Error forwarding status to n8n:`, error.message);
-        logger.error(`Failed to forward status update to n8n: ${error.message}`, {
+        logger.error(`Failed to publish status update: ${error.message}`, {
           statusUpdate,
           error: error.message
         });
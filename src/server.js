@@ -50,6 +50,13 @@ import knowledgeBaseRoutes from './routes/knowledgeBase.js';
 import scheduleRoutes from './routes/schedule.js';
 import retrainRoutes from './routes/retrain.js';
 import webhookRoutes from './routes/webhook.js';
+import jobsRoutes from './routes/jobs.js';
+import eventsRoutes from './routes/events.js';
+import attributionRoutes from './routes/attribution.js';
+import campaignRoutes from './routes/campaigns.js';
+import consentRoutes from './routes/consent.js';
+import templateRoutes from './routes/templates.js';
+import { startJobWorker, stopJobWorker } from './services/jobQueueService.js';
 
 const app = express();
 app.set('trust proxy', true);
@@ -587,6 +594,21 @@ app.get('/status/metrics', async (req, res) => {
   }
 });
 
+app.get('/status/prompt-cache', async (req, res) => {
+  try {
+    const { getPromptCacheStats } = await import('./services/loggingService.js');
+    const stats = await getPromptCacheStats();
+    res.json(stats);
+  } catch (error) {
+    logger.error('Error in /status/prompt-cache:', error);
+    res.json({
+      responses: 0,
+      sampleSize: 50,
+      error: error.message
+    });
+  }
+});
+
 // Debug endpoint to check messages metadata
 app.get('/debug/metrics', async (req, res) => {
   try {
@@ -779,6 +801,12 @@ app.use('/api/button', buttonRoutes);
 app.use('/api/knowledge-base', knowledgeBaseRoutes);
 app.use('/api/schedule', scheduleRoutes);
 app.use('/api/nightly', retrainRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/attribution', attributionRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/consent', consentRoutes);
+app.use('/api/templates', templateRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -792,6 +820,18 @@ app.use(errorHandler);
 app.listen(PORT, () => {
   logger.info(`WhatsApp PROXe Backend running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Start processing queued inbound messages (including any left over from a restart)
+  startJobWorker();
+});
+
+// Let in-flight jobs finish when PM2 stops or restarts the process (PM2 sends SIGINT)
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    logger.info(`${signal} received, stopping job worker`);
+    await stopJobWorker();
+    process.exit(0);
+  });
 });
 
 export default app;
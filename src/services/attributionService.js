@@ -0,0 +1,210 @@
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Click-to-WhatsApp ad attribution
+ *
+ * Meta adds a `referral` object to the first message from a customer who
+ * tapped a Click-to-WhatsApp ad (or a boosted post). It is stored on the
+ * lead as all_leads.unified_context.attribution:
+ *
+ *   {
+ *     first_touch: { source_type, source_id, source_url, headline, body, media_type, ctwa_clid, ... },
+ *     last_touch: { ... },
+ *     touch_count: 2
+ *   }
+ *
+ * first_touch is never overwritten; later ad clicks only move last_touch.
+ */
+
+// Fields Meta sends in messages[].referral
+const REFERRAL_FIELDS = [
+  'source_url',
+  'source_id',
+  'source_type',
+  'headline',
+  'body',
+  'media_type',
+  'image_url',
+  'video_url',
+  'thumbnail_url',
+  'ctwa_clid'
+];
+
+/**
+ * Pull the ad referral out of a Meta message
+ * @param {object} message - Meta webhook message (messages[] item)
+ * @returns {object|null} Referral fields, or null if the message didn't come from an ad
+ */
+export function extractReferral(message) {
+  const referral = message?.referral;
+  if (!referral || typeof referral !== 'object') {
+    return null;
+  }
+
+  const extracted = {};
+  for (const field of REFERRAL_FIELDS) {
+    if (referral[field] !== undefined && referral[field] !== null && referral[field] !== '') {
+      extracted[field] = String(referral[field]);
+    }
+  }
+
+  return extracted.source_id || extracted.source_url || extracted.ctwa_clid ? extracted : null;
+}
+
+/**
+ * Add an ad click to a lead's unified_context
+ * @param {object} unifiedContext - Current all_leads.unified_context
+ * @param {object} referral - From extractReferral()
+ * @param {object} options - brand, capturedAt (ISO string)
+ * @returns {object} Updated unified_context
+ */
+export function applyReferralAttribution(unifiedContext, referral, { brand, capturedAt } = {}) {
+  const existing = unifiedContext?.attribution || {};
+  const touch = {
+    ...referral,
+    channel: 'whatsapp',
+    brand: brand || null,
+    captured_at: capturedAt || new Date().toISOString()
+  };
+
+  return {
+    ...(unifiedContext || {}),
+    attribution: {
+      ...existing,
+      first_touch: existing.first_touch || touch,
+      last_touch: touch,
+      touch_count: (existing.touch_count || 0) + 1
+    }
+  };
+}
+
+/**
+ * Store an ad click on the lead
+ * @param {string} leadId - Lead UUID
+ * @param {object} referral - From extractReferral()
+ * @param {object} options - brand
+ * @returns {Promise<object|null>} Updated unified_context, or null if it couldn't be saved
+ */
+export async function recordReferralAttribution(leadId, referral, { brand } = {}) {
+  try {
+    const { data: lead, error: fetchError } = await supabase
+      .from('all_leads')
+      .select('unified_context')
+      .eq('id', leadId)
+      .single();
+
+    if (fetchError) {
+      logger.error('Error fetching lead for attribution update:', fetchError);
+      return null;
+    }
+
+    const unifiedContext = applyReferralAttribution(lead?.unified_context, referral, { brand });
+
+    const { error } = await supabase
+      .from('all_leads')
+      .update({
+        unified_context: unifiedContext,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', leadId);
+
+    if (error) {
+      logger.error('Error saving ad attribution:', error);
+      return null;
+    }
+
+    logger.info(`Recorded ad attribution for lead ${leadId}`, {
+      sourceId: referral.source_id,
+      sourceType: referral.source_type,
+      firstTouch: unifiedContext.attribution.touch_count === 1
+    });
+    return unifiedContext;
+  } catch (error) {
+    logger.error('Error in recordReferralAttribution:', error);
+    return null;
+  }
+}
+
+/**
+ * Whether a lead has a booking on any channel
+ * Same fields getCustomerFullContext reads, plus WhatsApp bookings.
+ * @param {object} unifiedContext - all_leads.unified_context
+ * @returns {boolean}
+ */
+export function hasBooking(unifiedContext) {
+  const sources = [unifiedContext, unifiedContext?.web, unifiedContext?.whatsapp];
+  return sources.some(source => !!(source?.booking_date || source?.booking_time ||
+    source?.booking_status === 'confirmed'));
+}
+
+/**
+ * Group attributed leads by the ad they first came from
+ * @param {Array<object>} leads - all_leads rows (id, brand, created_at, unified_context)
+ * @returns {Array<object>} One row per ad, most leads first
+ */
+export function aggregateAttribution(leads) {
+  const byAd = new Map();
+
+  for (const lead of leads) {
+    const touch = lead.unified_context?.attribution?.first_touch;
+    if (!touch) continue;
+
+    const key = touch.source_id || touch.source_url || 'unknown';
+    const row = byAd.get(key) || {
+      source_id: touch.source_id || null,
+      source_type: touch.source_type || null,
+      source_url: touch.source_url || null,
+      headline: touch.headline || null,
+      brands: [],
+      leads: 0,
+      bookings: 0,
+      first_lead_at: touch.captured_at,
+      last_lead_at: touch.captured_at
+    };
+
+    row.leads++;
+    if (hasBooking(lead.unified_context)) row.bookings++;
+    if (lead.brand && !row.brands.includes(lead.brand)) row.brands.push(lead.brand);
+    if (touch.captured_at < row.first_lead_at) row.first_lead_at = touch.captured_at;
+    if (touch.captured_at > row.last_lead_at) row.last_lead_at = touch.captured_at;
+    byAd.set(key, row);
+  }
+
+  return [...byAd.values()]
+    .map(row => ({ ...row, booking_rate: row.leads ? Number((row.bookings / row.leads).toFixed(3)) : 0 }))
+    .sort((a, b) => b.leads - a.leads || b.bookings - a.bookings);
+}
+
+/**
+ * Leads and bookings per Click-to-WhatsApp ad
+ * @param {object} filters - brand, since / until (ISO, on the first ad click)
+ * @returns {Promise<object>} { totals, ads }
+ */
+export async function getAttributionReport({ brand, since, until } = {}) {
+  let query = supabase
+    .from('all_leads')
+    .select('id, brand, created_at, unified_context')
+    .not('unified_context->attribution->first_touch', 'is', null);
+
+  if (brand) query = query.eq('brand', brand);
+  if (since) query = query.gte('unified_context->attribution->first_touch->>captured_at', since);
+  if (until) query = query.lte('unified_context->attribution->first_touch->>captured_at', until);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const ads = aggregateAttribution(data || []);
+  const leads = ads.reduce((sum, row) => sum + row.leads, 0);
+  const bookings = ads.reduce((sum, row) => sum + row.bookings, 0);
+
+  return {
+    totals: {
+      ads: ads.length,
+      leads,
+      bookings,
+      booking_rate: leads ? Number((bookings / leads).toFixed(3)) : 0
+    },
+    ads
+  };
+}
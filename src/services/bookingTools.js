@@ -0,0 +1,191 @@
+import { z } from 'zod';
+import { logger } from '../utils/logger.js';
+import {
+  getBookingConfig,
+  toZonedParts,
+  formatTimeLabel,
+  checkAvailability,
+  getUpcomingBooking,
+  createBooking,
+  rescheduleBooking,
+  cancelBooking
+} from './scheduleService.js';
+
+/**
+ * Booking tools for Claude
+ *
+ * generateResponse() offers these next to the reply tool when it knows the
+ * lead, with describeBookingCalendar() in the prompt. Claude calls them to
+ * check slots and to book, move or cancel the lead's demo call;
+ * runBookingTool() executes a call against scheduleService and returns the
+ * tool_result content. Booking errors (slot taken, no booking, ...) go back
+ * to Claude as is_error results with the free times, so it can offer
+ * another slot.
+ */
+
+export const BOOKING_TOOL_NAMES = ['check_availability', 'create_booking', 'reschedule_booking', 'cancel_booking'];
+
+const date = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'must be YYYY-MM-DD');
+const time = z.string().trim().min(1);
+
+const inputSchemas = {
+  check_availability: z.object({ date, time: time.optional() }),
+  create_booking: z.object({ date, time, notes: z.string().trim().max(500).optional() }),
+  reschedule_booking: z.object({ date, time }),
+  cancel_booking: z.object({ reason: z.string().trim().max(500).optional() })
+};
+
+/**
+ * Tool definitions for the Messages API
+ * They only change with the booking config, so they stay in Claude's prompt
+ * cache - today's date goes in the per-customer prompt (describeBookingCalendar).
+ * @returns {Array<object>} Tools ({ name, description, input_schema })
+ */
+export function buildBookingTools() {
+  const config = getBookingConfig();
+  const hours = `${formatTimeLabel(config.openTime)} to ${formatTimeLabel(config.closeTime)}`;
+  const calendar = `Demo calls are ${config.slotMinutes} minutes, ${hours} ${config.timeZone} time.`;
+
+  const dateField = { type: 'string', description: 'Day in YYYY-MM-DD, in the booking time zone' };
+  const timeField = { type: 'string', description: 'Start time as HH:MM (24 hour), e.g. 18:00' };
+
+  return [
+    {
+      name: 'check_availability',
+      description: `Free demo call slots on a day, and whether a given time is free. ${calendar}`,
+      input_schema: {
+        type: 'object',
+        properties: { date: dateField, time: { ...timeField, description: `${timeField.description}. Optional.` } },
+        required: ['date']
+      }
+    },
+    {
+      name: 'create_booking',
+      description: `Book a demo call for this customer once they have agreed to a day and time. Never tell them a call is booked unless this tool succeeded. ${calendar}`,
+      input_schema: {
+        type: 'object',
+        properties: {
+          date: dateField,
+          time: timeField,
+          notes: { type: 'string', description: 'What they want to see in the demo, if they said' }
+        },
+        required: ['date', 'time']
+      }
+    },
+    {
+      name: 'reschedule_booking',
+      description: `Move this customer's upcoming demo call to another slot. ${calendar}`,
+      input_schema: {
+        type: 'object',
+        properties: { date: dateField, time: timeField },
+        required: ['date', 'time']
+      }
+    },
+    {
+      name: 'cancel_booking',
+      description: 'Cancel this customer\'s upcoming demo call. Only when they ask to cancel.',
+      input_schema: {
+        type: 'object',
+        properties: { reason: { type: 'string', description: 'Why, if they said' } }
+      }
+    }
+  ];
+}
+
+/**
+ * Today's date and time in the booking time zone, for the per-customer prompt
+ * so Claude can turn "tomorrow at 6pm" into a date
+ * @param {Date} now - Current time
+ * @returns {string} Prompt line
+ */
+export function describeBookingCalendar(now = new Date()) {
+  const { timeZone } = getBookingConfig();
+  const today = toZonedParts(now, timeZone);
+  const weekday = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long' }).format(now);
+  return `Booking calendar: today is ${weekday} ${today.date}, ${formatTimeLabel(today.time)} in ${timeZone}.`;
+}
+
+/**
+ * Whether a tool name is one of the booking tools
+ */
+export function isBookingTool(name) {
+  return BOOKING_TOOL_NAMES.includes(name);
+}
+
+/**
+ * Run a booking tool call
+ * @param {string} name - Tool name
+ * @param {object} input - Tool input from Claude
+ * @param {object} options - { leadId, brand }
+ * @returns {Promise<object>} { output (tool_result content), isError, booking (when one was changed) }
+ */
+export async function runBookingTool(name, input, { leadId, brand = 'proxe' }) {
+  const parsed = inputSchemas[name]?.safeParse(input || {});
+  if (!parsed) {
+    return { output: `Unknown tool ${name}`, isError: true, booking: null };
+  }
+  if (!parsed.success) {
+    const issues = parsed.error.errors.map(issue => `${issue.path.join('.') || 'input'}: ${issue.message}`);
+    return { output: `Invalid input - ${issues.join('; ')}`, isError: true, booking: null };
+  }
+
+  const args = parsed.data;
+  try {
+    switch (name) {
+      case 'check_availability': {
+        const [availability, upcoming] = await Promise.all([
+          checkAvailability({ brand, date: args.date, time: args.time }),
+          getUpcomingBooking(leadId)
+        ]);
+        return {
+          output: JSON.stringify({
+            date: availability.date,
+            timezone: availability.timezone,
+            ...(args.time && { time: availability.time, available: availability.available }),
+            free_slots: availability.slots.map(slot => slot.label),
+            customer_booking: upcoming ? upcoming.label : null
+          }),
+          isError: false,
+          booking: null
+        };
+      }
+      case 'create_booking': {
+        const booking = await createBooking(leadId, { brand, date: args.date, time: args.time, notes: args.notes || null });
+        return { output: JSON.stringify({ booked: true, ...describeBooking(booking) }), isError: false, booking };
+      }
+      case 'reschedule_booking': {
+        const booking = await rescheduleBooking(leadId, { date: args.date, time: args.time });
+        return { output: JSON.stringify({ rescheduled: true, ...describeBooking(booking) }), isError: false, booking };
+      }
+      case 'cancel_booking': {
+        const booking = await cancelBooking(leadId, { reason: args.reason || null });
+        return { output: JSON.stringify({ cancelled: true, ...describeBooking(booking) }), isError: false, booking };
+      }
+    }
+  } catch (error) {
+    if (error.code && error.statusCode && error.statusCode < 500) {
+      return {
+        output: JSON.stringify({
+          error: error.code,
+          message: error.message,
+          ...(Array.isArray(error.details) && { free_slots: error.details })
+        }),
+        isError: true,
+        booking: null
+      };
+    }
+
+    logger.error(`Booking tool ${name} failed`, { leadId, error: error.message });
+    return { output: 'The booking system is unavailable right now. Do not promise a booking - offer to follow up instead.', isError: true, booking: null };
+  }
+}
+
+function describeBooking(booking) {
+  return {
+    booking_id: booking.id,
+    date: booking.date,
+    time: formatTimeLabel(booking.time),
+    timezone: booking.timezone,
+    status: booking.status
+  };
+}
@@ -101,7 +101,8 @@ async function handleViewProperty(customerId, propertyId) {
   return {
     message: response.rawResponse,
     responseType: response.responseType,
-    buttons: response.buttons
+    buttons: response.buttons,
+    list: response.list
   };
 }
 
@@ -0,0 +1,641 @@
+import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getWhatsAppNumberForBrand } from '../config/brands.js';
+import { enqueueJobs, registerJobHandler, JOB_PRIORITIES } from './jobQueueService.js';
+import { onDeliveryStatus } from './deliveryStatusService.js';
+import { hasBooking } from './attributionService.js';
+import { sendToLead } from './outboundMessageService.js';
+import { isOptedOut } from './consentService.js';
+import { checkTemplateSend } from './templateService.js';
+import { buildMessagePayload, validateMessagePayload, renderTemplateParameters } from './whatsappClient.js';
+
+/**
+ * Broadcast campaigns
+ *
+ * A campaign sends one approved template to every lead matching an audience
+ * filter over all_leads:
+ *   {
+ *     firstTouchpoint: ['web'], lastTouchpoint: ['whatsapp'],   // any of
+ *     booking: 'booked' | 'not_booked',
+ *     tags: ['hot'],                                            // unified_context.tags, all of
+ *     lastInteractionAfter, lastInteractionBefore              // ISO timestamps
+ *   }
+ * Leads who opted out (consentService.js) are never in an audience.
+ * Template parameters are filled per lead from {{customer_name}}, {{first_name}},
+ * {{phone}}, {{email}}, {{brand}} and the campaign's own variables.
+ *
+ * Scheduling snapshots the audience into campaign_recipients and queues one
+ * 'campaign_message' job per recipient, spaced out to messagesPerSecond (the
+ * outbound dispatcher still paces the number as a whole). Recipient status
+ * follows Meta delivery webhooks, and a customer message within
+ * CAMPAIGN_REPLY_WINDOW_HOURS of a campaign message counts as a reply to it.
+ */
+
+export const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'completed', 'cancelled'];
+export const RECIPIENT_STATUSES = ['pending', 'sent', 'delivered', 'read', 'replied', 'failed', 'skipped'];
+
+const DEFAULT_MESSAGES_PER_SECOND = parseFloat(process.env.CAMPAIGN_MESSAGES_PER_SECOND) || 10;
+const REPLY_WINDOW_MS = (parseInt(process.env.CAMPAIGN_REPLY_WINDOW_HOURS) || 72) * 60 * 60 * 1000;
+const SEND_MAX_ATTEMPTS = 3;
+const AUDIENCE_PAGE_SIZE = 1000;
+const RECIPIENT_INSERT_BATCH = 500;
+
+// Later statuses win, as for conversations.metadata.delivery; failed replaces
+// sent / delivered, and failed and skipped are final
+const RECIPIENT_STATUS_RANK = {
+  pending: 0,
+  sent: 1,
+  delivered: 2,
+  failed: 3,
+  read: 4,
+  replied: 5
+};
+const FINAL_RECIPIENT_STATUSES = ['failed', 'skipped'];
+
+const LEAD_COLUMNS = 'id, customer_name, email, phone, brand, first_touchpoint, last_touchpoint, last_interaction_at, unified_context, consent_status';
+
+/**
+ * Whether a lead belongs to a campaign's audience
+ * @param {object} lead - all_leads row
+ * @param {object} audience - Audience filter (see module comment)
+ * @param {string} brand - Campaign brand
+ * @returns {boolean}
+ */
+export function matchesAudience(lead, audience = {}, brand) {
+  if (!lead.phone || isOptedOut(lead)) return false;
+  if (brand && lead.brand !== brand) return false;
+
+  if (audience.firstTouchpoint?.length && !audience.firstTouchpoint.includes(lead.first_touchpoint)) return false;
+  if (audience.lastTouchpoint?.length && !audience.lastTouchpoint.includes(lead.last_touchpoint)) return false;
+
+  const lastInteraction = lead.last_interaction_at ? new Date(lead.last_interaction_at).getTime() : null;
+  if (audience.lastInteractionAfter && !(lastInteraction >= new Date(audience.lastInteractionAfter).getTime())) return false;
+  if (audience.lastInteractionBefore && !(lastInteraction <= new Date(audience.lastInteractionBefore).getTime())) return false;
+
+  if (audience.booking) {
+    const booked = hasBooking(lead.unified_context);
+    if ((audience.booking === 'booked') !== booked) return false;
+  }
+
+  if (audience.tags?.length) {
+    const leadTags = (lead.unified_context?.tags || []).map(tag => String(tag).toLowerCase());
+    if (!audience.tags.every(tag => leadTags.includes(tag.toLowerCase()))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Template message for one lead
+ * @param {object} campaign - Campaign row
+ * @param {object} lead - all_leads row
+ * @returns {object} Template message description for sendMessage()
+ */
+export function buildCampaignMessage(campaign, lead) {
+  const { name, language, parameters, components } = campaign.template;
+  const variables = {
+    customer_name: lead.customer_name || '',
+    first_name: (lead.customer_name || '').split(/\s+/)[0],
+    phone: lead.phone || '',
+    email: lead.email || '',
+    brand: campaign.brand,
+    ...(campaign.variables || {})
+  };
+
+  return {
+    type: 'template',
+    name,
+    language,
+    ...(components ? { components } : { parameters: renderTemplateParameters(parameters, variables) })
+  };
+}
+
+/**
+ * Send times for a campaign's recipients, spaced to a rate
+ * @param {number} count - Recipients
+ * @param {number} startAt - First send (ms)
+ * @param {number} messagesPerSecond - Campaign rate
+ * @returns {Array<string>} ISO timestamps
+ */
+export function scheduleSendTimes(count, startAt, messagesPerSecond = DEFAULT_MESSAGES_PER_SECOND) {
+  const intervalMs = 1000 / messagesPerSecond;
+  return Array.from({ length: count }, (_, index) => new Date(startAt + Math.floor(index * intervalMs)).toISOString());
+}
+
+/**
+ * Recipient status after a delivery update
+ * @param {string} current - Recipient status
+ * @param {string} deliveryStatus - conversations.metadata.delivery.status
+ * @returns {string} New status
+ */
+export function nextRecipientStatus(current, deliveryStatus) {
+  const status = deliveryStatus === 'accepted' ? 'sent' : deliveryStatus;
+  if (FINAL_RECIPIENT_STATUSES.includes(current) || !(status in RECIPIENT_STATUS_RANK)) return current;
+  return RECIPIENT_STATUS_RANK[status] > (RECIPIENT_STATUS_RANK[current] ?? -1) ? status : current;
+}
+
+async function getCampaignRow(campaignId) {
+  const { data, error } = await supabaseAdmin
+    .from('campaigns')
+    .select('*')
+    .eq('id', campaignId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateCampaign(campaignId, updates, { fromStatuses } = {}) {
+  let query = supabaseAdmin
+    .from('campaigns')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', campaignId);
+
+  if (fromStatuses) query = query.in('status', fromStatuses);
+
+  const { data, error } = await query.select();
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+async function getRecipient(recipientId) {
+  const { data, error } = await supabaseAdmin
+    .from('campaign_recipients')
+    .select('*')
+    .eq('id', recipientId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateRecipient(recipientId, updates) {
+  const { error } = await supabaseAdmin
+    .from('campaign_recipients')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', recipientId);
+
+  if (error) throw error;
+}
+
+/**
+ * Reject templates Meta would refuse, before anything is scheduled
+ * Also checked against the template registry of the sending number's WABA.
+ */
+async function validateCampaignTemplate(campaign) {
+  const sample = buildCampaignMessage(campaign, { customer_name: 'Sample Lead', phone: '910000000000' });
+  const payload = buildMessagePayload('910000000000', sample);
+  const problems = validateMessagePayload(payload);
+  if (problems.length > 0) {
+    const error = new AppError(`Invalid campaign template: ${problems.join('; ')}`, 400);
+    error.code = 'INVALID_WHATSAPP_MESSAGE';
+    error.details = problems;
+    throw error;
+  }
+
+  await checkTemplateSend(payload.template, {
+    phoneNumberId: campaign.phone_number_id || getWhatsAppNumberForBrand(campaign.brand)?.phoneNumberId
+  });
+}
+
+/**
+ * Leads currently matching a campaign's audience
+ * Coarse filters run in the query; booking and tags are checked here.
+ * @param {object} campaign - Campaign row (brand, audience)
+ * @returns {Promise<Array<object>>} all_leads rows
+ */
+export async function resolveAudience(campaign) {
+  const audience = campaign.audience || {};
+  const leads = [];
+
+  for (let from = 0; ; from += AUDIENCE_PAGE_SIZE) {
+    let query = supabase
+      .from('all_leads')
+      .select(LEAD_COLUMNS)
+      .eq('brand', campaign.brand)
+      .not('phone', 'is', null)
+      .or('consent_status.is.null,consent_status.neq.opted_out');
+
+    if (audience.firstTouchpoint?.length) query = query.in('first_touchpoint', audience.firstTouchpoint);
+    if (audience.lastTouchpoint?.length) query = query.in('last_touchpoint', audience.lastTouchpoint);
+    if (audience.lastInteractionAfter) query = query.gte('last_interaction_at', audience.lastInteractionAfter);
+    if (audience.lastInteractionBefore) query = query.lte('last_interaction_at', audience.lastInteractionBefore);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .range(from, from + AUDIENCE_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    leads.push(...(data || []).filter(lead => matchesAudience(lead, audience, campaign.brand)));
+    if (!data || data.length < AUDIENCE_PAGE_SIZE) break;
+  }
+
+  return leads;
+}
+
+/**
+ * Create a draft campaign
+ * @param {object} definition - { name, brand, phoneNumberId, audience, template, variables, messagesPerSecond }
+ * @returns {Promise<object>} Campaign row
+ */
+export async function createCampaign({ name, brand, phoneNumberId = null, audience = {}, template, variables = {}, messagesPerSecond = null }) {
+  const campaign = { name, brand, phone_number_id: phoneNumberId, audience, template, variables, messages_per_second: messagesPerSecond };
+  await validateCampaignTemplate(campaign);
+
+  const { data, error } = await supabaseAdmin
+    .from('campaigns')
+    .insert({ ...campaign, status: 'draft' })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info('Campaign created', { campaignId: data.id, brand, template: template.name });
+  return data;
+}
+
+/**
+ * List campaigns, newest first
+ * @param {object} filters - { status, brand, limit }
+ * @returns {Promise<Array<object>>} Campaign rows
+ */
+export async function listCampaigns({ status, brand, limit = 50 } = {}) {
+  let query = supabaseAdmin
+    .from('campaigns')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (status) query = query.eq('status', status);
+  if (brand) query = query.eq('brand', brand);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Recipient counts per status
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<object>} { pending, sent, delivered, read, replied, failed, skipped }
+ */
+export async function getCampaignStats(campaignId) {
+  const counts = await Promise.all(RECIPIENT_STATUSES.map(async status => {
+    const { count, error } = await supabaseAdmin
+      .from('campaign_recipients')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaignId)
+      .eq('status', status);
+
+    if (error) throw error;
+    return [status, count || 0];
+  }));
+
+  return Object.fromEntries(counts);
+}
+
+/**
+ * Campaign with recipient counts
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<object|null>} Campaign row plus stats
+ */
+export async function getCampaign(campaignId) {
+  const campaign = await getCampaignRow(campaignId);
+  if (!campaign) return null;
+
+  return { ...campaign, stats: await getCampaignStats(campaignId) };
+}
+
+/**
+ * Audience size and a sample, before scheduling
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<object|null>} { count, sample }
+ */
+export async function previewAudience(campaignId) {
+  const campaign = await getCampaignRow(campaignId);
+  if (!campaign) return null;
+
+  const leads = await resolveAudience(campaign);
+  return {
+    count: leads.length,
+    sample: leads.slice(0, 20).map(lead => ({
+      leadId: lead.id,
+      name: lead.customer_name,
+      phone: lead.phone,
+      message: buildCampaignMessage(campaign, lead)
+    }))
+  };
+}
+
+/**
+ * Snapshot the audience and queue the sends
+ * @param {string} campaignId - Campaign ID
+ * @param {object} options - { sendAt } (ISO, default now)
+ * @returns {Promise<object>} Scheduled campaign
+ */
+export async function scheduleCampaign(campaignId, { sendAt } = {}) {
+  const campaign = await getCampaignRow(campaignId);
+  if (!campaign) {
+    throw new AppError('Campaign not found', 404);
+  }
+
+  const startAt = Math.max(sendAt ? new Date(sendAt).getTime() : Date.now(), Date.now());
+  const leads = await resolveAudience(campaign);
+  if (leads.length === 0) {
+    throw new AppError('Campaign audience is empty', 422);
+  }
+
+  // Claims the draft, so a double submit doesn't queue everyone twice
+  const scheduled = await updateCampaign(campaignId, {
+    status: 'scheduled',
+    scheduled_at: new Date(startAt).toISOString(),
+    recipient_count: leads.length
+  }, { fromStatuses: ['draft'] });
+
+  if (!scheduled) {
+    throw new AppError(`Campaign is ${campaign.status}, only drafts can be scheduled`, 409);
+  }
+
+  const sendTimes = scheduleSendTimes(leads.length, startAt, Number(campaign.messages_per_second) || DEFAULT_MESSAGES_PER_SECOND);
+
+  try {
+    // Every recipient is inserted before any send is queued, so a failed insert leaves nothing to undo but rows
+    const recipients = [];
+    for (let start = 0; start < leads.length; start += RECIPIENT_INSERT_BATCH) {
+      const batch = leads.slice(start, start + RECIPIENT_INSERT_BATCH);
+      const { data, error } = await supabaseAdmin
+        .from('campaign_recipients')
+        .insert(batch.map((lead, index) => ({
+          campaign_id: campaignId,
+          lead_id: lead.id,
+          phone: lead.phone,
+          status: 'pending',
+          send_at: sendTimes[start + index]
+        })))
+        .select('id, send_at');
+
+      if (error) throw error;
+      recipients.push(...data);
+    }
+
+    for (let start = 0; start < recipients.length; start += RECIPIENT_INSERT_BATCH) {
+      await enqueueJobs('campaign_message', recipients.slice(start, start + RECIPIENT_INSERT_BATCH).map(recipient => ({
+        payload: { campaignId, recipientId: recipient.id },
+        runAt: recipient.send_at,
+        dedupKey: recipient.id,
+        maxAttempts: SEND_MAX_ATTEMPTS,
+        // Customers' replies and status updates go first
+        priority: JOB_PRIORITIES.low
+      })));
+    }
+  } catch (error) {
+    await unscheduleCampaign(campaignId, error);
+    throw error;
+  }
+
+  logger.info('Campaign scheduled', { campaignId, recipients: leads.length, startAt: scheduled.scheduled_at });
+  return scheduled;
+}
+
+/**
+ * Undo a schedule that failed part way
+ * The campaign goes back to draft with no recipients, so it can be scheduled
+ * again; sends already queued find no recipient and do nothing. If the first
+ * sends have gone out, it is cancelled instead so the rest are skipped.
+ * @param {string} campaignId - Campaign ID
+ * @param {Error} cause - Why scheduling failed
+ */
+async function unscheduleCampaign(campaignId, cause) {
+  logger.error('Campaign scheduling failed - rolling back', { campaignId, error: cause.message });
+
+  try {
+    const draft = await updateCampaign(campaignId, { status: 'draft', scheduled_at: null, recipient_count: null }, {
+      fromStatuses: ['scheduled']
+    });
+    if (!draft) {
+      await cancelCampaign(campaignId);
+      return;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('campaign_recipients')
+      .delete()
+      .eq('campaign_id', campaignId);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error('Campaign scheduling rollback failed', { campaignId, error: error.message });
+  }
+}
+
+/**
+ * Stop a campaign; recipients not yet messaged are skipped
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<object|null>} Cancelled campaign, or null if it had already finished
+ */
+export async function cancelCampaign(campaignId) {
+  const cancelled = await updateCampaign(campaignId, { status: 'cancelled', completed_at: new Date().toISOString() }, {
+    fromStatuses: ['draft', 'scheduled', 'sending']
+  });
+  if (!cancelled) return null;
+
+  const { error } = await supabaseAdmin
+    .from('campaign_recipients')
+    .update({ status: 'skipped', error: 'Campaign cancelled', updated_at: new Date().toISOString() })
+    .eq('campaign_id', campaignId)
+    .eq('status', 'pending');
+
+  if (error) throw error;
+
+  logger.info('Campaign cancelled', { campaignId });
+  return cancelled;
+}
+
+/**
+ * A campaign's recipients
+ * @param {string} campaignId - Campaign ID
+ * @param {object} filters - { status, limit }
+ * @returns {Promise<Array<object>>} Recipient rows
+ */
+export async function listCampaignRecipients(campaignId, { status, limit = 100 } = {}) {
+  let query = supabaseAdmin
+    .from('campaign_recipients')
+    .select('*')
+    .eq('campaign_id', campaignId)
+    .order('send_at', { ascending: true })
+    .limit(limit);
+
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Mark a campaign completed once no recipient is waiting
+ */
+async function completeCampaignIfDone(campaignId) {
+  const { count, error } = await supabaseAdmin
+    .from('campaign_recipients')
+    .select('id', { count: 'exact', head: true })
+    .eq('campaign_id', campaignId)
+    .eq('status', 'pending');
+
+  if (error) throw error;
+  if (count === 0) {
+    const completed = await updateCampaign(campaignId, { status: 'completed', completed_at: new Date().toISOString() }, {
+      fromStatuses: ['sending']
+    });
+    if (completed) {
+      logger.info('Campaign completed', { campaignId });
+    }
+  }
+}
+
+/**
+ * Job handler: send the campaign template to one recipient
+ * Errors Meta won't accept on retry (invalid template, number not on WhatsApp)
+ * fail the recipient straight away; others are retried by the job queue.
+ * @param {object} payload - { campaignId, recipientId }
+ * @param {object} job - Job being processed
+ */
+async function sendCampaignMessage({ campaignId, recipientId }, job = {}) {
+  const recipient = await getRecipient(recipientId);
+  if (!recipient || recipient.status !== 'pending') return;
+
+  const campaign = await getCampaignRow(campaignId);
+  if (!campaign || campaign.status === 'cancelled') {
+    await updateRecipient(recipientId, { status: 'skipped', error: 'Campaign cancelled' });
+    return;
+  }
+  // Scheduling failed and is being rolled back
+  if (campaign.status === 'draft') return;
+
+  if (campaign.status === 'scheduled') {
+    await updateCampaign(campaignId, { status: 'sending', started_at: new Date().toISOString() }, { fromStatuses: ['scheduled'] });
+  }
+
+  const { data: lead, error: leadError } = await supabase
+    .from('all_leads')
+    .select(LEAD_COLUMNS)
+    .eq('id', recipient.lead_id)
+    .maybeSingle();
+
+  if (leadError) throw leadError;
+
+  if (!lead) {
+    await updateRecipient(recipientId, { status: 'skipped', error: 'Lead no longer exists' });
+  } else if (isOptedOut(lead)) {
+    // Opted out after the audience was snapshotted
+    await updateRecipient(recipientId, { status: 'skipped', error: 'Lead opted out' });
+  } else {
+    let result;
+    try {
+      result = await sendToLead({
+        leadId: lead.id,
+        brand: campaign.brand,
+        phoneNumberId: campaign.phone_number_id || undefined,
+        message: buildCampaignMessage(campaign, lead),
+        sender: 'agent',
+        sentBy: `campaign:${campaign.id}`,
+        metadata: { campaign_id: campaign.id, campaign_recipient_id: recipient.id }
+      });
+    } catch (error) {
+      const permanent = (error.statusCode >= 400 && error.statusCode < 500) ||
+        (error.httpStatus >= 400 && error.httpStatus < 500);
+      const finalAttempt = (job.attempts || 1) >= (job.max_attempts || SEND_MAX_ATTEMPTS);
+      if (!permanent && !finalAttempt) throw error;
+
+      logger.warn('Campaign message failed', { campaignId, recipientId, metaCode: error.metaCode, error: error.message });
+      await updateRecipient(recipientId, {
+        status: 'failed',
+        error: error.message,
+        failed_at: new Date().toISOString()
+      });
+    }
+
+    if (result) {
+      // The message is out - a bookkeeping failure must not make the job send it again.
+      // A recipient left pending is moved on by its delivery status webhook.
+      try {
+        await updateRecipient(recipientId, {
+          status: 'sent',
+          whatsapp_message_id: result.wamid,
+          conversation_id: result.conversationId,
+          sent_at: new Date().toISOString(),
+          error: null
+        });
+        await completeCampaignIfDone(campaignId);
+      } catch (error) {
+        logger.error('Failed to record campaign message as sent', { campaignId, recipientId, wamid: result.wamid, error: error.message });
+      }
+      return;
+    }
+  }
+
+  await completeCampaignIfDone(campaignId);
+}
+
+/**
+ * Delivery listener: move the recipient along with its message's status
+ * @param {object} row - conversations row of the campaign message
+ * @param {object} delivery - Updated metadata.delivery
+ */
+async function recordCampaignDelivery(row, delivery) {
+  const recipientId = row.metadata?.campaign_recipient_id;
+  if (!recipientId) return;
+
+  const recipient = await getRecipient(recipientId);
+  if (!recipient) return;
+
+  const failure = delivery.status === 'failed' ? delivery.errors?.[delivery.errors.length - 1] : null;
+  // Still pending if the send went out but marking it sent failed
+  const unrecorded = recipient.status === 'pending';
+  await updateRecipient(recipientId, {
+    status: nextRecipientStatus(recipient.status, delivery.status),
+    delivered_at: recipient.delivered_at || delivery.delivered_at || null,
+    read_at: recipient.read_at || delivery.read_at || null,
+    failed_at: recipient.failed_at || delivery.failed_at || null,
+    ...(unrecorded && {
+      whatsapp_message_id: row.metadata.whatsapp_message_id || null,
+      conversation_id: row.id,
+      sent_at: row.created_at || new Date().toISOString()
+    }),
+    ...(failure && { error: [failure.code, failure.title].filter(Boolean).join(' ') })
+  });
+
+  if (unrecorded) await completeCampaignIfDone(recipient.campaign_id);
+}
+
+/**
+ * Attribute a customer's message to the campaign they last received
+ * Only the first reply within CAMPAIGN_REPLY_WINDOW_HOURS counts.
+ * @param {string} leadId - Lead UUID
+ * @param {number} repliedAt - When the customer wrote (ms)
+ * @returns {Promise<object|null>} { campaignId, recipientId }, or null if not a campaign reply
+ */
+export async function recordCampaignReply(leadId, repliedAt = Date.now()) {
+  const { data: recipient, error } = await supabaseAdmin
+    .from('campaign_recipients')
+    .select('id, campaign_id, sent_at')
+    .eq('lead_id', leadId)
+    .in('status', ['sent', 'delivered', 'read'])
+    .gte('sent_at', new Date(repliedAt - REPLY_WINDOW_MS).toISOString())
+    .order('sent_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!recipient || new Date(recipient.sent_at).getTime() > repliedAt) return null;
+
+  await updateRecipient(recipient.id, { status: 'replied', replied_at: new Date(repliedAt).toISOString() });
+
+  logger.info('Campaign reply recorded', { campaignId: recipient.campaign_id, recipientId: recipient.id, leadId });
+  return { campaignId: recipient.campaign_id, recipientId: recipient.id };
+}
+
+registerJobHandler('campaign_message', sendCampaignMessage);
+onDeliveryStatus(recordCampaignDelivery);
@@ -1,12 +1,32 @@
 import { claudeClient, CLAUDE_MODEL, CLAUDE_MAX_TOKENS } from '../config/claude.js';
 import { logger } from '../utils/logger.js';
-import { getProxeSystemPrompt } from '../prompts/proxe-prompt.js';
+import { getSystemPromptParts, getButtonCatalogue } from '../prompts/index.js';
 import { queryKnowledgeBase, formatKnowledgeContext } from './knowledgeBaseService.js';
+import { REPLY_TOOL_NAME, buildReplyTool, readReplyToolInput, matchButton, normaliseLabel } from './replyTool.js';
+import { buildBookingTools, describeBookingCalendar, isBookingTool, runBookingTool } from './bookingTools.js';
+
+// Claude's button suggestion: "→ BUTTON: [Label]" anywhere, or "BUTTON: Label" on its own line
+const BUTTON_MARKER = /(?:(?:→|->)[^\S\n]*|^[^\S\n]*)BUTTON:[^\S\n]*(.*)$/gim;
+
+// Booking tool calls per reply before Claude has to answer
+const MAX_BOOKING_ROUNDS = 4;
 
 /**
  * Generate AI response using Claude API
+ * @param {object} customerContext - Context from buildCustomerContext()
+ * @param {string} message - Current user message
+ * @param {Array} conversationHistory - Previous messages ({ role, content })
+ * @param {boolean} isNewUser - Whether this is the user's first message
+ * @param {object} options - Optional settings
+ * @param {Array<object>} options.attachments - Images/PDFs sent with the message
+ *   ({ type: 'image'|'document', mimeType, data (base64) })
+ * @param {string} options.promptKey - System prompt to use (defaults to the customer's brand)
+ * @param {string} options.leadId - Lead the booking tools act for (defaults to customerContext.leadId);
+ *   without one Claude gets no booking tools
+ * @returns {Promise<object>} { rawResponse, responseType, buttons, list, urgency, nextAction,
+ *   intent, leadFields, outputFormat, toolCalls, tokensUsed (output tokens), usage, responseTime }
  */
-export async function generateResponse(customerContext, message, conversationHistory, isNewUser = false) {
+export async function generateResponse(customerContext, message, conversationHistory, isNewUser = false, options = {}) {
   try {
     // Skip knowledge base for simple greetings (saves ~1-2s per request)
     const simpleGreeting = /^(hi|hello|hey|hii+|good\s*(morning|evening|afternoon)|thanks|thank you|ok|okay|bye)[\s!.]*$/i.test(message.trim());
@@ -30,8 +50,10 @@ export async function generateResponse(customerContext, message, conversationHis
       ? `${knowledgeContext}\n\n=================================================================================\nCUSTOMER CONTEXT\n=================================================================================\n${customerContextStr}`
       : knowledgeContext;
     
-    // Build PROXe system prompt with full context
-    const systemPrompt = getProxeSystemPrompt(fullContext);
+    // Build the brand's system prompt: the static part first, then this customer's context
+    const promptKey = options.promptKey || customerContext?.brand || 'proxe';
+    const { staticPrompt, contextPrompt } = getSystemPromptParts(promptKey, fullContext);
+    const leadId = options.leadId || customerContext?.leadId || null;
     
     // Build messages array for Claude
     const messages = [
@@ -41,37 +63,58 @@ export async function generateResponse(customerContext, message, conversationHis
       })),
       {
         role: 'user',
-        content: message
+        content: buildUserContent(message, options.attachments)
       }
     ];
 
-    const startTime = Date.now();
-    
-    const response = await claudeClient.messages.create({
+    // Claude answers through the reply tool; buttons must be in the brand's catalogue.
+    // For a known lead it may first call the booking tools, one at a time.
+    // Tools and the static prompt are the same for every customer of a brand, so
+    // they are cached (breakpoint on the static block); the context block is not.
+    const allowedButtons = getButtonCatalogue(promptKey);
+    const request = {
       model: CLAUDE_MODEL,
       max_tokens: CLAUDE_MAX_TOKENS,
-      system: systemPrompt,
-      messages: messages
-    });
+      system: [
+        { type: 'text', text: staticPrompt, cache_control: { type: 'ephemeral' } },
+        { type: 'text', text: leadId ? `${contextPrompt}\n\n${describeBookingCalendar()}` : contextPrompt }
+      ],
+      messages: messages,
+      tools: leadId ? [buildReplyTool(allowedButtons), ...buildBookingTools()] : [buildReplyTool(allowedButtons)],
+      tool_choice: leadId ? { type: 'any', disable_parallel_tool_use: true } : { type: 'tool', name: REPLY_TOOL_NAME }
+    };
 
+    const startTime = Date.now();
+    const { reply, usage, outputFormat, toolCalls } = await requestStructuredReply(request, allowedButtons, {
+      leadId,
+      brand: customerContext?.brand || 'proxe'
+    });
     const responseTime = Date.now() - startTime;
-    const rawResponse = response.content[0].text;
-    
-    // Parse response and remove button markers
-    const parsed = parseResponse(rawResponse);
     
     logger.info('Claude response generated', {
-      tokensUsed: response.usage?.output_tokens || 0,
-      responseTime
+      tokensUsed: usage.outputTokens,
+      responseTime,
+      cache: usage.cache,
+      inputTokens: usage.inputTokens,
+      cacheReadTokens: usage.cacheReadTokens,
+      outputFormat,
+      intent: reply.intent,
+      ...(toolCalls.length > 0 && { toolCalls: toolCalls.map(call => `${call.name}:${call.ok ? 'ok' : 'error'}`) })
     });
 
     return {
-      rawResponse: parsed.text,
-      responseType: parsed.responseType,
-      buttons: parsed.buttons,
-      urgency: parsed.urgency,
-      nextAction: parsed.nextAction,
-      tokensUsed: response.usage?.output_tokens || 0,
+      rawResponse: reply.text,
+      responseType: reply.responseType,
+      buttons: reply.buttons,
+      list: reply.list,
+      urgency: reply.urgency,
+      nextAction: reply.nextAction,
+      intent: reply.intent,
+      leadFields: reply.leadFields,
+      outputFormat,
+      toolCalls,
+      tokensUsed: usage.outputTokens,
+      usage,
       responseTime
     };
   } catch (error) {
@@ -94,6 +137,193 @@ export async function generateResponse(customerContext, message, conversationHis
   }
 }
 
+/**
+ * Ask Claude for a reply through the reply tool
+ * Booking tool calls are run first (see runBookingRounds). Tool input without
+ * a usable reply is sent back once with the problems so Claude can fix it. If
+ * Claude still does not call the tool, its plain text is used instead
+ * (→ BUTTON: markers work there as before).
+ * @param {object} request - Messages API request, with the reply tool
+ * @param {Array<string>} allowedButtons - Labels from getButtonCatalogue()
+ * @param {object} bookingContext - { leadId, brand } for the booking tools
+ * @returns {Promise<object>} { reply, usage, outputFormat, toolCalls } - outputFormat is
+ *   'structured', 'repaired' (fields defaulted or a second call) or 'text'
+ */
+async function requestStructuredReply(request, allowedButtons, bookingContext) {
+  let { response, messages, usage, toolCalls } = await runBookingRounds(request, bookingContext);
+  let { reply, issues, toolUse } = readReplyToolCall(response, allowedButtons);
+  let outputFormat = issues.length > 0 ? 'repaired' : 'structured';
+
+  if (!reply && toolUse) {
+    logger.warn('Claude reply did not match the reply schema - asking for a corrected one', { issues });
+    response = await claudeClient.messages.create({
+      ...request,
+      tool_choice: { type: 'tool', name: REPLY_TOOL_NAME },
+      messages: [
+        ...messages,
+        { role: 'assistant', content: response.content },
+        {
+          role: 'user',
+          content: [{
+            type: 'tool_result',
+            tool_use_id: toolUse.id,
+            is_error: true,
+            content: `The reply was not sent: ${issues.join('; ')}. Call ${REPLY_TOOL_NAME} again with a valid reply.`
+          }]
+        }
+      ]
+    });
+    addUsage(usage, response.usage);
+    ({ reply } = readReplyToolCall(response, allowedButtons));
+    outputFormat = 'repaired';
+  }
+
+  if (reply) {
+    return { reply: finishReply(reply, allowedButtons), usage, outputFormat, toolCalls };
+  }
+
+  const text = response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+    .trim();
+  if (!text) {
+    throw new Error('Claude returned no usable reply');
+  }
+
+  logger.warn('Claude did not call the reply tool - using its text reply', { stopReason: response.stop_reason });
+  return { reply: parseResponse(text, allowedButtons), usage, outputFormat: 'text', toolCalls };
+}
+
+/**
+ * Let Claude call booking tools until it answers with the reply tool
+ * Each call is run against scheduleService and its result sent back; after
+ * MAX_BOOKING_ROUNDS the reply tool is forced.
+ * @returns {Promise<object>} { response (the last one), messages (with the tool
+ *   rounds), usage, toolCalls ([{ name, input, ok, booking }]) }
+ */
+async function runBookingRounds(request, bookingContext) {
+  let messages = request.messages;
+  const usage = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, calls: 0, cache: 'none' };
+  const toolCalls = [];
+
+  for (let round = 0; ; round++) {
+    const lastRound = round === MAX_BOOKING_ROUNDS;
+    const response = await claudeClient.messages.create({
+      ...request,
+      messages,
+      ...(lastRound && { tool_choice: { type: 'tool', name: REPLY_TOOL_NAME } })
+    });
+    addUsage(usage, response.usage);
+
+    const toolUses = (response.content || []).filter(block => block.type === 'tool_use');
+    if (lastRound || !toolUses.some(block => isBookingTool(block.name))) {
+      return { response, messages, usage, toolCalls };
+    }
+
+    // Every tool_use needs a result - a reply sent alongside a booking call is asked for again
+    const results = [];
+    for (const toolUse of toolUses) {
+      if (!isBookingTool(toolUse.name)) {
+        results.push({ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: `Not sent. Call ${REPLY_TOOL_NAME} again once the booking tools are done.` });
+        continue;
+      }
+
+      const result = await runBookingTool(toolUse.name, toolUse.input, bookingContext);
+      toolCalls.push({
+        name: toolUse.name,
+        input: toolUse.input,
+        ok: !result.isError,
+        ...(result.booking && { booking: { id: result.booking.id, status: result.booking.status, startAt: result.booking.startAt } })
+      });
+      results.push({ type: 'tool_result', tool_use_id: toolUse.id, content: result.output, ...(result.isError && { is_error: true }) });
+    }
+
+    messages = [
+      ...messages,
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: results }
+    ];
+  }
+}
+
+/**
+ * Add a Messages API response's token usage to the reply's totals
+ * cache is decided by the first call: 'hit' when the static prefix was read
+ * from the prompt cache, 'miss' when it had to be written, 'none' when nothing
+ * was cached (e.g. a prefix below the model's minimum cacheable length).
+ * Later calls (booking rounds, repair) reuse what the first one wrote.
+ */
+function addUsage(usage, responseUsage = {}) {
+  const cacheReadTokens = responseUsage.cache_read_input_tokens || 0;
+  const cacheWriteTokens = responseUsage.cache_creation_input_tokens || 0;
+
+  if (usage.calls === 0) {
+    usage.cache = cacheReadTokens > 0 ? 'hit' : cacheWriteTokens > 0 ? 'miss' : 'none';
+  }
+  usage.calls += 1;
+  usage.inputTokens += responseUsage.input_tokens || 0;
+  usage.outputTokens += responseUsage.output_tokens || 0;
+  usage.cacheReadTokens += cacheReadTokens;
+  usage.cacheWriteTokens += cacheWriteTokens;
+}
+
+/**
+ * The reply tool call in a Claude response, validated
+ * @returns {object} { reply, issues, toolUse } - reply is null without a usable call
+ */
+function readReplyToolCall(response, allowedButtons) {
+  const toolUse = (response.content || []).find(block => block.type === 'tool_use' && block.name === REPLY_TOOL_NAME);
+  if (!toolUse) {
+    return { reply: null, issues: [], toolUse: null };
+  }
+  return { ...readReplyToolInput(toolUse.input, allowedButtons), toolUse };
+}
+
+/**
+ * Response type for a structured reply, after taking any → BUTTON: marker
+ * Claude still wrote into the text out of it
+ * A list replaces the button - a WhatsApp message can only carry one of them.
+ */
+function finishReply(reply, allowedButtons) {
+  const parsed = parseResponse(reply.text, allowedButtons);
+  const buttons = reply.list ? [] : reply.buttons.length > 0 ? reply.buttons : parsed.buttons;
+
+  let responseType = 'text_only';
+  if (reply.list) {
+    responseType = 'text_with_list';
+  } else if (buttons.length > 0) {
+    responseType = 'text_with_buttons';
+  }
+
+  return { ...reply, text: parsed.text, buttons, responseType };
+}
+
+/**
+ * Build the content of the current user turn
+ * Attachments become image/document blocks placed before the text, as Claude recommends.
+ * @param {string} message - Message text
+ * @param {Array<object>} attachments - Attachments from mediaService.buildClaudeAttachments()
+ * @returns {string|Array<object>} Plain string, or content blocks when attachments exist
+ */
+function buildUserContent(message, attachments = []) {
+  if (!attachments || attachments.length === 0) {
+    return message;
+  }
+
+  const blocks = attachments.map(attachment => ({
+    type: attachment.type === 'document' ? 'document' : 'image',
+    source: {
+      type: 'base64',
+      media_type: attachment.mimeType,
+      data: attachment.data
+    }
+  }));
+
+  blocks.push({ type: 'text', text: message });
+  return blocks;
+}
+
 /**
  * Build customer context note for inclusion in messages
  * This provides context about the customer without cluttering the system prompt
@@ -168,6 +398,18 @@ function buildCustomerContextNote(context) {
   if (context.budget) {
     parts.push(`Budget: ${context.budget}`);
   }
+
+  // Click-to-WhatsApp ad the customer first came from
+  if (context.adAttribution) {
+    const ad = context.adAttribution;
+    const adInfo = [
+      ad.headline && `"${ad.headline}"`,
+      ad.body && `text: ${ad.body}`,
+      ad.source_id && `${ad.source_type || 'ad'} id ${ad.source_id}`,
+      ad.source_url && `link: ${ad.source_url}`
+    ].filter(Boolean);
+    parts.push(`Came from Click-to-WhatsApp ${ad.source_type === 'post' ? 'post' : 'ad'}: ${adInfo.join(', ')}. Answer in the context of what it promoted.`);
+  }
   
   if (context.conversationSummary && context.conversationSummary !== 'New customer, no previous conversation.') {
     parts.push(`Conversation summary: ${context.conversationSummary}`);
@@ -190,21 +432,51 @@ function buildCustomerContextNote(context) {
 }
 
 /**
- * Parse Claude response and remove button markers
+ * Parse Claude response, turning its → BUTTON: marker into a reply button
+ * The label must be in the brand's button catalogue (matched without regard to
+ * case, brackets or quotes); unknown or malformed suggestions are logged and dropped.
+ * Used for replies Claude wrote as plain text instead of calling the reply tool.
+ * @param {string} rawResponse - Claude's reply text
+ * @param {Array<string>} allowedButtons - Labels from getButtonCatalogue()
+ * @returns {object} { text, responseType, buttons, list, urgency, nextAction, intent, leadFields }
  */
-function parseResponse(rawResponse) {
-  let text = rawResponse;
-  
-  // Remove button markers from Claude
-  text = text.replace(/→\s*BUTTON:\s*(.+)/gi, '').trim();
-  text = text.replace(/\n+$/, '').trim();
-  
+export function parseResponse(rawResponse, allowedButtons = []) {
+  const suggestions = [...rawResponse.matchAll(BUTTON_MARKER)].map(match => match[1]);
+
+  const buttons = [];
+  for (const suggestion of suggestions) {
+    const label = normaliseLabel(suggestion);
+    if (!label) {
+      logger.warn('Malformed BUTTON marker in Claude response', { marker: suggestion });
+      continue;
+    }
+
+    const allowed = matchButton(label, allowedButtons);
+    if (!allowed) {
+      logger.warn('Claude suggested a button outside the brand catalogue', { button: label, allowed: allowedButtons });
+    } else if (!buttons.includes(allowed)) {
+      buttons.push(allowed);
+    }
+  }
+
+  // The prompt asks for exactly one button
+  if (buttons.length > 1) {
+    logger.warn('Claude suggested more than one button - using the first', { buttons });
+    buttons.length = 1;
+  }
+
+  // Remove button markers from the text
+  const text = rawResponse.replace(BUTTON_MARKER, '').replace(/\n{3,}/g, '\n\n').trim();
+
   return {
-    text: text.trim(),
-    responseType: 'text_only',
-    buttons: [],
+    text,
+    responseType: buttons.length > 0 ? 'text_with_buttons' : 'text_only',
+    buttons,
+    list: null,
     urgency: 'normal',
-    nextAction: 'continue_conversation'
+    nextAction: 'continue_conversation',
+    intent: 'unknown',
+    leadFields: {}
   };
 }
 
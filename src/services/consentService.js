@@ -0,0 +1,217 @@
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { normalizePhoneNumber } from './customerService.js';
+
+/**
+ * Marketing consent per lead (all_leads.consent_status / consent_source / consent_updated_at)
+ *
+ * A customer message that is exactly an opt-out keyword ("STOP", "बंद करो")
+ * or opt-in keyword ("START") changes their consent and gets a confirmation
+ * instead of a Claude reply. Keywords extend the defaults below through
+ * CONSENT_OPT_OUT_KEYWORDS / CONSENT_OPT_IN_KEYWORDS (comma-separated) and the
+ * brand registry's "consent" field:
+ *   { "optOutKeywords": ["alto"], "optInKeywords": ["inicio"],
+ *     "optOutMessage": "...", "optInMessage": "..." }
+ *
+ * Messages we start (sendToLead: campaigns, automations, templates) are
+ * refused for opted-out leads. Replies to the customer's own messages, and
+ * free-form messages a person sends inside the 24-hour window, still go out.
+ * whatsappClient.sendPayload() also checks every template by recipient
+ * (assertRecipientCanMessage), so window fallbacks and follow-ups are covered
+ * whoever sends them.
+ */
+
+export const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+const DEFAULT_OPT_OUT_KEYWORDS = [
+  'stop', 'stop all', 'unsubscribe', 'opt out', 'optout', 'stop messages',
+  'band karo', 'bandh karo', 'बंद', 'बंद करो', 'रोको'
+];
+
+const DEFAULT_OPT_IN_KEYWORDS = [
+  'start', 'subscribe', 'opt in', 'optin', 'unstop',
+  'shuru karo', 'शुरू', 'शुरू करो'
+];
+
+const DEFAULT_CONFIRMATIONS = {
+  opted_out: "You've been unsubscribed and won't get any more messages from us. Reply START to subscribe again.",
+  opted_in: "You're subscribed again. Reply STOP any time to unsubscribe."
+};
+
+/**
+ * Lowercase, drop punctuation and emoji, collapse spaces
+ * Letters and combining marks of any script are kept (Devanagari vowel signs are marks).
+ */
+function normaliseKeyword(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function keywordList(envValue, configured) {
+  return [
+    ...(envValue ? envValue.split(',') : []),
+    ...(Array.isArray(configured) ? configured : [])
+  ].map(normaliseKeyword).filter(Boolean);
+}
+
+/**
+ * Consent change a customer message asks for
+ * Only a message that is the keyword on its own counts - "stop sending me
+ * brochures, just call" is a normal message.
+ * @param {string} text - Customer message
+ * @param {object} whatsappNumber - Registry entry for the business number
+ * @returns {string|null} 'opted_out', 'opted_in' or null
+ */
+export function matchConsentKeyword(text, whatsappNumber = null) {
+  const normalised = normaliseKeyword(text);
+  if (!normalised) return null;
+
+  const config = whatsappNumber?.consent || {};
+  const optOut = [...DEFAULT_OPT_OUT_KEYWORDS, ...keywordList(process.env.CONSENT_OPT_OUT_KEYWORDS, config.optOutKeywords)];
+  const optIn = [...DEFAULT_OPT_IN_KEYWORDS, ...keywordList(process.env.CONSENT_OPT_IN_KEYWORDS, config.optInKeywords)];
+
+  if (optOut.includes(normalised)) return 'opted_out';
+  if (optIn.includes(normalised)) return 'opted_in';
+  return null;
+}
+
+/**
+ * Consent change a customer message makes for this lead
+ * Opt-in keywords only count from a lead who opted out - from anyone else
+ * "Start" or "Subscribe" is an ordinary message (often a first one).
+ * @param {string} text - Customer message
+ * @param {object} lead - Lead row (consent_status)
+ * @param {object} whatsappNumber - Registry entry for the business number
+ * @returns {string|null} 'opted_out', 'opted_in' or null
+ */
+export function getConsentChange(text, lead, whatsappNumber = null) {
+  const status = matchConsentKeyword(text, whatsappNumber);
+  if (status === 'opted_in' && !isOptedOut(lead)) return null;
+  return status;
+}
+
+/**
+ * Message confirming a consent change to the customer
+ * @param {string} status - 'opted_out' or 'opted_in'
+ * @param {object} whatsappNumber - Registry entry for the business number
+ * @returns {string} Confirmation text
+ */
+export function getConsentConfirmation(status, whatsappNumber = null) {
+  const config = whatsappNumber?.consent || {};
+  const configured = status === 'opted_out' ? config.optOutMessage : config.optInMessage;
+  return configured || DEFAULT_CONFIRMATIONS[status];
+}
+
+/**
+ * @param {object} lead - all_leads row
+ * @returns {boolean} Whether the lead has opted out
+ */
+export function isOptedOut(lead) {
+  return lead?.consent_status === 'opted_out';
+}
+
+/**
+ * Refuse messages we start to opted-out leads
+ * A person's free-form message is allowed (the customer may still be talking
+ * to us); automated and template messages are not.
+ * @param {object} lead - all_leads row
+ * @param {object} send - { message, sender }
+ * @throws {AppError} 403 with code OPTED_OUT
+ */
+export function assertCanMessage(lead, { message, sender } = {}) {
+  if (!isOptedOut(lead)) return;
+  if (sender === 'human' && message?.type !== 'template') return;
+
+  const error = new AppError('Lead has opted out of WhatsApp messages', 403);
+  error.code = 'OPTED_OUT';
+  error.details = {
+    leadId: lead.id,
+    consentSource: lead.consent_source || null,
+    consentUpdatedAt: lead.consent_updated_at || null
+  };
+  throw error;
+}
+
+/**
+ * Refuse a message to a phone number whose lead opted out
+ * Keyed on the recipient, for senders that have no lead row at hand - the
+ * WhatsApp client checks every template send with it.
+ * @param {string} phone - Recipient phone number
+ * @param {object} send - { brand, message }
+ * @throws {AppError} 403 with code OPTED_OUT
+ */
+export async function assertRecipientCanMessage(phone, { brand = 'proxe', message } = {}) {
+  const normalizedPhone = normalizePhoneNumber(phone);
+  if (!normalizedPhone) return;
+
+  const { data, error } = await supabase
+    .from('all_leads')
+    .select('id, consent_status, consent_source, consent_updated_at')
+    .eq('customer_phone_normalized', normalizedPhone)
+    .eq('brand', brand)
+    .eq('consent_status', 'opted_out')
+    .limit(1);
+
+  // Fail closed - a send we can't check is retried, one we shouldn't have made can't be undone
+  if (error) throw error;
+  if (data?.[0]) assertCanMessage(data[0], { message });
+}
+
+/**
+ * Record a lead's consent
+ * @param {string} leadId - Lead UUID
+ * @param {string} status - 'opted_in' or 'opted_out'
+ * @param {object} options - { source } - where it came from, e.g. 'whatsapp_keyword', 'api', 'web_form'
+ * @returns {Promise<object|null>} { leadId, status, source, updatedAt }, or null if the lead doesn't exist
+ */
+export async function setLeadConsent(leadId, status, { source = 'api' } = {}) {
+  if (!CONSENT_STATUSES.includes(status)) {
+    throw new AppError(`consent status must be one of ${CONSENT_STATUSES.join(', ')}`, 400);
+  }
+
+  const { data, error } = await supabase
+    .from('all_leads')
+    .update({
+      consent_status: status,
+      consent_source: source,
+      consent_updated_at: new Date().toISOString()
+    })
+    .eq('id', leadId)
+    .select('id, consent_status, consent_source, consent_updated_at');
+
+  if (error) throw error;
+  if (!data?.[0]) return null;
+
+  logger.info('Lead consent updated', { leadId, status, source });
+  return toConsent(data[0]);
+}
+
+/**
+ * A lead's current consent
+ * @param {string} leadId - Lead UUID
+ * @returns {Promise<object|null>} { leadId, status, source, updatedAt }, or null if the lead doesn't exist
+ */
+export async function getLeadConsent(leadId) {
+  const { data, error } = await supabase
+    .from('all_leads')
+    .select('id, consent_status, consent_source, consent_updated_at')
+    .eq('id', leadId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? toConsent(data) : null;
+}
+
+function toConsent(row) {
+  return {
+    leadId: row.id,
+    status: row.consent_status || null,
+    source: row.consent_source || null,
+    updatedAt: row.consent_updated_at || null
+  };
+}
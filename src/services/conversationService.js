@@ -160,6 +160,45 @@ export async function addToHistory(leadId, message, role = 'user', messageType =
   }
 }
 
+/**
+ * Find a logged message by its Meta message ID (wamid)
+ * A reply split into several WhatsApp messages is found by any of its wamids.
+ * @param {string} whatsappMessageId - Meta wamid stored in metadata.whatsapp_message_id
+ *   (or metadata.whatsapp_message_ids)
+ * @returns {Promise<object|null>} Conversation row or null if not found
+ */
+export async function findMessageByWhatsAppId(whatsappMessageId) {
+  if (!whatsappMessageId) return null;
+
+  const { data, error } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('metadata->>whatsapp_message_id', whatsappMessageId)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('Error finding message by WhatsApp ID:', error);
+    throw error;
+  }
+  if (data) return data;
+
+  // An earlier part of a reply that was split into several messages
+  const { data: splitReply, error: splitError } = await supabase
+    .from('conversations')
+    .select('*')
+    .filter('metadata->whatsapp_message_ids', 'cs', JSON.stringify([whatsappMessageId]))
+    .limit(1)
+    .maybeSingle();
+
+  if (splitError) {
+    logger.error('Error finding message by WhatsApp ID:', splitError);
+    throw splitError;
+  }
+
+  return splitReply;
+}
+
 /**
  * Get recent messages for a lead
  * @param {string} leadId - Lead UUID
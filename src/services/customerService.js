@@ -316,6 +316,46 @@ export async function updateWhatsAppContext(leadId, summaryData) {
   }
 }
 
+/**
+ * Record a lead's current booking in all_leads.unified_context
+ * Sets the booking_date / booking_time / booking_status read by getCustomerFullContext(),
+ * so the greeting logic sees bookings made on WhatsApp. A cancelled booking clears
+ * the date and time.
+ * @param {string} leadId - Lead UUID
+ * @param {object} booking - From scheduleService ({ id, status, date, time, timezone })
+ */
+export async function updateLeadBooking(leadId, booking) {
+  const { data: lead, error: fetchError } = await supabase
+    .from('all_leads')
+    .select('unified_context')
+    .eq('id', leadId)
+    .single();
+
+  if (fetchError) throw fetchError;
+
+  const confirmed = booking.status === 'confirmed';
+  const updatedContext = {
+    ...(lead?.unified_context || {}),
+    booking_id: booking.id,
+    booking_status: booking.status,
+    booking_date: confirmed ? booking.date : null,
+    booking_time: confirmed ? booking.time : null,
+    booking_timezone: booking.timezone,
+    booking_source: 'whatsapp'
+  };
+
+  const { error } = await supabase
+    .from('all_leads')
+    .update({
+      unified_context: updatedContext,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', leadId);
+
+  if (error) throw error;
+  logger.info(`Recorded ${booking.status} booking for lead ${leadId}`, { bookingId: booking.id });
+}
+
 /**
  * Get full customer context from all_leads table
  * Fetches unified_context including web conversations, bookings, and user inputs
@@ -522,6 +562,8 @@ export async function buildCustomerContext(sessionId, brand = 'proxe') {
       conversationPhase,
       previousInterests: allInterests,
       budget: lead.unified_context?.budget || null,
+      // Click-to-WhatsApp ad that first brought the customer in (attributionService)
+      adAttribution: lead.unified_context?.attribution?.first_touch || null,
       conversationSummary: safeString(combinedSummary),
       lastMessages: (messages || []).slice(0, 10).reverse().map(msg => ({
         role: msg.sender === 'customer' ? 'user' : 'assistant',
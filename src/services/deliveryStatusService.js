@@ -0,0 +1,282 @@
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { findMessageByWhatsAppId } from './conversationService.js';
+import { enqueueJob, registerJobHandler } from './jobQueueService.js';
+
+/**
+ * Delivery tracking for outbound WhatsApp messages
+ *
+ * The wamid returned by the Graph API is stored on the agent's conversations
+ * row (metadata.whatsapp_message_id), and Meta status webhooks are recorded
+ * in metadata.delivery:
+ *   {
+ *     status: 'accepted' | 'sent' | 'delivered' | 'read' | 'failed',
+ *     accepted_at, sent_at, delivered_at, read_at, failed_at,
+ *     errors: [{ code, title, message, details }],
+ *     phone_number_id, recipient
+ *   }
+ * Status webhooks are queued as 'delivery_status' jobs grouped by wamid, so
+ * updates for one message are applied in order.
+ */
+
+// Later statuses win; a late 'sent' never overwrites 'read'.
+// 'failed' replaces sent / delivered and is final (see applyDeliveryTransition).
+const STATUS_RANK = {
+  accepted: 0,
+  sent: 1,
+  delivered: 2,
+  failed: 3,
+  read: 4
+};
+
+export const DELIVERY_STATUSES = Object.keys(STATUS_RANK);
+
+// A status can arrive before we have stored the wamid - retry briefly, then give up
+const UNKNOWN_MESSAGE_ATTEMPTS = 3;
+
+const statusListeners = [];
+
+/**
+ * Be told about every recorded status update (e.g. campaign recipients)
+ * A listener that throws fails the job, so the update is retried.
+ * @param {Function} listener - async (row, delivery) => void; row is the conversations row
+ */
+export function onDeliveryStatus(listener) {
+  statusListeners.push(listener);
+}
+
+/**
+ * Merge a status transition into an existing delivery record
+ * @param {object} delivery - Current metadata.delivery (may be empty)
+ * @param {object} update - { status, timestamp (ISO), errors }
+ * @returns {object} New delivery record
+ */
+export function applyDeliveryTransition(delivery = {}, { status, timestamp, errors = [] }) {
+  const next = { ...delivery, errors: [...(delivery.errors || [])] };
+
+  // Keep the first time each status was seen
+  if (!next[`${status}_at`]) {
+    next[`${status}_at`] = timestamp;
+  }
+
+  if (errors.length > 0) {
+    next.errors.push(...errors.map(error => ({
+      code: error.code ?? null,
+      title: error.title || null,
+      message: error.message || null,
+      details: error.error_data?.details || null
+    })));
+  }
+
+  const currentRank = STATUS_RANK[delivery.status] ?? -1;
+  if (delivery.status !== 'failed' && STATUS_RANK[status] > currentRank) {
+    next.status = status;
+  }
+
+  return next;
+}
+
+/**
+ * Attach the Graph API wamid to the logged outbound message
+ * @param {string} conversationId - conversations.id of the agent message
+ * @param {string} whatsappMessageId - wamid from the /messages response
+ * @param {object} details - phoneNumberId, recipient
+ * @returns {Promise<object|null>} Updated delivery record
+ */
+export async function recordOutboundMessage(conversationId, whatsappMessageId, { phoneNumberId, recipient } = {}) {
+  if (!conversationId || !whatsappMessageId) return null;
+
+  try {
+    const { data: row, error: fetchError } = await supabase
+      .from('conversations')
+      .select('id, metadata')
+      .eq('id', conversationId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    // The status webhook may already have been processed
+    const delivery = applyDeliveryTransition(row.metadata?.delivery, {
+      status: 'accepted',
+      timestamp: new Date().toISOString()
+    });
+    delivery.phone_number_id = phoneNumberId || null;
+    delivery.recipient = recipient || null;
+
+    const { error } = await supabase
+      .from('conversations')
+      .update({
+        metadata: {
+          ...(row.metadata || {}),
+          whatsapp_message_id: whatsappMessageId,
+          delivery
+        }
+      })
+      .eq('id', conversationId);
+
+    if (error) throw error;
+
+    logger.info('Outbound message recorded', { conversationId, whatsappMessageId });
+    return delivery;
+  } catch (error) {
+    // Not fatal - the reply has already been sent
+    logger.error('Error recording outbound message:', { conversationId, whatsappMessageId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Body of the 'message.status' event forwarded to subscribed sinks
+ * Keeps the flat fields the n8n workflow already reads.
+ * @param {object} statusItem - Item from value.statuses[]
+ * @param {object} context - brand, phoneNumberId of the receiving number
+ * @returns {object} Event data
+ */
+export function toStatusEvent(statusItem, { brand, phoneNumberId } = {}) {
+  return {
+    message_id: statusItem.id,
+    status: statusItem.status,
+    timestamp: statusItem.timestamp,
+    recipient: statusItem.recipient_id,
+    brand: brand || null,
+    phone_number_id: phoneNumberId || null,
+    errors: statusItem.errors || []
+  };
+}
+
+/**
+ * Queue a Meta status webhook item for recording
+ * @param {object} statusItem - Item from value.statuses[]
+ * @returns {Promise<object>} Queued job
+ */
+export async function queueStatusUpdate(statusItem) {
+  return enqueueJob('delivery_status', statusItem, {
+    dedupKey: statusItem.id,
+    groupKey: `status:${statusItem.id}`,
+    maxAttempts: UNKNOWN_MESSAGE_ATTEMPTS
+  });
+}
+
+/**
+ * Record one or more status updates for the same wamid
+ * @param {object|Array<object>} payload - Item(s) from value.statuses[], oldest first
+ * @param {object} job - Job being processed (for attempt count)
+ * @returns {Promise<object|null>} Updated delivery record, or null for unknown messages
+ */
+export async function recordStatusUpdates(payload, job = {}) {
+  const statusItems = Array.isArray(payload) ? payload : [payload];
+  const whatsappMessageId = statusItems[0].id;
+  const row = await findMessageByWhatsAppId(whatsappMessageId);
+
+  if (!row) {
+    if ((job.attempts || 1) < UNKNOWN_MESSAGE_ATTEMPTS) {
+      throw new Error(`No outbound message recorded for ${whatsappMessageId} yet`);
+    }
+    // Probably sent by another system (e.g. n8n) - nothing to update
+    logger.info('Status update for unknown message ignored', { whatsappMessageId });
+    return null;
+  }
+
+  let delivery = row.metadata?.delivery || {};
+  for (const statusItem of statusItems) {
+    if (!STATUS_RANK.hasOwnProperty(statusItem.status)) {
+      logger.warn('Unknown delivery status', { whatsappMessageId, status: statusItem.status });
+      continue;
+    }
+
+    delivery = applyDeliveryTransition(delivery, {
+      status: statusItem.status,
+      timestamp: statusItem.timestamp
+        ? new Date(parseInt(statusItem.timestamp) * 1000).toISOString()
+        : new Date().toISOString(),
+      errors: statusItem.errors || []
+    });
+  }
+  delivery.recipient = delivery.recipient || statusItems[0].recipient_id || null;
+
+  const { error } = await supabase
+    .from('conversations')
+    .update({
+      metadata: {
+        ...(row.metadata || {}),
+        delivery
+      }
+    })
+    .eq('id', row.id);
+
+  if (error) throw error;
+
+  for (const listener of statusListeners) {
+    await listener(row, delivery);
+  }
+
+  logger.info('Delivery status recorded', {
+    conversationId: row.id,
+    whatsappMessageId,
+    status: delivery.status,
+    errorCodes: delivery.errors.map(e => e.code)
+  });
+
+  return delivery;
+}
+
+/**
+ * Delivery state of a lead's outbound WhatsApp messages (newest first)
+ * @param {string} leadId - Lead UUID
+ * @param {object} options - Options
+ * @param {number} options.limit - Messages to return
+ * @param {string} options.status - Only messages currently in this status
+ * @returns {Promise<object>} { summary, messages }
+ */
+export async function getLeadDeliveryStates(leadId, { limit = 50, status } = {}) {
+  try {
+    let query = supabase
+      .from('conversations')
+      .select('id, content, message_type, metadata, created_at')
+      .eq('lead_id', leadId)
+      .eq('channel', 'whatsapp')
+      .in('sender', ['agent', 'human'])
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('metadata->delivery->>status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const messages = (data || []).map(row => {
+      const delivery = row.metadata?.delivery || {};
+      return {
+        conversationId: row.id,
+        whatsappMessageId: row.metadata?.whatsapp_message_id || null,
+        content: row.content,
+        messageType: row.message_type,
+        createdAt: row.created_at,
+        status: delivery.status || (row.metadata?.whatsapp_message_id ? 'accepted' : 'unknown'),
+        acceptedAt: delivery.accepted_at || null,
+        sentAt: delivery.sent_at || null,
+        deliveredAt: delivery.delivered_at || null,
+        readAt: delivery.read_at || null,
+        failedAt: delivery.failed_at || null,
+        errors: delivery.errors || []
+      };
+    });
+
+    const summary = messages.reduce((counts, message) => {
+      counts[message.status] = (counts[message.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    return { summary, messages };
+  } catch (error) {
+    logger.error('Error in getLeadDeliveryStates:', error);
+    throw error;
+  }
+}
+
+// Status updates for one wamid are merged and applied in order
+registerJobHandler('delivery_status', recordStatusUpdates, {
+  merge: (payloads) => payloads
+});
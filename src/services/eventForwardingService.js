@@ -0,0 +1,416 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { enqueueJob, registerJobHandler } from './jobQueueService.js';
+
+/**
+ * Outbound event forwarding (webhook sinks)
+ *
+ * HTTP sinks subscribe to events in `event_subscriptions`, optionally filtered
+ * by brand and status. publishEvent() writes one `event_deliveries` row per
+ * matching sink and queues an 'event_delivery' job; the job POSTs the event
+ * with an HMAC signature and is retried with the job queue's backoff.
+ * Every attempt is appended to the delivery's attempt log, and deliveries
+ * can be sent again from POST /api/events/deliveries/:id/redeliver.
+ *
+ * Headers sent with each delivery:
+ *   X-Proxe-Event:            event type (e.g. 'message.status')
+ *   X-Proxe-Delivery:         event_deliveries.id
+ *   X-Proxe-Signature-256:    sha256=<HMAC-SHA256 of the raw body with the sink's secret>
+ *
+ * N8N_WHATSAPP_STATUS_WEBHOOK is always registered as a built-in sink for
+ * 'message.status' (set it to an empty value to disable).
+ */
+
+export const EVENT_TYPES = ['message.status'];
+
+const DEFAULT_STATUS_WEBHOOK = 'https://build.goproxe.com/webhook/whatsapp-delivery-status';
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.EVENT_DELIVERY_TIMEOUT_MS) || 10000;
+const DELIVERY_MAX_ATTEMPTS = parseInt(process.env.EVENT_DELIVERY_MAX_ATTEMPTS) || 6;
+// Subscriptions are cached per process; changes made on another PM2 instance apply within this window
+const SUBSCRIPTION_CACHE_MS = 30 * 1000;
+// Longest response body kept in the attempt log
+const MAX_LOGGED_RESPONSE_LENGTH = 500;
+
+let subscriptionCache = null;
+let subscriptionCacheAt = 0;
+
+/**
+ * Built-in sink from N8N_WHATSAPP_STATUS_WEBHOOK (null when disabled)
+ * @returns {object|null} Subscription-shaped object
+ */
+function getEnvSubscription() {
+  const url = process.env.N8N_WHATSAPP_STATUS_WEBHOOK ?? DEFAULT_STATUS_WEBHOOK;
+  if (!url) return null;
+
+  return {
+    id: null,
+    name: 'n8n (N8N_WHATSAPP_STATUS_WEBHOOK)',
+    url,
+    secret: process.env.N8N_WHATSAPP_STATUS_WEBHOOK_SECRET || null,
+    event_types: ['message.status'],
+    brands: null,
+    statuses: null,
+    active: true
+  };
+}
+
+/**
+ * Sign a request body
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Subscription secret
+ * @returns {string} Header value: 'sha256=<hex>'
+ */
+export function signPayload(body, secret) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Whether a subscription wants an event
+ * Empty/null filters match everything.
+ * @param {object} subscription - Subscription row
+ * @param {string} eventType - Event type
+ * @param {object} data - Event data (brand, status)
+ * @returns {boolean}
+ */
+export function subscriptionMatches(subscription, eventType, data) {
+  if (!subscription.active) return false;
+  if (subscription.event_types?.length && !subscription.event_types.includes(eventType)) return false;
+  if (subscription.brands?.length && !subscription.brands.includes(data.brand)) return false;
+  if (subscription.statuses?.length && !subscription.statuses.includes(data.status)) return false;
+  return true;
+}
+
+/**
+ * Active subscriptions (cached briefly)
+ * @returns {Promise<Array<object>>} Subscription rows
+ */
+async function getActiveSubscriptions() {
+  if (subscriptionCache && Date.now() - subscriptionCacheAt < SUBSCRIPTION_CACHE_MS) {
+    return subscriptionCache;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('event_subscriptions')
+    .select('*')
+    .eq('active', true);
+
+  if (error) throw error;
+
+  subscriptionCache = data || [];
+  subscriptionCacheAt = Date.now();
+  return subscriptionCache;
+}
+
+function clearSubscriptionCache() {
+  subscriptionCache = null;
+}
+
+/**
+ * Publish an event to every matching sink
+ * Deliveries are stored before this resolves, so a failed sink never loses the event.
+ * @param {string} eventType - Event type (e.g. 'message.status')
+ * @param {object} data - Event body (flat JSON; includes brand and status for filtering)
+ * @returns {Promise<Array<object>>} Created deliveries
+ */
+export async function publishEvent(eventType, data) {
+  const subscriptions = [...await getActiveSubscriptions()];
+  const envSubscription = getEnvSubscription();
+  if (envSubscription) {
+    subscriptions.push(envSubscription);
+  }
+
+  const matching = subscriptions.filter(subscription => subscriptionMatches(subscription, eventType, data));
+  if (matching.length === 0) return [];
+
+  const payload = { event: eventType, ...data };
+
+  const { data: deliveries, error } = await supabaseAdmin
+    .from('event_deliveries')
+    .insert(matching.map(subscription => ({
+      subscription_id: subscription.id,
+      url: subscription.url,
+      event_type: eventType,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      attempt_log: []
+    })))
+    .select();
+
+  if (error) throw error;
+
+  for (const delivery of deliveries) {
+    await enqueueJob('event_delivery', { deliveryId: delivery.id }, {
+      maxAttempts: DELIVERY_MAX_ATTEMPTS,
+      dedupKey: delivery.id
+    });
+  }
+
+  logger.info('Event published', { eventType, deliveries: deliveries.length });
+  return deliveries;
+}
+
+/**
+ * Secret used to sign a delivery
+ * @param {object} delivery - Delivery row
+ * @returns {Promise<object|null>} Subscription, or null if it was deleted
+ */
+async function getDeliverySubscription(delivery) {
+  if (!delivery.subscription_id) {
+    // Built-in env sink - keep delivering to the URL stored with the delivery
+    return { ...(getEnvSubscription() || {}), url: delivery.url, active: true };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('event_subscriptions')
+    .select('*')
+    .eq('id', delivery.subscription_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Job handler: POST one delivery to its sink
+ * Throws on failure so the job queue retries it with backoff.
+ * @param {object} payload - { deliveryId }
+ * @param {object} job - Job being processed
+ */
+async function deliverEvent({ deliveryId }, job = {}) {
+  const delivery = await getEventDelivery(deliveryId);
+  if (!delivery) {
+    logger.warn('Event delivery not found', { deliveryId });
+    return;
+  }
+
+  const subscription = await getDeliverySubscription(delivery);
+  if (!subscription) {
+    await updateDelivery(delivery, { status: 'cancelled', last_error: 'Subscription deleted' });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'whatsapp-proxe-backend',
+    'X-Proxe-Event': delivery.event_type,
+    'X-Proxe-Delivery': delivery.id
+  };
+  if (subscription.secret) {
+    headers['X-Proxe-Signature-256'] = signPayload(body, subscription.secret);
+  }
+
+  const startTime = Date.now();
+  const attempt = { at: new Date().toISOString(), status_code: null, error: null, duration_ms: null, response: null };
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    attempt.status_code = response.status;
+    attempt.response = (await response.text()).substring(0, MAX_LOGGED_RESPONSE_LENGTH);
+
+    if (!response.ok) {
+      throw new Error(`Sink responded ${response.status} ${response.statusText}`);
+    }
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `Timed out after ${DELIVERY_TIMEOUT_MS}ms`
+      : error.message;
+  }
+  attempt.duration_ms = Date.now() - startTime;
+
+  const finalAttempt = (job.attempts || 1) >= (job.max_attempts || DELIVERY_MAX_ATTEMPTS);
+  await updateDelivery(delivery, {
+    status: attempt.error ? (finalAttempt ? 'failed' : 'retrying') : 'delivered',
+    attempts: (delivery.attempts || 0) + 1,
+    last_status_code: attempt.status_code,
+    last_error: attempt.error,
+    last_attempt_at: attempt.at,
+    delivered_at: attempt.error ? null : new Date().toISOString(),
+    attempt_log: [...(delivery.attempt_log || []), attempt]
+  });
+
+  if (attempt.error) {
+    throw new Error(`Event delivery to ${delivery.url} failed: ${attempt.error}`);
+  }
+
+  logger.info('Event delivered', {
+    deliveryId,
+    eventType: delivery.event_type,
+    url: delivery.url,
+    statusCode: attempt.status_code,
+    durationMs: attempt.duration_ms
+  });
+}
+
+/**
+ * Update a delivery row
+ * @param {object} delivery - Delivery row
+ * @param {object} updates - Columns to set
+ */
+async function updateDelivery(delivery, updates) {
+  const { error } = await supabaseAdmin
+    .from('event_deliveries')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', delivery.id);
+
+  if (error) throw error;
+}
+
+/**
+ * Get a delivery with its attempt log
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<object|null>} Delivery row
+ */
+export async function getEventDelivery(deliveryId) {
+  const { data, error } = await supabaseAdmin
+    .from('event_deliveries')
+    .select('*')
+    .eq('id', deliveryId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * List deliveries, newest first
+ * @param {object} filters - subscriptionId, status, eventType, limit
+ * @returns {Promise<Array<object>>} Delivery rows
+ */
+export async function listEventDeliveries({ subscriptionId, status, eventType, limit = 50 } = {}) {
+  let query = supabaseAdmin
+    .from('event_deliveries')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (subscriptionId) query = query.eq('subscription_id', subscriptionId);
+  if (status) query = query.eq('status', status);
+  if (eventType) query = query.eq('event_type', eventType);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Send a delivery again (e.g. after fixing the sink)
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<object|null>} Delivery, or null if not found
+ */
+export async function redeliverEvent(deliveryId) {
+  const delivery = await getEventDelivery(deliveryId);
+  if (!delivery) return null;
+
+  await updateDelivery(delivery, { status: 'pending', last_error: null });
+  await enqueueJob('event_delivery', { deliveryId }, {
+    maxAttempts: DELIVERY_MAX_ATTEMPTS,
+    dedupKey: deliveryId
+  });
+
+  logger.info('Event redelivery queued', { deliveryId });
+  return { ...delivery, status: 'pending', last_error: null };
+}
+
+/**
+ * List subscriptions (secrets omitted)
+ * @returns {Promise<Array<object>>} Subscriptions
+ */
+export async function listEventSubscriptions() {
+  const { data, error } = await supabaseAdmin
+    .from('event_subscriptions')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(withoutSecret);
+}
+
+/**
+ * Create a subscription
+ * A secret is generated when none is given; it is only returned here.
+ * @param {object} subscription - name, url, secret, eventTypes, brands, statuses, active
+ * @returns {Promise<object>} Created subscription including its secret
+ */
+export async function createEventSubscription({ name, url, secret, eventTypes, brands, statuses, active = true }) {
+  const { data, error } = await supabaseAdmin
+    .from('event_subscriptions')
+    .insert({
+      name,
+      url,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      event_types: eventTypes?.length ? eventTypes : EVENT_TYPES,
+      brands: brands?.length ? brands : null,
+      statuses: statuses?.length ? statuses : null,
+      active
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  clearSubscriptionCache();
+  logger.info('Event subscription created', { subscriptionId: data.id, url });
+  return data;
+}
+
+/**
+ * Update a subscription
+ * @param {string} subscriptionId - Subscription ID
+ * @param {object} changes - Any of name, url, secret, eventTypes, brands, statuses, active
+ * @returns {Promise<object|null>} Updated subscription (secret omitted), or null if not found
+ */
+export async function updateEventSubscription(subscriptionId, changes) {
+  const updates = { updated_at: new Date().toISOString() };
+  if (changes.name !== undefined) updates.name = changes.name;
+  if (changes.url !== undefined) updates.url = changes.url;
+  if (changes.secret !== undefined) updates.secret = changes.secret;
+  if (changes.eventTypes !== undefined) updates.event_types = changes.eventTypes.length ? changes.eventTypes : EVENT_TYPES;
+  if (changes.brands !== undefined) updates.brands = changes.brands?.length ? changes.brands : null;
+  if (changes.statuses !== undefined) updates.statuses = changes.statuses?.length ? changes.statuses : null;
+  if (changes.active !== undefined) updates.active = changes.active;
+
+  const { data, error } = await supabaseAdmin
+    .from('event_subscriptions')
+    .update(updates)
+    .eq('id', subscriptionId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  clearSubscriptionCache();
+  return data ? withoutSecret(data) : null;
+}
+
+/**
+ * Delete a subscription (its pending deliveries are cancelled when they run)
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<boolean>} Whether a subscription was deleted
+ */
+export async function deleteEventSubscription(subscriptionId) {
+  const { data, error } = await supabaseAdmin
+    .from('event_subscriptions')
+    .delete()
+    .eq('id', subscriptionId)
+    .select('id');
+
+  if (error) throw error;
+
+  clearSubscriptionCache();
+  return (data || []).length > 0;
+}
+
+function withoutSecret({ secret, ...subscription }) {
+  return { ...subscription, has_secret: !!secret };
+}
+
+registerJobHandler('event_delivery', deliverEvent);
@@ -0,0 +1,414 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+
+/**
+ * Job queue storage drivers
+ *
+ * Every driver implements the same interface:
+ *   insert(job)                     -> stored job
+ *   insertMany(jobs)                -> stored jobs
+ *   claimDue(limit, now)            -> jobs moved from 'pending' to 'processing',
+ *                                      highest priority first, then by run_at
+ *   deferGroup(groupKey, runAt)     -> push pending jobs of a group back to runAt (debounce)
+ *   complete(id)                    -> mark job 'completed'
+ *   fail(id, { error, runAt, dead })-> reschedule as 'pending' or move to 'dead'
+ *   releaseStale(lockedBefore)      -> return abandoned 'processing' jobs to 'pending'
+ *   purgeCompleted(completedBefore) -> delete 'completed' jobs finished before, returns count
+ *   get(id), list(filters), requeue(id)
+ *
+ * Job statuses: 'pending' -> 'processing' -> 'completed' | 'dead'
+ *
+ * Jobs sharing a group_key (e.g. one customer's messages) are serialised:
+ * a group is skipped while one of its jobs is processing, and claiming a
+ * due job also claims every other pending job in its group so they run
+ * as one batch.
+ */
+
+/**
+ * In-memory driver - used for tests and local development
+ * Jobs do not survive a restart.
+ * @returns {object} Queue driver
+ */
+export function createMemoryDriver() {
+  const jobs = new Map();
+
+  const copy = (job) => (job ? { ...job } : null);
+
+  return {
+    name: 'memory',
+
+    async insert(job) {
+      const stored = {
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        ...job
+      };
+      jobs.set(stored.id, stored);
+      return copy(stored);
+    },
+
+    async insertMany(newJobs) {
+      return Promise.all(newJobs.map(job => this.insert(job)));
+    },
+
+    async claimDue(limit, now) {
+      const busyGroups = new Set(
+        [...jobs.values()]
+          .filter(job => job.status === 'processing' && job.group_key)
+          .map(job => job.group_key)
+      );
+
+      const due = [...jobs.values()]
+        .filter(job => job.status === 'pending' && new Date(job.run_at).getTime() <= now)
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0) ||
+          new Date(a.run_at) - new Date(b.run_at) ||
+          new Date(a.created_at) - new Date(b.created_at));
+
+      const claimed = [];
+      let batches = 0;
+      for (const job of due) {
+        if (batches >= limit) break;
+        if (job.status !== 'pending') continue; // claimed with its group already
+        if (job.group_key && busyGroups.has(job.group_key)) continue;
+
+        const batch = job.group_key
+          ? [...jobs.values()]
+            .filter(other => other.status === 'pending' && other.group_key === job.group_key)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+          : [job];
+
+        batch.forEach(member => {
+          member.status = 'processing';
+          member.attempts = (member.attempts || 0) + 1;
+          member.locked_at = new Date(now).toISOString();
+          member.updated_at = new Date(now).toISOString();
+        });
+
+        claimed.push(...batch);
+        batches++;
+      }
+
+      return claimed.map(copy);
+    },
+
+    async deferGroup(groupKey, runAt) {
+      let deferred = 0;
+      for (const job of jobs.values()) {
+        if (job.status === 'pending' && job.group_key === groupKey && new Date(job.run_at) < new Date(runAt)) {
+          job.run_at = new Date(runAt).toISOString();
+          job.updated_at = new Date().toISOString();
+          deferred++;
+        }
+      }
+      return deferred;
+    },
+
+    async complete(id) {
+      const job = jobs.get(id);
+      if (!job) return;
+      job.status = 'completed';
+      job.locked_at = null;
+      job.last_error = null;
+      job.completed_at = new Date().toISOString();
+      job.updated_at = new Date().toISOString();
+    },
+
+    async fail(id, { error, runAt, dead }) {
+      const job = jobs.get(id);
+      if (!job) return;
+      job.status = dead ? 'dead' : 'pending';
+      job.locked_at = null;
+      job.last_error = error;
+      job.run_at = runAt || job.run_at;
+      job.updated_at = new Date().toISOString();
+    },
+
+    async releaseStale(lockedBefore) {
+      let released = 0;
+      for (const job of jobs.values()) {
+        if (job.status === 'processing' && new Date(job.locked_at).getTime() < lockedBefore) {
+          job.status = 'pending';
+          job.locked_at = null;
+          released++;
+        }
+      }
+      return released;
+    },
+
+    async purgeCompleted(completedBefore) {
+      let purged = 0;
+      for (const [id, job] of jobs) {
+        if (job.status === 'completed' && new Date(job.completed_at).getTime() < completedBefore) {
+          jobs.delete(id);
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    async get(id) {
+      return copy(jobs.get(id));
+    },
+
+    async list({ status, type, limit = 50 } = {}) {
+      return [...jobs.values()]
+        .filter(job => (!status || job.status === status) && (!type || job.type === type))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async requeue(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      job.status = 'pending';
+      job.attempts = 0;
+      job.locked_at = null;
+      job.run_at = new Date().toISOString();
+      job.updated_at = new Date().toISOString();
+      return copy(job);
+    }
+  };
+}
+
+/**
+ * Postgres driver backed by the Supabase `jobs` table
+ * Claims use a conditional update (status = 'pending') so two workers
+ * never process the same job.
+ * @returns {object} Queue driver
+ */
+export function createSupabaseDriver() {
+  return {
+    name: 'supabase',
+
+    async insert(job) {
+      const { data, error } = await supabaseAdmin
+        .from('jobs')
+        .insert({
+          ...job,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async insertMany(jobs) {
+      const { data, error } = await supabaseAdmin
+        .from('jobs')
+        .insert(jobs.map(job => ({
+          ...job,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })))
+        .select();
+
+      if (error) throw error;
+      return data || [];
+    },
+
+    async claimDue(limit, now) {
+      const { data: candidates, error } = await supabaseAdmin
+        .from('jobs')
+        .select('id, attempts, group_key')
+        .eq('status', 'pending')
+        .lte('run_at', new Date(now).toISOString())
+        .order('priority', { ascending: false })
+        .order('run_at', { ascending: true })
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+
+      // Groups with a job in progress wait until it finishes
+      const groupKeys = [...new Set((candidates || []).map(c => c.group_key).filter(Boolean))];
+      const busyGroups = new Set();
+      if (groupKeys.length > 0) {
+        const { data: busy, error: busyError } = await supabaseAdmin
+          .from('jobs')
+          .select('group_key')
+          .eq('status', 'processing')
+          .in('group_key', groupKeys);
+
+        if (busyError) throw busyError;
+        (busy || []).forEach(row => busyGroups.add(row.group_key));
+      }
+
+      const claimOne = async (candidate) => {
+        const { data: job, error: claimError } = await supabaseAdmin
+          .from('jobs')
+          .update({
+            status: 'processing',
+            attempts: (candidate.attempts || 0) + 1,
+            locked_at: new Date(now).toISOString(),
+            updated_at: new Date(now).toISOString()
+          })
+          .eq('id', candidate.id)
+          .eq('status', 'pending')
+          .select()
+          .maybeSingle();
+
+        if (claimError) throw claimError;
+        // null = another worker claimed it first
+        return job;
+      };
+
+      const claimed = [];
+      const claimedGroups = new Set();
+      for (const candidate of candidates || []) {
+        if (candidate.group_key && (busyGroups.has(candidate.group_key) || claimedGroups.has(candidate.group_key))) {
+          continue;
+        }
+
+        const job = await claimOne(candidate);
+        if (!job) continue;
+        claimed.push(job);
+
+        if (candidate.group_key) {
+          claimedGroups.add(candidate.group_key);
+
+          // Take the rest of the group (including jobs not yet due) into this batch
+          const { data: siblings, error: siblingError } = await supabaseAdmin
+            .from('jobs')
+            .select('id, attempts')
+            .eq('group_key', candidate.group_key)
+            .eq('status', 'pending')
+            .order('created_at', { ascending: true });
+
+          if (siblingError) throw siblingError;
+          for (const sibling of siblings || []) {
+            const siblingJob = await claimOne(sibling);
+            if (siblingJob) claimed.push(siblingJob);
+          }
+        }
+      }
+
+      return claimed;
+    },
+
+    async deferGroup(groupKey, runAt) {
+      const { data, error } = await supabaseAdmin
+        .from('jobs')
+        .update({
+          run_at: new Date(runAt).toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('group_key', groupKey)
+        .eq('status', 'pending')
+        .lt('run_at', new Date(runAt).toISOString())
+        .select('id');
+
+      if (error) throw error;
+      return (data || []).length;
+    },
+
+    async complete(id) {
+      const { error } = await supabaseAdmin
+        .from('jobs')
+        .update({
+          status: 'completed',
+          locked_at: null,
+          last_error: null,
+          completed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+
+    async fail(id, { error: lastError, runAt, dead }) {
+      const updates = {
+        status: dead ? 'dead' : 'pending',
+        locked_at: null,
+        last_error: lastError,
+        updated_at: new Date().toISOString()
+      };
+      if (runAt) {
+        updates.run_at = runAt;
+      }
+
+      const { error } = await supabaseAdmin
+        .from('jobs')
+        .update(updates)
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+
+    async releaseStale(lockedBefore) {
+      const { data, error } = await supabaseAdmin
+        .from('jobs')
+        .update({
+          status: 'pending',
+          locked_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('status', 'processing')
+        .lt('locked_at', new Date(lockedBefore).toISOString())
+        .select('id');
+
+      if (error) throw error;
+      return (data || []).length;
+    },
+
+    async purgeCompleted(completedBefore) {
+      const { count, error } = await supabaseAdmin
+        .from('jobs')
+        .delete({ count: 'exact' })
+        .eq('status', 'completed')
+        .lt('completed_at', new Date(completedBefore).toISOString());
+
+      if (error) throw error;
+      return count || 0;
+    },
+
+    async get(id) {
+      const { data, error } = await supabaseAdmin
+        .from('jobs')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async list({ status, type, limit = 50 } = {}) {
+      let query = supabaseAdmin
+        .from('jobs')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status) query = query.eq('status', status);
+      if (type) query = query.eq('type', type);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    },
+
+    async requeue(id) {
+      const { data, error } = await supabaseAdmin
+        .from('jobs')
+        .update({
+          status: 'pending',
+          attempts: 0,
+          locked_at: null,
+          run_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    }
+  };
+}
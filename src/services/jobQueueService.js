@@ -0,0 +1,394 @@
+import { logger } from '../utils/logger.js';
+import { createMemoryDriver, createSupabaseDriver } from './jobQueueDrivers.js';
+
+/**
+ * Durable job queue
+ * Inbound work is stored before it is acknowledged, then processed by
+ * in-process workers with exponential backoff. Jobs that keep failing
+ * are moved to the 'dead' state and can be replayed through /api/jobs.
+ *
+ * Jobs enqueued with a groupKey are serialised per group and debounced:
+ * each new job pushes the group's pending jobs back by debounceMs, and the
+ * whole group is then handled as one batch (see registerJobHandler merge).
+ *
+ * Due jobs are claimed by priority, then run_at, so a customer's message is
+ * not stuck behind a campaign's backlog of sends.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 5;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+// A 'processing' job older than this was abandoned (e.g. PM2 restart mid-job)
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+// Completed jobs are kept this long for /api/jobs, then deleted (dead jobs are kept for replay)
+const RETENTION_MS = (parseFloat(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+// Old completed jobs are purged at most once per interval
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Customer-facing work runs before bulk sends; everything else is normal
+export const JOB_PRIORITIES = { high: 10, normal: 0, low: -10 };
+
+const handlers = new Map();
+const activeJobs = new Set();
+
+let driver = null;
+let pollTimer = null;
+let running = false;
+let polling = false;
+let lastStaleCheckAt = 0;
+let lastPurgeAt = 0;
+
+/**
+ * Get the configured queue driver
+ * JOB_QUEUE_DRIVER: 'supabase' (default) or 'memory' (default under NODE_ENV=test)
+ * @returns {object} Queue driver
+ */
+function getDriver() {
+  if (!driver) {
+    const driverName = process.env.JOB_QUEUE_DRIVER ||
+      (process.env.NODE_ENV === 'test' ? 'memory' : 'supabase');
+    driver = driverName === 'memory' ? createMemoryDriver() : createSupabaseDriver();
+    logger.info(`Job queue using ${driver.name} driver`);
+  }
+  return driver;
+}
+
+/**
+ * Calculate retry delay for a failed attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far (1-based)
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempts) {
+  const delay = RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(delay, RETRY_MAX_MS);
+}
+
+/**
+ * Register the function that processes jobs of a given type
+ * @param {string} type - Job type (e.g. 'inbound_message')
+ * @param {Function} handler - async (payload, job) => void; throw to retry
+ * @param {object} options - Optional settings
+ * @param {Function} options.merge - (payloads) => payload; combines a batch of
+ *   grouped jobs into one handler call. Without it batches run one job at a time.
+ */
+export function registerJobHandler(type, handler, options = {}) {
+  handlers.set(type, { handler, merge: options.merge || null });
+}
+
+/**
+ * Row for a new pending job
+ */
+function buildJob(type, payload, options, runAt) {
+  return {
+    type,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    max_attempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    priority: options.priority || JOB_PRIORITIES.normal,
+    run_at: runAt,
+    dedup_key: options.dedupKey || null,
+    group_key: options.groupKey || null,
+    last_error: null,
+    locked_at: null
+  };
+}
+
+/**
+ * Store a job for processing
+ * @param {string} type - Job type
+ * @param {object} payload - JSON-serialisable job data
+ * @param {object} options - Optional settings
+ * @param {number} options.maxAttempts - Attempts before moving to 'dead'
+ * @param {Date|string} options.runAt - Earliest time to run the job
+ * @param {number} options.priority - Due jobs with a higher priority are claimed first (JOB_PRIORITIES, default normal)
+ * @param {string} options.dedupKey - External reference (e.g. Meta wamid)
+ * @param {string} options.groupKey - Serialise and batch jobs sharing this key (e.g. brand:phone)
+ * @param {number} options.debounceMs - Wait this long for more jobs in the group before running
+ * @returns {Promise<object>} Stored job
+ */
+export async function enqueueJob(type, payload, options = {}) {
+  const queue = getDriver();
+  const debounceMs = options.groupKey ? (options.debounceMs || 0) : 0;
+  const runAt = new Date(options.runAt || Date.now() + debounceMs).toISOString();
+
+  const job = await queue.insert(buildJob(type, payload, options, runAt));
+
+  // Debounce: earlier jobs in the group wait for this one
+  if (debounceMs > 0) {
+    try {
+      await queue.deferGroup(options.groupKey, runAt);
+    } catch (error) {
+      // Not fatal - the earlier jobs just run without waiting for this one
+      logger.warn('Failed to defer job group', { groupKey: options.groupKey, error: error.message });
+    }
+  }
+
+  logger.info('Job enqueued', { jobId: job.id, type, dedupKey: job.dedup_key, groupKey: job.group_key });
+
+  // Pick it up straight away instead of waiting for the next poll
+  if (running) {
+    setImmediate(() => pollJobs());
+  }
+
+  return job;
+}
+
+/**
+ * Store many jobs of one type in a single insert (e.g. a campaign's sends)
+ * Grouping and debouncing are not supported here.
+ * @param {string} type - Job type
+ * @param {Array<object>} jobs - { payload, runAt, priority, dedupKey, maxAttempts } per job
+ * @returns {Promise<Array<object>>} Stored jobs
+ */
+export async function enqueueJobs(type, jobs) {
+  if (jobs.length === 0) return [];
+
+  const stored = await getDriver().insertMany(jobs.map(({ payload, ...options }) =>
+    buildJob(type, payload, { ...options, groupKey: null }, new Date(options.runAt || Date.now()).toISOString())
+  ));
+
+  logger.info('Jobs enqueued', { type, count: stored.length });
+
+  if (running) {
+    setImmediate(() => pollJobs());
+  }
+
+  return stored;
+}
+
+/**
+ * Split claimed jobs into batches: one per group_key, ungrouped jobs alone
+ * @param {Array<object>} jobs - Claimed jobs
+ * @returns {Array<Array<object>>} Batches in claim order
+ */
+function toBatches(jobs) {
+  const batches = new Map();
+  for (const job of jobs) {
+    const key = job.group_key ? `group:${job.group_key}` : `job:${job.id}`;
+    if (!batches.has(key)) batches.set(key, []);
+    batches.get(key).push(job);
+  }
+  return [...batches.values()];
+}
+
+/**
+ * Record a failed attempt: reschedule with backoff or dead-letter
+ * @param {object} job - Failed job
+ * @param {Error} error - Failure
+ */
+async function recordFailure(job, error) {
+  const queue = getDriver();
+  const dead = job.attempts >= (job.max_attempts || DEFAULT_MAX_ATTEMPTS);
+  const runAt = dead ? null : new Date(Date.now() + getRetryDelay(job.attempts)).toISOString();
+
+  if (dead) {
+    logger.error('Job moved to dead-letter state', {
+      jobId: job.id,
+      type: job.type,
+      attempts: job.attempts,
+      error: error.message
+    });
+  } else {
+    logger.warn('Job failed, will retry', {
+      jobId: job.id,
+      type: job.type,
+      attempts: job.attempts,
+      retryAt: runAt,
+      error: error.message
+    });
+  }
+
+  try {
+    await queue.fail(job.id, { error: error.message, runAt, dead });
+  } catch (updateError) {
+    // Job stays 'processing' and is recovered by releaseStale()
+    logger.error('Failed to record job failure', { jobId: job.id, error: updateError.message });
+  }
+}
+
+/**
+ * Run a batch of claimed jobs (a single job, or one group) and record the outcome
+ * A merged batch succeeds or fails as a whole.
+ * @param {Array<object>} jobs - Claimed jobs of the same type and group, oldest first
+ */
+async function runBatch(jobs) {
+  const queue = getDriver();
+  const [first] = jobs;
+  const registered = handlers.get(first.type);
+
+  // No merge function - keep the group's order but run each job separately
+  if (jobs.length > 1 && !registered?.merge) {
+    for (const job of jobs) {
+      await runBatch([job]);
+    }
+    return;
+  }
+
+  try {
+    if (!registered) {
+      throw new Error(`No handler registered for job type '${first.type}'`);
+    }
+
+    const payload = jobs.length > 1
+      ? registered.merge(jobs.map(job => job.payload))
+      : first.payload;
+
+    await registered.handler(payload, first);
+    await Promise.all(jobs.map(job => queue.complete(job.id)));
+    logger.info('Job completed', {
+      jobId: first.id,
+      type: first.type,
+      attempts: first.attempts,
+      ...(jobs.length > 1 && { batchSize: jobs.length, groupKey: first.group_key })
+    });
+  } catch (error) {
+    for (const job of jobs) {
+      await recordFailure(job, error);
+    }
+  }
+}
+
+/**
+ * Delete completed jobs older than JOB_RETENTION_DAYS
+ * @param {number} now - Current timestamp in ms
+ * @returns {Promise<number>} Jobs deleted
+ */
+export async function purgeCompletedJobs(now = Date.now()) {
+  const purged = await getDriver().purgeCompleted(now - RETENTION_MS);
+  if (purged > 0) {
+    logger.info(`Purged ${purged} completed job(s)`);
+  }
+  return purged;
+}
+
+/**
+ * Purge old completed jobs (throttled, fire-and-forget)
+ * @param {number} now - Current timestamp in ms
+ */
+function purgeCompletedJobsPeriodically(now) {
+  if (now - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = now;
+
+  purgeCompletedJobs(now).catch(error => {
+    logger.warn('Failed to purge completed jobs', { error: error.message });
+  });
+}
+
+/**
+ * Claim due jobs up to the concurrency limit and process them
+ */
+async function pollJobs() {
+  if (!running || polling) return;
+  polling = true;
+
+  const queue = getDriver();
+  const now = Date.now();
+
+  try {
+    if (now - lastStaleCheckAt >= LOCK_TIMEOUT_MS) {
+      lastStaleCheckAt = now;
+      const released = await queue.releaseStale(now - LOCK_TIMEOUT_MS);
+      if (released > 0) {
+        logger.warn(`Released ${released} abandoned job(s) back to pending`);
+      }
+    }
+    purgeCompletedJobsPeriodically(now);
+
+    const capacity = CONCURRENCY - activeJobs.size;
+    if (capacity <= 0) return;
+
+    const jobs = await queue.claimDue(capacity, now);
+    for (const batch of toBatches(jobs)) {
+      const promise = runBatch(batch).finally(() => {
+        activeJobs.delete(promise);
+        // A slot freed up - check for more work
+        setImmediate(() => pollJobs());
+      });
+      activeJobs.add(promise);
+    }
+  } catch (error) {
+    logger.error('Error polling job queue:', { error: error.message });
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start the background worker loop
+ */
+export function startJobWorker() {
+  if (running) return;
+  running = true;
+
+  const tick = async () => {
+    await pollJobs();
+    if (running) {
+      pollTimer = setTimeout(tick, POLL_INTERVAL_MS);
+      pollTimer.unref?.();
+    }
+  };
+
+  logger.info('Job worker started', { concurrency: CONCURRENCY, pollIntervalMs: POLL_INTERVAL_MS });
+  tick();
+}
+
+/**
+ * Stop the worker loop and wait for in-flight jobs
+ * @returns {Promise<void>}
+ */
+export async function stopJobWorker() {
+  running = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+  await Promise.allSettled([...activeJobs]);
+}
+
+/**
+ * Process all currently due jobs once (tests and manual runs)
+ * @returns {Promise<void>}
+ */
+export async function drainJobs() {
+  const queue = getDriver();
+  const jobs = await queue.claimDue(CONCURRENCY, Date.now());
+  await Promise.all(toBatches(jobs).map(batch => runBatch(batch)));
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} Job
+ */
+export async function getJob(jobId) {
+  return getDriver().get(jobId);
+}
+
+/**
+ * List jobs, newest first
+ * @param {object} filters - status, type, limit
+ * @returns {Promise<Array>} Jobs
+ */
+export async function listJobs(filters = {}) {
+  return getDriver().list(filters);
+}
+
+/**
+ * Replay a job (typically from the dead-letter state)
+ * Resets attempts and schedules it to run immediately.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} Requeued job, or null if not found
+ */
+export async function replayJob(jobId) {
+  const job = await getDriver().requeue(jobId);
+  if (job) {
+    logger.info('Job replayed', { jobId, type: job.type });
+    if (running) {
+      setImmediate(() => pollJobs());
+    }
+  }
+  return job;
+}
@@ -30,7 +30,7 @@ export async function storeConversationLog(logData) {
     // Get the most recent agent message for this lead
     const { data: recentMessages, error: fetchError } = await supabase
       .from('conversations')
-      .select('id')
+      .select('id, metadata')
       .eq('lead_id', leadId)
       .eq('channel', 'whatsapp')
       .eq('sender', 'agent')
@@ -40,7 +40,9 @@ export async function storeConversationLog(logData) {
 
     if (recentMessages && !fetchError) {
       // Update the most recent AI response message with analytics metadata
+      // Existing keys (wamid, delivery status) are kept
       const analyticsMetadata = {
+        ...(recentMessages.metadata || {}),
         tokens_used: logData.tokensUsed || 0,
         response_time_ms: logData.responseTime || 0,
         input_to_output_gap_ms: logData.inputToOutputGap || logData.metadata?.input_to_output_gap_ms || 0,
@@ -260,3 +262,70 @@ export async function getAverageResponseTimes() {
   }
 }
 
+/**
+ * Prompt cache results of recent Claude replies
+ * Reads the claude_usage metadata the message pipeline stores on replies.
+ * @param {number} sampleSize - How many recent agent messages to look at
+ * @returns {Promise<object>} Summary from summarisePromptCache()
+ */
+export async function getPromptCacheStats(sampleSize = 50) {
+  const { data: messages, error } = await supabase
+    .from('conversations')
+    .select('metadata')
+    .eq('channel', 'whatsapp')
+    .eq('sender', 'agent')
+    .not('metadata->claude_usage', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(sampleSize);
+
+  if (error) {
+    logger.error('Error fetching messages for prompt cache stats:', error);
+    throw error;
+  }
+
+  return { ...summarisePromptCache((messages || []).map(msg => msg.metadata.claude_usage)), sampleSize };
+}
+
+/**
+ * Hit rate, token totals, input cost saving and latency by cache result
+ * Cost is relative to Anthropic's base input price: cache reads cost 0.1x and
+ * cache writes 1.25x, so inputCostSaving is the share of input spend saved
+ * compared with sending every prompt token uncached.
+ * @param {Array<object>} usages - claude_usage metadata objects
+ * @returns {object} Summary
+ */
+export function summarisePromptCache(usages) {
+  const totals = { inputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, outputTokens: 0 };
+  const counts = { hit: 0, miss: 0, none: 0 };
+  const times = { hit: [], miss: [] };
+
+  for (const usage of usages) {
+    totals.inputTokens += usage.input_tokens || 0;
+    totals.cacheReadTokens += usage.cache_read_input_tokens || 0;
+    totals.cacheWriteTokens += usage.cache_creation_input_tokens || 0;
+    totals.outputTokens += usage.output_tokens || 0;
+
+    const cache = counts[usage.cache] !== undefined ? usage.cache : 'none';
+    counts[cache] += 1;
+    if (times[cache] && usage.response_time_ms > 0) {
+      times[cache].push(usage.response_time_ms);
+    }
+  }
+
+  const promptTokens = totals.inputTokens + totals.cacheReadTokens + totals.cacheWriteTokens;
+  const inputCost = totals.inputTokens + totals.cacheWriteTokens * 1.25 + totals.cacheReadTokens * 0.1;
+  const average = values => values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+  const ratio = value => Math.round(value * 1000) / 1000;
+
+  return {
+    responses: usages.length,
+    hits: counts.hit,
+    misses: counts.miss,
+    uncached: counts.none,
+    hitRate: usages.length > 0 ? ratio(counts.hit / usages.length) : 0,
+    ...totals,
+    cachedShare: promptTokens > 0 ? ratio(totals.cacheReadTokens / promptTokens) : 0,
+    inputCostSaving: promptTokens > 0 ? ratio(1 - inputCost / promptTokens) : 0,
+    averageResponseTime: { hit: average(times.hit), miss: average(times.miss) }
+  };
+}
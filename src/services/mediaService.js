@@ -0,0 +1,253 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { getGraphApiUrl } from '../config/meta.js';
+import { logger } from '../utils/logger.js';
+
+// WhatsApp message types that carry a media object
+export const MEDIA_MESSAGE_TYPES = ['image', 'document', 'audio', 'video'];
+
+const MEDIA_STORAGE_BUCKET = process.env.MEDIA_STORAGE_BUCKET || 'whatsapp-media';
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES) || 25 * 1024 * 1024;
+
+// Claude accepts these image formats as base64 content blocks
+const CLAUDE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const CLAUDE_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const CLAUDE_PDF_MAX_BYTES = 20 * 1024 * 1024;
+
+// Longest extracted document text passed to Claude
+const MAX_EXTRACTED_TEXT_LENGTH = 8000;
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt',
+  'text/csv': 'csv',
+  'application/json': 'json',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp'
+};
+
+/**
+ * Extract the media reference from a Meta webhook message
+ * @param {object} message - Message object from value.messages[]
+ * @returns {object|null} Media reference (id, type, mimeType, caption, filename) or null
+ */
+export function extractMediaReference(message) {
+  if (!MEDIA_MESSAGE_TYPES.includes(message?.type)) return null;
+
+  const mediaPayload = message[message.type];
+  if (!mediaPayload?.id) return null;
+
+  return {
+    type: message.type,
+    id: mediaPayload.id,
+    mimeType: mediaPayload.mime_type || null,
+    sha256: mediaPayload.sha256 || null,
+    caption: mediaPayload.caption || null,
+    filename: mediaPayload.filename || null,
+    voice: !!mediaPayload.voice
+  };
+}
+
+/**
+ * Text stored in conversations.content when a media message has no caption
+ * @param {object} media - Media reference
+ * @returns {string} Placeholder text (e.g. "[Image]", "[Document: brochure.pdf]")
+ */
+export function describeMedia(media) {
+  const label = media.type === 'audio' && media.voice
+    ? 'Voice note'
+    : media.type.charAt(0).toUpperCase() + media.type.slice(1);
+  return media.filename ? `[${label}: ${media.filename}]` : `[${label}]`;
+}
+
+/**
+ * Resolve a media ID to a temporary download URL via the Graph API
+ * @param {string} mediaId - Media ID from the webhook
+ * @param {string} accessToken - Meta access token
+ * @returns {Promise<object>} { url, mime_type, sha256, file_size, id }
+ */
+export async function getMediaInfo(mediaId, accessToken) {
+  const response = await fetch(getGraphApiUrl(mediaId), {
+    headers: { 'Authorization': `Bearer ${accessToken}` }
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`Media lookup failed: ${data.error?.message || response.statusText}`);
+  }
+
+  return data;
+}
+
+/**
+ * Download media bytes from the URL returned by getMediaInfo
+ * The URL requires the same bearer token and expires after a few minutes.
+ * @param {string} url - Media URL
+ * @param {string} accessToken - Meta access token
+ * @returns {Promise<Buffer>} File contents
+ */
+export async function downloadMedia(url, accessToken) {
+  const response = await fetch(url, {
+    headers: { 'Authorization': `Bearer ${accessToken}` }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Media download failed: ${response.status} ${response.statusText}`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MEDIA_MAX_BYTES) {
+    throw new Error(`Media too large: ${buffer.length} bytes (max ${MEDIA_MAX_BYTES})`);
+  }
+
+  return buffer;
+}
+
+/**
+ * Upload media to Supabase Storage
+ * The bucket is private with no storage policies, so only the service role can write to it.
+ * @param {Buffer} buffer - File contents
+ * @param {object} options - leadId, mediaId, mimeType
+ * @returns {Promise<object>} { bucket, path }
+ */
+export async function storeMedia(buffer, { leadId, mediaId, mimeType }) {
+  const baseType = (mimeType || '').split(';')[0].trim();
+  const extension = FILE_EXTENSIONS[baseType] || 'bin';
+  const path = `${leadId}/${mediaId}.${extension}`;
+
+  const { error } = await supabaseAdmin.storage
+    .from(MEDIA_STORAGE_BUCKET)
+    .upload(path, buffer, {
+      contentType: baseType || 'application/octet-stream',
+      upsert: true
+    });
+
+  if (error) {
+    throw new Error(`Media upload failed: ${error.message}`);
+  }
+
+  return { bucket: MEDIA_STORAGE_BUCKET, path };
+}
+
+/**
+ * Extract plain text from a document Claude cannot read natively
+ * PDFs are passed to Claude as document blocks instead.
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - MIME type
+ * @returns {string|null} Extracted text (truncated) or null if not a text format
+ */
+export function extractDocumentText(buffer, mimeType) {
+  const baseType = (mimeType || '').split(';')[0].trim();
+  const isText = baseType.startsWith('text/') ||
+    baseType === 'application/json' ||
+    baseType === 'application/xml';
+
+  if (!isText) return null;
+
+  const text = buffer.toString('utf8').trim();
+  return text.length > MAX_EXTRACTED_TEXT_LENGTH
+    ? text.substring(0, MAX_EXTRACTED_TEXT_LENGTH) + '...'
+    : text;
+}
+
+/**
+ * Build Claude attachments (images and PDFs) from downloaded media
+ * @param {object} media - Result of fetchInboundMedia
+ * @returns {Array<object>} Attachments: { type: 'image'|'document', mimeType, data (base64) }
+ */
+export function buildClaudeAttachments(media) {
+  if (!media?.buffer) return [];
+
+  const baseType = (media.mimeType || '').split(';')[0].trim();
+
+  if (media.type === 'image' && CLAUDE_IMAGE_TYPES.includes(baseType) && media.buffer.length <= CLAUDE_IMAGE_MAX_BYTES) {
+    return [{ type: 'image', mimeType: baseType, data: media.buffer.toString('base64') }];
+  }
+
+  if (media.type === 'document' && baseType === 'application/pdf' && media.buffer.length <= CLAUDE_PDF_MAX_BYTES) {
+    return [{ type: 'document', mimeType: baseType, data: media.buffer.toString('base64') }];
+  }
+
+  return [];
+}
+
+/**
+ * Resolve, download and store an inbound media message
+ * Storage failures are logged but do not fail the download.
+ *
+ * @param {object} media - Media reference from extractMediaReference()
+ * @param {object} options - Options
+ * @param {string} options.leadId - Lead UUID (storage folder)
+ * @param {string} options.accessToken - Meta access token
+ * @returns {Promise<object>} Media reference plus buffer, size, storage and extractedText
+ */
+export async function fetchInboundMedia(media, { leadId, accessToken }) {
+  if (!accessToken) {
+    throw new Error('WhatsApp API credentials not configured');
+  }
+
+  const info = await getMediaInfo(media.id, accessToken);
+  const buffer = await downloadMedia(info.url, accessToken);
+  const mimeType = media.mimeType || info.mime_type;
+
+  let storage = null;
+  try {
+    storage = await storeMedia(buffer, { leadId, mediaId: media.id, mimeType });
+  } catch (error) {
+    logger.error('Failed to store inbound media', { mediaId: media.id, error: error.message });
+  }
+
+  const extractedText = media.type === 'document' ? extractDocumentText(buffer, mimeType) : null;
+
+  logger.info('Inbound media fetched', {
+    mediaId: media.id,
+    type: media.type,
+    mimeType,
+    size: buffer.length,
+    stored: !!storage,
+    hasExtractedText: !!extractedText
+  });
+
+  return {
+    ...media,
+    mimeType,
+    buffer,
+    size: buffer.length,
+    storage,
+    extractedText
+  };
+}
+
+/**
+ * Media fields saved in conversations.metadata.media
+ * @param {object} media - Media reference or fetchInboundMedia result
+ * @returns {object} JSON-safe metadata
+ */
+export function toMediaMetadata(media) {
+  return {
+    id: media.id,
+    type: media.type,
+    mime_type: media.mimeType || null,
+    filename: media.filename || null,
+    caption: media.caption || null,
+    size: media.size || null,
+    storage_bucket: media.storage?.bucket || null,
+    storage_path: media.storage?.path || null,
+    error: media.error || null,
+    ...(media.type === 'audio' && {
+      transcript: media.transcript || null,
+      transcript_language: media.transcriptLanguage || null,
+      transcription_provider: media.transcriptionProvider || null,
+      transcription_error: media.transcriptionError || null
+    })
+  };
+}
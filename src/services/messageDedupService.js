@@ -0,0 +1,170 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+
+// How long a processed Meta message ID (wamid) is remembered.
+// Meta retries failed deliveries for up to ~24 hours, so default to that window.
+const DEDUP_TTL_MS = parseInt(process.env.MESSAGE_DEDUP_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Expired rows in processed_messages are purged at most once per interval
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// Expired entries in the in-memory cache are pruned at most once per interval
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// In-memory cache: wamid -> expiry timestamp (ms)
+// Catches fast redeliveries without a database round trip
+const processedMessages = new Map();
+let lastPurgeAt = 0;
+let lastPruneAt = 0;
+
+/**
+ * Remove expired entries from the in-memory cache (throttled)
+ * Lookups check the expiry themselves, so entries may outlive it briefly.
+ * @param {number} now - Current timestamp in ms
+ */
+function pruneMemory(now) {
+  if (now - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = now;
+
+  for (const [messageId, expiresAt] of processedMessages) {
+    if (expiresAt <= now) {
+      processedMessages.delete(messageId);
+    }
+  }
+}
+
+/**
+ * Delete expired rows from processed_messages (throttled, fire-and-forget)
+ * @param {number} now - Current timestamp in ms
+ */
+function purgeExpiredRows(now) {
+  if (now - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = now;
+
+  Promise.resolve()
+    .then(() => supabaseAdmin
+      .from('processed_messages')
+      .delete()
+      .lt('expires_at', new Date(now).toISOString()))
+    .then(({ error } = {}) => {
+      if (error) {
+        logger.warn('Failed to purge expired processed messages', { error: error.message });
+      }
+    })
+    .catch(error => {
+      logger.warn('Failed to purge expired processed messages', { error: error.message });
+    });
+}
+
+/**
+ * Record a message ID in the persistent processed_messages table
+ * @param {string} messageId - Meta message ID (wamid)
+ * @param {object} details - Extra columns (phone, brand)
+ * @param {number} now - Current timestamp in ms
+ * @returns {Promise<boolean>} true if this call claimed the message, false if already processed
+ */
+async function claimPersistent(messageId, details, now) {
+  const expiresAt = new Date(now + DEDUP_TTL_MS).toISOString();
+
+  const { error } = await supabaseAdmin
+    .from('processed_messages')
+    .insert({
+      message_id: messageId,
+      phone: details.phone || null,
+      brand: details.brand || null,
+      processed_at: new Date(now).toISOString(),
+      expires_at: expiresAt
+    });
+
+  if (!error) {
+    return true;
+  }
+
+  // 23505 = unique_violation: another delivery already claimed this wamid
+  if (error.code !== '23505') {
+    throw error;
+  }
+
+  // Reclaim the record only if it has expired - the condition makes this atomic,
+  // so of two concurrent redeliveries only one gets the row back
+  const { data: reclaimed, error: reclaimError } = await supabaseAdmin
+    .from('processed_messages')
+    .update({ processed_at: new Date(now).toISOString(), expires_at: expiresAt })
+    .eq('message_id', messageId)
+    .lt('expires_at', new Date(now).toISOString())
+    .select('message_id');
+
+  if (reclaimError) throw reclaimError;
+  return (reclaimed || []).length > 0;
+}
+
+/**
+ * Claim a Meta message ID for processing
+ * Returns false when the same wamid was already processed within the TTL,
+ * so redelivered webhooks can be skipped.
+ *
+ * Falls back to the in-memory cache only if the database is unavailable.
+ *
+ * @param {string} messageId - Meta message ID (wamid)
+ * @param {object} details - Optional context stored with the record
+ * @param {string} details.phone - Sender phone number
+ * @param {string} details.brand - Brand name
+ * @returns {Promise<boolean>} true if the message should be processed
+ */
+export async function claimMessageId(messageId, details = {}) {
+  if (!messageId) {
+    // Nothing to deduplicate on - let it through
+    return true;
+  }
+
+  const now = Date.now();
+  pruneMemory(now);
+
+  const cachedExpiry = processedMessages.get(messageId);
+  if (cachedExpiry && cachedExpiry > now) {
+    logger.info('Duplicate message skipped (memory)', { messageId });
+    return false;
+  }
+
+  processedMessages.set(messageId, now + DEDUP_TTL_MS);
+
+  try {
+    const claimed = await claimPersistent(messageId, details, now);
+    if (!claimed) {
+      logger.info('Duplicate message skipped (database)', { messageId });
+    }
+    purgeExpiredRows(now);
+    return claimed;
+  } catch (error) {
+    logger.warn('processed_messages unavailable, using in-memory dedup only', {
+      messageId,
+      error: error.message
+    });
+    return true;
+  }
+}
+
+
+/**
+ * Forget a claimed message ID so a redelivery is processed again
+ * Used when a message could not be persisted after it was claimed.
+ * @param {string} messageId - Meta message ID (wamid)
+ * @returns {Promise<void>}
+ */
+export async function releaseMessageId(messageId) {
+  if (!messageId) return;
+
+  processedMessages.delete(messageId);
+
+  try {
+    const { error } = await supabaseAdmin
+      .from('processed_messages')
+      .delete()
+      .eq('message_id', messageId);
+
+    if (error) {
+      logger.warn('Failed to release processed message ID', { messageId, error: error.message });
+    }
+  } catch (error) {
+    logger.warn('Failed to release processed message ID', { messageId, error: error.message });
+  }
+}
@@ -0,0 +1,681 @@
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import {
+  getOrCreateLead,
+  buildCustomerContext,
+  generateSummary,
+  extractInterests,
+  updateWhatsAppContext
+} from './customerService.js';
+import { getConversationHistory, addToHistory, findMessageByWhatsAppId } from './conversationService.js';
+import {
+  getOrCreateWhatsAppSession,
+  linkSessionToLead,
+  incrementSessionMessageCount,
+  updateConversationData,
+  recordInboundMessage
+} from './whatsappSessionService.js';
+import { generateResponse } from './claudeService.js';
+import { storeConversationLog } from './loggingService.js';
+import { fetchInboundMedia, buildClaudeAttachments, toMediaMetadata } from './mediaService.js';
+import { transcribeAudio } from './transcriptionService.js';
+import { recordOutboundMessage } from './deliveryStatusService.js';
+import { recordReferralAttribution, hasBooking as leadHasBooking } from './attributionService.js';
+import { recordCampaignReply } from './campaignService.js';
+import { getConsentChange, setLeadConsent, getConsentConfirmation } from './consentService.js';
+import { sendReply, startTypingIndicator } from './whatsappClient.js';
+
+/**
+ * Message pipeline
+ *
+ * One customer turn, shared by the Meta webhook worker and POST /api/whatsapp/message:
+ *
+ *   identifyLead -> loadContext -> decideRoute -> generate -> send -> persist -> sync
+ *
+ * Every stage takes the turn built so far and returns the fields it adds.
+ * Stages can be switched off per brand with the `pipeline` field of a
+ * WHATSAPP_NUMBERS entry - { "decideRoute": false } skips the welcome message
+ * and always answers with Claude, { "generate": false } only records inbound
+ * messages (e.g. while a human handles the chat) - and per caller:
+ * /api/whatsapp/message turns `send` off because n8n sends the reply itself.
+ *
+ * When the pipeline sends the reply, the customer's latest message is marked
+ * as read straight away and the typing indicator stays up until the send
+ * stage (brands can opt out with `readReceipts: false`).
+ */
+
+export const PIPELINE_STAGES = ['identifyLead', 'loadContext', 'decideRoute', 'generate', 'send', 'persist', 'sync'];
+
+// Every other stage needs the lead, so this one can't be switched off
+const REQUIRED_STAGES = ['identifyLead'];
+
+/**
+ * Work out which stages run for a turn
+ * Later layers win: brand config, then caller overrides.
+ * @param {...object} layers - Maps of stage name to boolean
+ * @returns {object} Stage name -> enabled
+ */
+export function resolveStageToggles(...layers) {
+  const toggles = Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, true]));
+
+  for (const layer of layers) {
+    for (const [stage, enabled] of Object.entries(layer || {})) {
+      if (!PIPELINE_STAGES.includes(stage)) {
+        logger.warn('Unknown message pipeline stage in config - ignoring', { stage });
+        continue;
+      }
+      if (REQUIRED_STAGES.includes(stage) && enabled === false) {
+        logger.warn('Message pipeline stage cannot be disabled - ignoring', { stage });
+        continue;
+      }
+      toggles[stage] = enabled !== false;
+    }
+  }
+
+  return toggles;
+}
+
+/**
+ * Download media and transcribe voice notes for one inbound message
+ * A failed download or transcription is recorded on the media but doesn't
+ * stop us replying to the customer.
+ * @param {object} part - Inbound message ({ messageId, message, media })
+ * @param {object} options - leadId, accessToken
+ * @returns {Promise<object>} { messageId, userMessage, claudeMessage, attachments, media }
+ */
+export async function prepareMessagePart(part, { leadId, accessToken }) {
+  let media = part.media || null;
+  let userMessage = part.message;
+  let claudeMessage = part.message;
+  let attachments = [];
+
+  // Image, document, audio, video
+  if (media) {
+    try {
+      media = await fetchInboundMedia(media, { leadId, accessToken });
+      attachments = buildClaudeAttachments(media);
+      if (media.extractedText) {
+        claudeMessage = `${part.message}\n\n[Document content]\n${media.extractedText}`;
+      }
+    } catch (error) {
+      logger.error('Failed to fetch inbound media', { mediaId: media.id, error: error.message });
+      media = { ...media, error: error.message };
+    }
+  }
+
+  // Voice notes: the transcript replaces the "[Voice note]" placeholder
+  // so Claude answers them like typed text
+  if (media?.type === 'audio' && media.buffer) {
+    try {
+      const transcription = await transcribeAudio(media.buffer, { mimeType: media.mimeType });
+      if (transcription?.text) {
+        media = {
+          ...media,
+          transcript: transcription.text,
+          transcriptLanguage: transcription.language,
+          transcriptionProvider: transcription.provider
+        };
+        userMessage = transcription.text;
+        claudeMessage = transcription.text;
+      }
+    } catch (error) {
+      logger.error('Failed to transcribe voice note', { mediaId: media.id, error: error.message });
+      media = { ...media, transcriptionError: error.message };
+    }
+  }
+
+  return { messageId: part.messageId || null, userMessage, claudeMessage, attachments, media };
+}
+
+/**
+ * When the newest message of the turn was sent (Meta's unix timestamp), or
+ * when the turn arrived
+ * @param {object} turn - Turn state
+ * @returns {string} ISO timestamp
+ */
+function latestMessageTime(turn) {
+  const sentAt = turn.messages
+    .map(part => parseInt(part.timestamp, 10) * 1000)
+    .filter(Number.isFinite);
+  return new Date(sentAt.length > 0 ? Math.max(...sentAt) : turn.receivedAt).toISOString();
+}
+
+/**
+ * Stage 1: lead in all_leads and WhatsApp session, linked together,
+ * plus the Click-to-WhatsApp ad the customer came from (if any), the
+ * broadcast campaign this message replies to (if any) and STOP/START consent
+ * changes
+ * @param {object} turn - Turn state
+ * @returns {Promise<object>} { lead, session, referral, campaign, consent }
+ */
+export async function identifyLead(turn) {
+  const lead = await getOrCreateLead(turn.sessionId, turn.brand, { profileName: turn.profileName });
+  logger.info(`Lead retrieved/created: ${lead.id}`);
+
+  const session = await getOrCreateWhatsAppSession(turn.sessionId, turn.brand, {
+    profileName: turn.profileName,
+    whatsappNumber: turn.sessionId
+  });
+  logger.info(`WhatsApp session retrieved/created: ${session.id}`);
+
+  if (!session.lead_id && lead.id) {
+    try {
+      await linkSessionToLead(session.id, lead.id);
+      session.lead_id = lead.id;
+    } catch (error) {
+      // Not critical - the next turn links it
+      logger.error('Error linking session to lead:', error);
+    }
+  }
+
+  // The customer's latest message opens Meta's 24-hour customer service window
+  await recordInboundMessage(session.id, latestMessageTime(turn));
+
+  // Ad referrals come on the first message after the click - record before
+  // loadContext so the customer context already includes it
+  const referral = turn.messages.find(part => part.referral)?.referral || null;
+  if (referral) {
+    const unifiedContext = await recordReferralAttribution(lead.id, referral, { brand: turn.brand });
+    if (unifiedContext) {
+      lead.unified_context = unifiedContext;
+    }
+  }
+
+  let campaign = null;
+  try {
+    campaign = await recordCampaignReply(lead.id, new Date(latestMessageTime(turn)).getTime());
+  } catch (error) {
+    // Campaign stats only - the customer still gets their reply
+    logger.error('Error recording campaign reply:', error);
+  }
+
+  // A typed STOP on its own opts out, START opts an opted-out lead back in (voice notes and media don't count)
+  const latest = turn.messages[turn.messages.length - 1];
+  const consent = latest && !latest.media ? getConsentChange(latest.message, lead, turn.whatsappNumber) : null;
+  if (consent) {
+    await setLeadConsent(lead.id, consent, { source: 'whatsapp_keyword' });
+    lead.consent_status = consent;
+  }
+
+  return { lead, session, referral, campaign, consent };
+}
+
+/**
+ * Stage 2: this turn's messages (media, transcripts), new/returning user,
+ * customer context and recent history
+ * History is read before this turn is persisted, so it only holds earlier messages.
+ * @param {object} turn - Turn state
+ * @returns {Promise<object>} { parts, userMessage, claudeMessage, attachments, isNewUser, context, history }
+ */
+export async function loadContext(turn) {
+  const { lead } = turn;
+
+  // A burst of quick messages arrives as one merged job (see mergeInboundMessages)
+  const parts = [];
+  for (const part of turn.messages) {
+    parts.push(await prepareMessagePart(part, {
+      leadId: lead.id,
+      accessToken: turn.credentials.accessToken || process.env.META_ACCESS_TOKEN
+    }));
+  }
+
+  // "New" means no history on any channel: no WhatsApp messages, web chat or booking
+  const { data: existingMessages, error: messagesError } = await supabase
+    .from('conversations')
+    .select('id')
+    .eq('lead_id', lead.id)
+    .eq('channel', 'whatsapp')
+    .limit(1);
+
+  if (messagesError) {
+    logger.warn('Error checking existing messages, defaulting to returning user', { error: messagesError.message });
+  }
+
+  const hasWebHistory = lead.unified_context?.web?.user_inputs?.length > 0 ||
+                        !!lead.unified_context?.web?.conversation_summary;
+  // Web bookings and the demo calls booked over WhatsApp (top-level booking_status)
+  const hasBooking = leadHasBooking(lead.unified_context);
+  const hasWhatsAppHistory = !!messagesError || existingMessages?.length > 0;
+  const isNewUser = !hasWebHistory && !hasBooking && !hasWhatsAppHistory;
+
+  logger.info(`User type detected: ${isNewUser ? 'NEW' : 'RETURNING'}`, {
+    leadId: lead.id,
+    hasWebHistory,
+    hasBooking,
+    hasWhatsAppHistory
+  });
+
+  const context = await buildCustomerContext(turn.sessionId, turn.brand);
+
+  let history;
+  try {
+    history = await getConversationHistory(lead.id, 10);
+    logger.info(`Retrieved ${history.length} messages from history`);
+  } catch (error) {
+    logger.error('Error getting conversation history:', error);
+    history = []; // Continue with empty history
+  }
+
+  return {
+    parts,
+    userMessage: parts.map(part => part.userMessage).join('\n'),
+    claudeMessage: parts.map(part => part.claudeMessage).join('\n'),
+    attachments: parts.flatMap(part => part.attachments),
+    isNewUser,
+    context,
+    history
+  };
+}
+
+/**
+ * Stage 3: first-time customers get the brand's welcome message,
+ * everyone else a Claude reply
+ * Customers arriving from an ad go straight to Claude, which knows the ad,
+ * instead of being asked what brings them here. STOP / START only get a
+ * confirmation.
+ * @param {object} turn - Turn state
+ * @returns {object} { route: 'consent' | 'welcome' | 'claude' }
+ */
+export function decideRoute(turn) {
+  if (turn.consent) return { route: 'consent' };
+  return { route: turn.isNewUser && !turn.referral ? 'welcome' : 'claude' };
+}
+
+/**
+ * Stage 4: the reply - a consent confirmation, the brand's welcome, or Claude
+ * with this number's prompt
+ * @param {object} turn - Turn state
+ * @returns {Promise<object>} { reply, outputSentAt }
+ */
+export async function generate(turn) {
+  if (turn.route === 'consent') {
+    logger.info('Consent keyword received - sending confirmation', { consent: turn.consent });
+    return {
+      reply: {
+        rawResponse: getConsentConfirmation(turn.consent, turn.whatsappNumber),
+        responseType: 'text',
+        buttons: [],
+        urgency: 'low',
+        nextAction: 'none',
+        tokensUsed: 0
+      },
+      outputSentAt: Date.now()
+    };
+  }
+
+  if (turn.route === 'welcome') {
+    logger.info('New user detected - sending template welcome message');
+    return {
+      reply: {
+        rawResponse: turn.whatsappNumber?.welcomeMessage || "Hey! I'm PROXe. What brings you here today?",
+        responseType: 'text_with_buttons',
+        buttons: turn.whatsappNumber?.welcomeButtons || ['Learn More'],
+        urgency: 'low',
+        nextAction: 'wait_for_user_selection',
+        tokensUsed: 0
+      },
+      outputSentAt: Date.now()
+    };
+  }
+
+  const reply = await generateResponse(turn.context, turn.claudeMessage, turn.history || [], false, {
+    attachments: turn.attachments,
+    promptKey: turn.whatsappNumber?.promptKey || turn.brand,
+    leadId: turn.lead?.id
+  });
+  logger.info('AI response generated successfully');
+
+  return { reply, outputSentAt: Date.now() };
+}
+
+/**
+ * Stage 5: send the reply from the number the customer wrote to
+ * Long replies go out as several messages, buttons on the last one.
+ * A failed send is logged and recorded on the turn; the reply is still
+ * persisted so the conversation shows what we tried to say. If it failed
+ * part way, sentMessageIds keeps the parts that went out.
+ * @param {object} turn - Turn state
+ * @returns {Promise<object>} { sendResult, sentMessageIds, sendError }
+ */
+export async function send(turn) {
+  try {
+    const { response, wamids } = await sendReply(turn.sessionId, turn.reply.rawResponse, turn.reply.buttons, turn.credentials, {
+      brand: turn.brand,
+      list: turn.reply.list
+    });
+    logger.info('WhatsApp message sent successfully', {
+      sessionId: turn.sessionId,
+      route: turn.route,
+      messages: wamids.length
+    });
+    return { sendResult: response, sentMessageIds: wamids, sendError: null };
+  } catch (error) {
+    const sentMessageIds = error.wamids || [];
+    logger.error('Failed to send WhatsApp message', {
+      sessionId: turn.sessionId,
+      sentMessages: sentMessageIds.length,
+      error: error.message
+    });
+    return { sendResult: null, sentMessageIds, sendError: error.message };
+  }
+}
+
+/**
+ * Stage 6: customer messages, the reply (with its outbound wamid) and the analytics log
+ * A retried job may already have logged a message - it isn't inserted twice.
+ * @param {object} turn - Turn state
+ * @returns {Promise<object>} { assistantMessage }
+ */
+export async function persist(turn) {
+  const { lead, session, parts, reply } = turn;
+  const outputSentAt = turn.outputSentAt || Date.now();
+  const inputToOutputGap = outputSentAt - turn.receivedAt;
+
+  for (const part of parts) {
+    const alreadyLogged = part.messageId ? await findMessageByWhatsAppId(part.messageId) : null;
+    if (alreadyLogged) {
+      logger.info('User message already logged by a previous attempt', { messageId: part.messageId });
+      continue;
+    }
+
+    await addToHistory(lead.id, part.userMessage, 'user', part.media ? part.media.type : 'text', {
+      input_received_at: turn.receivedAt,
+      whatsapp_message_id: part.messageId || null,
+      ...(part.media && { media: toMediaMetadata(part.media) }),
+      ...(parts.length > 1 && { coalesced_message_count: parts.length }),
+      ...(turn.campaign && { campaign_id: turn.campaign.campaignId })
+    });
+    await incrementCount(session);
+  }
+
+  if (!reply) {
+    return { assistantMessage: null };
+  }
+
+  const assistantMessage = await addToHistory(lead.id, reply.rawResponse, 'assistant', 'text', {
+    input_received_at: turn.receivedAt,
+    output_sent_at: outputSentAt,
+    input_to_output_gap_ms: inputToOutputGap,
+    ...(turn.sendError && { send_error: turn.sendError }),
+    // A reply split into several WhatsApp messages is still one assistant turn
+    // (statuses for any of them are recorded on this row - see findMessageByWhatsAppId)
+    ...(turn.sentMessageIds?.length > 1 && { whatsapp_message_ids: turn.sentMessageIds }),
+    // Structured fields from Claude's reply tool (see claudeService.generateResponse)
+    ...(reply.outputFormat && {
+      response_type: reply.responseType,
+      buttons: reply.buttons,
+      ...(reply.list && { list: reply.list }),
+      urgency: reply.urgency,
+      next_action: reply.nextAction,
+      intent: reply.intent,
+      lead_fields: reply.leadFields,
+      output_format: reply.outputFormat
+    }),
+    // Booking tools Claude called for this reply (see bookingTools.js)
+    ...(reply.toolCalls?.length > 0 && { tool_calls: reply.toolCalls }),
+    // Token usage and prompt cache result, summed over the reply's Claude calls (shown on /status)
+    ...(reply.usage && {
+      claude_usage: {
+        cache: reply.usage.cache,
+        input_tokens: reply.usage.inputTokens,
+        cache_read_input_tokens: reply.usage.cacheReadTokens,
+        cache_creation_input_tokens: reply.usage.cacheWriteTokens,
+        output_tokens: reply.usage.outputTokens,
+        calls: reply.usage.calls,
+        response_time_ms: reply.responseTime
+      }
+    })
+  });
+  await incrementCount(session);
+
+  // Store the outbound wamid so Meta status webhooks can be matched to this row
+  // (the last message of a split reply - it is delivered and read last)
+  const outboundMessageId = turn.sentMessageIds?.at(-1) || turn.sendResult?.messages?.[0]?.id;
+  if (outboundMessageId) {
+    await recordOutboundMessage(assistantMessage?.id, outboundMessageId, {
+      phoneNumberId: turn.credentials.phoneNumberId,
+      recipient: turn.sessionId
+    });
+  }
+
+  await storeConversationLog({
+    customerId: lead.id, // For backward compatibility
+    leadId: lead.id,
+    message: turn.userMessage,
+    response: reply.rawResponse,
+    responseType: reply.responseType,
+    tokensUsed: reply.tokensUsed,
+    responseTime: Date.now() - turn.receivedAt,
+    inputToOutputGap,
+    metadata: {
+      buttons: reply.buttons,
+      list: reply.list || null,
+      urgency: reply.urgency,
+      nextAction: reply.nextAction,
+      intent: reply.intent || null,
+      leadFields: reply.leadFields || {},
+      brand: turn.brand,
+      route: turn.route,
+      input_received_at: turn.receivedAt,
+      output_sent_at: outputSentAt
+    }
+  });
+
+  return { assistantMessage };
+}
+
+/**
+ * Session message counter - not critical, so failures are only logged
+ */
+async function incrementCount(session) {
+  try {
+    await incrementSessionMessageCount(session.id);
+  } catch (error) {
+    logger.error('Error incrementing message count:', error);
+  }
+}
+
+/**
+ * Stage 7: conversation summary on the session, all_leads.unified_context
+ * and the dashboard
+ * Failures are logged; the customer already has their reply.
+ * @param {object} turn - Turn state
+ * @returns {Promise<object>} { summary }
+ */
+export async function sync(turn) {
+  const { lead, session, context, brand } = turn;
+
+  try {
+    const updatedHistory = await getConversationHistory(lead.id, 20);
+    const conversationSummary = generateSummary([...updatedHistory].reverse());
+    const userInterests = extractInterests([...updatedHistory].reverse());
+
+    const conversationContext = {
+      conversationPhase: context?.conversationPhase || 'discovery',
+      messageCount: updatedHistory.length,
+      lastMessageAt: new Date().toISOString(),
+      interests: userInterests,
+      previousTopics: userInterests.slice(0, 5),
+      metadata: {
+        brand,
+        leadId: lead.id,
+        updatedAt: new Date().toISOString()
+      }
+    };
+
+    const userInputsSummary = {
+      interests: userInterests,
+      totalInputs: userInterests.length,
+      recentTopics: userInterests.slice(0, 10),
+      extractedAt: new Date().toISOString()
+    };
+
+    await updateConversationData(session.id, {
+      summary: conversationSummary,
+      context: conversationContext,
+      userInputsSummary
+    });
+
+    // Sync to all_leads.unified_context
+    await updateWhatsAppContext(lead.id, {
+      conversation_summary: conversationSummary,
+      conversation_context: conversationContext,
+      user_inputs_summary: userInputsSummary,
+      message_count: updatedHistory.length,
+      last_interaction: new Date().toISOString()
+    });
+    logger.info('Synced WhatsApp context to unified_context');
+
+    await syncToDashboard({
+      name: context?.name,
+      phone: turn.sessionId,
+      email: lead.email,
+      brand,
+      conversation_summary: conversationSummary,
+      conversation_context: conversationContext,
+      user_inputs_summary: userInterests,
+      message_count: updatedHistory.length,
+      last_interaction: new Date().toISOString()
+    });
+
+    return { summary: conversationSummary };
+  } catch (error) {
+    logger.error('Error updating conversation data:', error);
+    return { summary: null };
+  }
+}
+
+/**
+ * POST the lead's WhatsApp summary to the dashboard (DASHBOARD_API_URL)
+ */
+async function syncToDashboard(payload) {
+  if (!process.env.DASHBOARD_API_URL) {
+    return;
+  }
+
+  try {
+    await fetch(`${process.env.DASHBOARD_API_URL}/api/integrations/whatsapp`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.WHATSAPP_API_KEY
+      },
+      body: JSON.stringify(payload)
+    });
+  } catch (error) {
+    logger.error('Failed to sync to dashboard:', { error: error.message });
+  }
+}
+
+const STAGE_HANDLERS = { identifyLead, loadContext, decideRoute, generate, send, persist, sync };
+
+/**
+ * Blue ticks, plus the typing indicator if a reply will be generated
+ * @returns {Function} stop()
+ */
+function startReadReceipts(turn) {
+  const latest = [...turn.parts].reverse().find(part => part.messageId);
+  if (!turn.stages.send || turn.whatsappNumber?.readReceipts === false || !latest) {
+    return () => {};
+  }
+  return startTypingIndicator(latest.messageId, turn.credentials, { typing: turn.stages.generate });
+}
+
+/**
+ * Run one customer turn through the pipeline
+ * A stage that throws stops the turn; the error carries `stage` so callers
+ * can report where it failed. Once the reply is out, later stages only log
+ * their failures (and list them in `failedStages`) - a rethrow would make the
+ * job retry and send the customer a second reply.
+ * @param {object} input - Turn input
+ * @param {string} input.sessionId - Customer's WhatsApp number
+ * @param {string} input.brand - Brand name
+ * @param {string} input.profileName - WhatsApp profile name
+ * @param {object} input.whatsappNumber - Registry entry for the business number
+ * @param {Array<object>} input.messages - This turn's messages ({ messageId, message, media }), oldest first
+ * @param {number} input.receivedAt - When the turn arrived (ms)
+ * @param {object} options - Pipeline options
+ * @param {object} options.stages - Stage toggles that override the brand's config
+ * @param {object} options.handlers - Stage implementations (and startReadReceipts) to use instead of the defaults (tests)
+ * @returns {Promise<object>} The finished turn (lead, session, route, reply, sendResult, ...)
+ */
+export async function runMessagePipeline(input, options = {}) {
+  const stages = resolveStageToggles(input.whatsappNumber?.pipeline, options.stages);
+  const handlers = { ...STAGE_HANDLERS, startReadReceipts, ...options.handlers };
+
+  let turn = {
+    ...input,
+    receivedAt: input.receivedAt || Date.now(),
+    credentials: {
+      phoneNumberId: input.whatsappNumber?.phoneNumberId,
+      accessToken: input.whatsappNumber?.accessToken
+    },
+    // Without loadContext the messages go to Claude as typed
+    parts: input.messages.map(part => ({
+      messageId: part.messageId || null,
+      userMessage: part.message,
+      claudeMessage: part.message,
+      attachments: [],
+      media: part.media || null
+    })),
+    userMessage: input.messages.map(part => part.message).join('\n'),
+    claudeMessage: input.messages.map(part => part.message).join('\n'),
+    attachments: [],
+    isNewUser: false,
+    route: 'claude',
+    reply: null,
+    stages,
+    skippedStages: [],
+    failedStages: []
+  };
+
+  const stopTyping = handlers.startReadReceipts(turn);
+
+  try {
+    for (const stage of PIPELINE_STAGES) {
+      // The reply replaces the indicator - don't refresh it once we're sending
+      if (stage === 'send') stopTyping();
+
+      if (!stages[stage]) {
+        turn.skippedStages.push(stage);
+        continue;
+      }
+      // Nothing to send without a reply
+      if (stage === 'send' && !turn.reply) {
+        turn.skippedStages.push(stage);
+        continue;
+      }
+
+      try {
+        turn = { ...turn, ...(await handlers[stage](turn)) };
+      } catch (error) {
+        logger.error(`Message pipeline failed at ${stage}`, {
+          sessionId: turn.sessionId,
+          brand: turn.brand,
+          error: error.message
+        });
+
+        // The message is out (or part of it) - a logging failure must not make the job send it again
+        if (turn.sendResult || turn.sentMessageIds?.length > 0) {
+          turn.failedStages.push(stage);
+          continue;
+        }
+        error.stage = stage;
+        throw error;
+      }
+    }
+  } finally {
+    stopTyping();
+  }
+
+  logger.info('Message processed successfully', {
+    sessionId: turn.sessionId,
+    brand: turn.brand,
+    route: turn.route,
+    skippedStages: turn.skippedStages,
+    ...(turn.failedStages.length > 0 && { failedStages: turn.failedStages }),
+    responseTime: Date.now() - turn.receivedAt
+  });
+
+  return turn;
+}
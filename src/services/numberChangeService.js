@@ -0,0 +1,154 @@
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { normalizePhoneNumber } from './customerService.js';
+
+/**
+ * Customer number changes
+ *
+ * When a customer moves WhatsApp to a new number, Meta sends a system message
+ * from the old number:
+ *
+ *   { "type": "system", "from": "<old>", "system": { "type": "customer_changed_number", "new_wa_id": "<new>", "body": "..." } }
+ *
+ * The customer's all_leads and whatsapp_sessions rows move to the new number,
+ * so context, bookings and conversation history (keyed by lead_id) carry over.
+ * Old numbers are kept in each row's phone_history.
+ */
+
+/**
+ * Read a customer_changed_number system message
+ * @param {object} message - Meta webhook message (messages[] item)
+ * @returns {object|null} { oldPhone, newPhone, body }, or null for any other message
+ */
+export function extractNumberChange(message) {
+  if (message?.type !== 'system' || message.system?.type !== 'customer_changed_number') {
+    return null;
+  }
+
+  // Current webhooks use new_wa_id; older API versions sent wa_id
+  const newPhone = message.system.new_wa_id || message.system.wa_id;
+  if (!message.from || !newPhone || message.from === newPhone) {
+    return null;
+  }
+
+  return {
+    oldPhone: String(message.from),
+    newPhone: String(newPhone),
+    body: message.system.body || null
+  };
+}
+
+/**
+ * Add a previous number to a phone_history array
+ * Redelivered webhooks don't add the same change twice.
+ * @param {Array<object>} history - Current phone_history
+ * @param {object} entry - { phone, normalized, changed_at, whatsapp_message_id }
+ * @returns {Array<object>} Updated history
+ */
+export function appendPhoneHistory(history, entry) {
+  const existing = Array.isArray(history) ? history : [];
+  if (existing.some(item => item.phone === entry.phone && item.whatsapp_message_id === entry.whatsapp_message_id)) {
+    return existing;
+  }
+  return [...existing, entry];
+}
+
+/**
+ * Find a brand's row for a normalized phone, or null
+ */
+async function findByNormalizedPhone(table, normalizedPhone, brand) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq('customer_phone_normalized', normalizedPhone)
+    .eq('brand', brand)
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Move a customer's lead and WhatsApp session to their new number
+ * @param {object} change - From extractNumberChange(), plus brand and messageId
+ * @returns {Promise<object>} { status: 'migrated' | 'already_migrated' | 'not_found' | 'conflict', leadId }
+ */
+export async function migrateCustomerNumber({ oldPhone, newPhone, brand, messageId = null, changedAt = null }) {
+  const oldNormalized = normalizePhoneNumber(oldPhone);
+  const newNormalized = normalizePhoneNumber(newPhone);
+  const historyEntry = {
+    phone: oldPhone,
+    normalized: oldNormalized,
+    changed_at: changedAt || new Date().toISOString(),
+    whatsapp_message_id: messageId
+  };
+
+  const oldLead = await findByNormalizedPhone('all_leads', oldNormalized, brand);
+  const newLead = oldNormalized === newNormalized ? null : await findByNormalizedPhone('all_leads', newNormalized, brand);
+
+  if (!oldLead) {
+    // Redelivered webhook, or a customer we never spoke to on the old number
+    const alreadyMigrated = newLead?.phone_history?.some(item => item.normalized === oldNormalized);
+    logger.info('No lead on the old number to migrate', { oldPhone, newPhone, brand, alreadyMigrated: !!alreadyMigrated });
+    return { status: alreadyMigrated ? 'already_migrated' : 'not_found', leadId: newLead?.id || null };
+  }
+
+  if (newLead) {
+    // Both numbers have history - merging two leads needs a human decision
+    logger.error('Customer changed number but the new number already has a lead - not migrating', {
+      oldPhone,
+      newPhone,
+      brand,
+      oldLeadId: oldLead.id,
+      newLeadId: newLead.id
+    });
+    return { status: 'conflict', leadId: oldLead.id };
+  }
+
+  // Sessions first: a retry after a partial failure still finds the lead on the old number.
+  // Sessions are looked up by customer_phone (getOrCreateWhatsAppSession)
+  const { data: sessions, error: sessionFetchError } = await supabase
+    .from('whatsapp_sessions')
+    .select('id, phone_history')
+    .eq('customer_phone', oldPhone)
+    .eq('brand', brand);
+
+  if (sessionFetchError) throw sessionFetchError;
+
+  for (const session of sessions || []) {
+    const { error: sessionError } = await supabase
+      .from('whatsapp_sessions')
+      .update({
+        customer_phone: newPhone,
+        customer_phone_normalized: newNormalized,
+        phone_history: appendPhoneHistory(session.phone_history, historyEntry),
+        lead_id: oldLead.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', session.id);
+
+    if (sessionError) throw sessionError;
+  }
+
+  const { error: leadError } = await supabase
+    .from('all_leads')
+    .update({
+      phone: newPhone,
+      customer_phone_normalized: newNormalized,
+      phone_history: appendPhoneHistory(oldLead.phone_history, historyEntry),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', oldLead.id);
+
+  if (leadError) throw leadError;
+
+  logger.info('Migrated customer to new WhatsApp number', {
+    leadId: oldLead.id,
+    oldPhone,
+    newPhone,
+    brand,
+    sessions: sessions?.length || 0
+  });
+
+  return { status: 'migrated', leadId: oldLead.id };
+}
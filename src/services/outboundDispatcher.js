@@ -0,0 +1,221 @@
+import { logger } from '../utils/logger.js';
+import { getWhatsAppNumbers } from '../config/brands.js';
+
+/**
+ * Outbound dispatcher
+ * Paces Graph API sends per business number (phone_number_id) and retries
+ * sends that Meta throttled, so bursts from campaigns and follow-ups don't
+ * fail conversations.
+ *
+ * - Each number has its own queue, started at most messagesPerSecond times a
+ *   second (brand registry `messagesPerSecond`, else WHATSAPP_MESSAGES_PER_SECOND)
+ * - Sends to one recipient go out one at a time, in the order they were queued
+ * - 130429 / 80007 (number or account throughput) pause the whole number;
+ *   131056 (pair rate limit) pauses only that recipient. The send is then
+ *   retried with exponential backoff, up to WHATSAPP_THROTTLE_MAX_RETRIES times
+ * - Any other error is returned to the caller straight away
+ */
+
+// Meta's default Cloud API throughput
+const DEFAULT_MESSAGES_PER_SECOND = parseFloat(process.env.WHATSAPP_MESSAGES_PER_SECOND) || 80;
+const MAX_THROTTLE_RETRIES = parseInt(process.env.WHATSAPP_THROTTLE_MAX_RETRIES) || 5;
+const THROTTLE_BASE_MS = parseInt(process.env.WHATSAPP_THROTTLE_BASE_MS) || 1000;
+// Meta allows roughly one message every 6 seconds to the same customer
+const PAIR_RATE_LIMIT_BASE_MS = 6000;
+const THROTTLE_MAX_MS = 60 * 1000;
+
+export const META_THROUGHPUT_ERRORS = [130429, 80007];
+export const META_PAIR_RATE_LIMIT_ERROR = 131056;
+
+const queues = new Map();
+
+/**
+ * Whether a send failed because Meta throttled it
+ * @param {Error} error - Error thrown by the send (sendPayload sets metaCode)
+ * @returns {boolean}
+ */
+export function isThrottleError(error) {
+  return META_THROUGHPUT_ERRORS.includes(error?.metaCode) || error?.metaCode === META_PAIR_RATE_LIMIT_ERROR;
+}
+
+/**
+ * Calculate how long to hold a throttled send (exponential backoff)
+ * @param {number} metaCode - Meta error code
+ * @param {number} attempts - Throttled attempts so far (1-based)
+ * @returns {number} Delay in ms
+ */
+export function getThrottleDelay(metaCode, attempts) {
+  const base = metaCode === META_PAIR_RATE_LIMIT_ERROR ? PAIR_RATE_LIMIT_BASE_MS : THROTTLE_BASE_MS;
+  const delay = base * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(delay, THROTTLE_MAX_MS);
+}
+
+/**
+ * Configured send rate for a number
+ */
+function getMessagesPerSecond(phoneNumberId) {
+  const number = getWhatsAppNumbers().find(item => item.phoneNumberId === String(phoneNumberId));
+  return number?.messagesPerSecond || DEFAULT_MESSAGES_PER_SECOND;
+}
+
+function getQueue(phoneNumberId) {
+  const key = String(phoneNumberId);
+  if (!queues.has(key)) {
+    queues.set(key, {
+      phoneNumberId: key,
+      items: [],
+      inFlight: new Set(),
+      recipientPausedUntil: new Map(),
+      pausedUntil: 0,
+      nextSlotAt: 0,
+      timer: null,
+      timerAt: 0
+    });
+  }
+  return queues.get(key);
+}
+
+/**
+ * Index of the next item that may be sent now, or -1
+ * A recipient with a send in flight or a pair rate limit blocks its later items too.
+ */
+function findSendable(queue, now) {
+  const blocked = new Set();
+  for (let index = 0; index < queue.items.length; index++) {
+    const { to } = queue.items[index];
+    if (blocked.has(to)) continue;
+    if (queue.inFlight.has(to) || (queue.recipientPausedUntil.get(to) || 0) > now) {
+      blocked.add(to);
+      continue;
+    }
+    return index;
+  }
+  return -1;
+}
+
+/**
+ * When the queue should next be looked at, or null to wait for an in-flight send
+ */
+function getWakeTime(queue, now) {
+  const readyAt = Math.max(queue.nextSlotAt, queue.pausedUntil, now);
+  if (findSendable(queue, readyAt) !== -1) {
+    return readyAt;
+  }
+
+  const resumes = [...queue.recipientPausedUntil.values()].filter(until => until > readyAt);
+  return resumes.length > 0 ? Math.min(...resumes) : null;
+}
+
+function schedule(queue) {
+  for (const [to, until] of queue.recipientPausedUntil) {
+    if (until <= Date.now()) queue.recipientPausedUntil.delete(to);
+  }
+
+  if (queue.items.length === 0) {
+    if (queue.inFlight.size === 0 && queue.recipientPausedUntil.size === 0 && queue.pausedUntil <= Date.now()) {
+      queues.delete(queue.phoneNumberId);
+    }
+    return;
+  }
+
+  const now = Date.now();
+  const wakeAt = getWakeTime(queue, now);
+  if (wakeAt === null) return;
+
+  if (queue.timer) {
+    if (queue.timerAt <= wakeAt) return;
+    clearTimeout(queue.timer);
+  }
+
+  queue.timerAt = wakeAt;
+  queue.timer = setTimeout(() => {
+    queue.timer = null;
+    pump(queue);
+  }, wakeAt - now);
+  queue.timer.unref?.();
+}
+
+function pump(queue) {
+  const now = Date.now();
+  if (now >= queue.nextSlotAt && now >= queue.pausedUntil) {
+    const index = findSendable(queue, now);
+    if (index !== -1) {
+      const [item] = queue.items.splice(index, 1);
+      queue.nextSlotAt = now + 1000 / getMessagesPerSecond(queue.phoneNumberId);
+      run(queue, item);
+    }
+  }
+  schedule(queue);
+}
+
+async function run(queue, item) {
+  queue.inFlight.add(item.to);
+  try {
+    item.resolve(await item.send());
+  } catch (error) {
+    if (!isThrottleError(error) || item.attempts >= MAX_THROTTLE_RETRIES) {
+      if (isThrottleError(error)) {
+        logger.error('WhatsApp send still throttled after retries - giving up', {
+          phoneNumberId: queue.phoneNumberId,
+          to: item.to,
+          metaCode: error.metaCode,
+          attempts: item.attempts + 1
+        });
+      }
+      item.reject(error);
+      return;
+    }
+
+    item.attempts++;
+    const delay = getThrottleDelay(error.metaCode, item.attempts);
+    const until = Date.now() + delay;
+    if (error.metaCode === META_PAIR_RATE_LIMIT_ERROR) {
+      queue.recipientPausedUntil.set(item.to, until);
+    } else {
+      queue.pausedUntil = Math.max(queue.pausedUntil, until);
+    }
+
+    logger.warn('WhatsApp send throttled by Meta - retrying', {
+      phoneNumberId: queue.phoneNumberId,
+      to: item.to,
+      metaCode: error.metaCode,
+      attempt: item.attempts,
+      retryInMs: delay
+    });
+
+    // Earliest for its recipient - later sends to them were blocked while it was in flight
+    queue.items.unshift(item);
+  } finally {
+    queue.inFlight.delete(item.to);
+    pump(queue);
+  }
+}
+
+/**
+ * Queue a send from a business number
+ * @param {string} phoneNumberId - Number the message is sent from
+ * @param {string} to - Recipient phone number
+ * @param {Function} send - async () => result; performs the Graph API call
+ * @returns {Promise<*>} The send's result, once it has gone out
+ */
+export function dispatchSend(phoneNumberId, to, send) {
+  const queue = getQueue(phoneNumberId);
+  return new Promise((resolve, reject) => {
+    queue.items.push({ to: String(to), send, resolve, reject, attempts: 0 });
+    pump(queue);
+  });
+}
+
+/**
+ * Queue depth per number (monitoring)
+ * @returns {Array<object>} { phoneNumberId, queued, inFlight, pausedUntil, pausedRecipients }
+ */
+export function getDispatcherStats() {
+  return [...queues.values()].map(queue => ({
+    phoneNumberId: queue.phoneNumberId,
+    queued: queue.items.length,
+    inFlight: queue.inFlight.size,
+    pausedUntil: queue.pausedUntil > Date.now() ? new Date(queue.pausedUntil).toISOString() : null,
+    pausedRecipients: queue.recipientPausedUntil.size
+  }));
+}
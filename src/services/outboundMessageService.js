@@ -0,0 +1,181 @@
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { resolveWhatsAppNumber, getWhatsAppNumberForBrand } from '../config/brands.js';
+import { getOrCreateLead, normalizePhoneNumber } from './customerService.js';
+import { logMessage } from './conversationService.js';
+import { recordOutboundMessage } from './deliveryStatusService.js';
+import { sendMessage } from './whatsappClient.js';
+import { assertCanMessage, isOptedOut } from './consentService.js';
+
+/**
+ * Outbound messages started by us rather than by a customer turn
+ *
+ * Agents, the dashboard and n8n automations send through here instead of
+ * calling Meta directly, so the message goes through the WhatsApp client
+ * (limits, pacing, 24-hour window) and is logged in `conversations` with its
+ * wamid for delivery tracking, like the pipeline's own replies. Leads who
+ * opted out only get free-form messages from a person (see consentService.js).
+ */
+
+export const OUTBOUND_SENDERS = ['agent', 'human'];
+
+/**
+ * Text stored in conversations.content for a message description
+ * @param {object} message - Message description (see whatsappClient.js)
+ * @returns {string} Readable content
+ */
+export function describeOutboundMessage(message) {
+  switch (message.type) {
+    case 'text':
+    case 'buttons':
+    case 'list':
+    case 'cta_url':
+      return message.text || '';
+    case 'image':
+    case 'document':
+    case 'audio':
+    case 'video':
+    case 'sticker':
+      return message.caption || `[${message.type}${message.filename ? `: ${message.filename}` : ''}]`;
+    case 'location':
+      return [message.name, message.address].filter(Boolean).join(', ') || `[location: ${message.latitude}, ${message.longitude}]`;
+    case 'template':
+      return `[template: ${message.name}]`;
+    case 'reaction':
+      return message.emoji || '[reaction removed]';
+    default:
+      return `[${message.type}]`;
+  }
+}
+
+/**
+ * Find the lead to message, by ID or phone
+ * A phone without a lead gets one, so first contact can be logged. With both,
+ * the phone must be the lead's - the message is logged and consent-checked
+ * against the lead.
+ */
+async function resolveRecipient({ leadId, phone, brand }) {
+  if (leadId) {
+    const { data: lead, error } = await supabase
+      .from('all_leads')
+      .select('*')
+      .eq('id', leadId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!lead) {
+      throw new AppError(`Lead ${leadId} not found`, 404);
+    }
+    if (!lead.phone) {
+      throw new AppError(`Lead ${leadId} has no phone number`, 422);
+    }
+    if (phone && normalizePhoneNumber(phone) !== normalizePhoneNumber(lead.phone)) {
+      const mismatch = new AppError(`phone does not match the phone number of lead ${leadId}`, 400);
+      mismatch.code = 'LEAD_PHONE_MISMATCH';
+      throw mismatch;
+    }
+    return lead;
+  }
+
+  return getOrCreateLead(phone, brand);
+}
+
+/**
+ * Send a message to a lead and log it as an outbound conversation message
+ * @param {object} request - Send request
+ * @param {string} request.leadId - Lead to message (or phone)
+ * @param {string} request.phone - Customer's WhatsApp number (or leadId; with both it must be the lead's)
+ * @param {string} request.brand - Brand (defaults to the lead's, then 'proxe')
+ * @param {string} request.phoneNumberId - Business number to send from (defaults to the brand's)
+ * @param {object} request.message - Message description (see whatsappClient.js)
+ * @param {string} request.sender - 'agent' (automations) or 'human' (a person in the dashboard)
+ * @param {string} request.sentBy - Who sent it (user or workflow), stored in metadata
+ * @param {object} request.variables - Extra values for window template {{placeholders}}
+ * @param {object} request.metadata - Extra fields for the logged message's metadata
+ * @returns {Promise<object>} { leadId, conversationId, wamid, template, recipient, phoneNumberId, delivery }
+ */
+export async function sendToLead({
+  leadId,
+  phone,
+  brand,
+  phoneNumberId,
+  message,
+  sender = 'agent',
+  sentBy = null,
+  variables = {},
+  metadata = {}
+}) {
+  if (!OUTBOUND_SENDERS.includes(sender)) {
+    throw new AppError(`sender must be one of ${OUTBOUND_SENDERS.join(', ')}`, 400);
+  }
+
+  const lead = await resolveRecipient({ leadId, phone, brand: brand || 'proxe' });
+  assertCanMessage(lead, { message, sender });
+  const leadBrand = brand || lead.brand || 'proxe';
+  const whatsappNumber = phoneNumberId
+    ? resolveWhatsAppNumber({ phoneNumberId })
+    : getWhatsAppNumberForBrand(leadBrand);
+  if (phoneNumberId && whatsappNumber?.phoneNumberId !== String(phoneNumberId)) {
+    throw new AppError(`WhatsApp number ${phoneNumberId} is not configured`, 400);
+  }
+  const credentials = {
+    phoneNumberId: whatsappNumber?.phoneNumberId,
+    accessToken: whatsappNumber?.accessToken
+  };
+  const to = phone || lead.phone;
+
+  const result = await sendMessage(to, message, credentials, {
+    brand: leadBrand,
+    variables: { customer_name: lead.customer_name || '', ...variables },
+    // Never turned into the window template for someone who opted out
+    ...(isOptedOut(lead) && { template: false })
+  });
+
+  // The message is out - a logging failure must not make the caller send it again
+  let conversation = null;
+  try {
+    conversation = await logMessage(lead.id, 'whatsapp', sender, describeOutboundMessage(message), message.type, {
+      source: 'send_api',
+      sent_by: sentBy,
+      brand: leadBrand,
+      ...(message.type === 'template' && { template: message.name }),
+      ...(result.template && { window_template: result.template }),
+      ...metadata
+    });
+  } catch (error) {
+    logger.error('Sent message could not be logged to conversations', {
+      leadId: lead.id,
+      wamid: result.wamid,
+      error: error.message
+    });
+  }
+
+  // Matches Meta status webhooks to this row
+  const delivery = await recordOutboundMessage(conversation?.id, result.wamid, {
+    phoneNumberId: credentials.phoneNumberId,
+    recipient: to
+  });
+
+  logger.info('Outbound message sent to lead', {
+    leadId: lead.id,
+    type: message.type,
+    sender,
+    sentBy,
+    wamid: result.wamid,
+    template: result.template
+  });
+
+  return {
+    leadId: lead.id,
+    conversationId: conversation?.id || null,
+    wamid: result.wamid,
+    template: result.template,
+    recipient: to,
+    phoneNumberId: credentials.phoneNumberId,
+    delivery: {
+      status: delivery?.status || 'accepted',
+      acceptedAt: delivery?.accepted_at || null
+    }
+  };
+}
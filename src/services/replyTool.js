@@ -0,0 +1,221 @@
+import { z } from 'zod';
+import { logger } from '../utils/logger.js';
+import { WHATSAPP_LIMITS } from './whatsappClient.js';
+
+/**
+ * Structured replies from Claude
+ *
+ * generateResponse() makes Claude answer by calling the reply_to_customer tool,
+ * so the reply comes back as JSON: the message text, a button or list options,
+ * urgency, next action, detected intent and lead details the customer gave.
+ * readReplyToolInput() validates that JSON and repairs what it can.
+ */
+
+export const REPLY_TOOL_NAME = 'reply_to_customer';
+
+export const URGENCY_LEVELS = ['low', 'normal', 'high'];
+
+export const NEXT_ACTIONS = [
+  'continue_conversation',
+  'wait_for_user_selection',
+  'book_demo',
+  'send_pricing',
+  'handoff_to_human',
+  'follow_up_later',
+  'end_conversation'
+];
+
+// Lead details Claude may pick up from the conversation
+export const LEAD_FIELDS = ['name', 'email', 'company', 'business_type', 'city', 'budget', 'timeline', 'team_size'];
+
+const text = z.string().trim().min(1);
+
+const listSchema = z.object({
+  button_text: text.max(WHATSAPP_LIMITS.listButtonText),
+  options: z.array(z.object({
+    title: text.max(WHATSAPP_LIMITS.rowTitle),
+    description: z.string().trim().max(WHATSAPP_LIMITS.rowDescription).optional()
+  })).min(1).max(WHATSAPP_LIMITS.listRows)
+});
+
+const leadFieldsSchema = z.object(Object.fromEntries(LEAD_FIELDS.map(field => [field, text.optional()])));
+
+const replySchema = z.object({
+  reply: text,
+  buttons: z.array(text).max(1).optional(),
+  list: listSchema.nullish(),
+  urgency: z.enum(URGENCY_LEVELS),
+  next_action: z.enum(NEXT_ACTIONS),
+  intent: text,
+  lead_fields: leadFieldsSchema.optional()
+});
+
+// Same fields, with defaults for anything invalid - only the reply text is essential
+const repairSchema = z.object({
+  reply: text,
+  buttons: z.array(z.string()).catch([]),
+  list: listSchema.nullish().catch(null),
+  urgency: z.enum(URGENCY_LEVELS).catch('normal'),
+  next_action: z.enum(NEXT_ACTIONS).catch('continue_conversation'),
+  intent: text.catch('unknown'),
+  lead_fields: z.object(Object.fromEntries(LEAD_FIELDS.map(field => [field, text.optional().catch(undefined)]))).catch({})
+});
+
+/**
+ * The reply_to_customer tool definition for the Messages API
+ * @param {Array<string>} allowedButtons - Labels from getButtonCatalogue()
+ * @returns {object} Tool ({ name, description, input_schema })
+ */
+export function buildReplyTool(allowedButtons = []) {
+  const optional = description => ({ type: 'string', description });
+
+  return {
+    name: REPLY_TOOL_NAME,
+    description: 'Send your reply to the customer on WhatsApp. Always answer by calling this tool.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        reply: {
+          type: 'string',
+          description: 'The message to send. WhatsApp formatting only (*bold*, _italic_), no button text or markers.'
+        },
+        buttons: {
+          type: 'array',
+          items: allowedButtons.length > 0 ? { type: 'string', enum: allowedButtons } : { type: 'string' },
+          maxItems: 1,
+          description: 'The one button to offer as the next step (see BUTTON SELECTION).'
+        },
+        list: {
+          type: 'object',
+          description: `Only when the customer has to pick from more than 3 options (e.g. time slots). Sent instead of the button. At most ${WHATSAPP_LIMITS.listRows} options.`,
+          properties: {
+            button_text: { type: 'string', description: `Label of the button that opens the list (max ${WHATSAPP_LIMITS.listButtonText} characters)` },
+            options: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string', description: `Max ${WHATSAPP_LIMITS.rowTitle} characters` },
+                  description: { type: 'string', description: `Max ${WHATSAPP_LIMITS.rowDescription} characters` }
+                },
+                required: ['title']
+              }
+            }
+          },
+          required: ['button_text', 'options']
+        },
+        urgency: {
+          type: 'string',
+          enum: URGENCY_LEVELS,
+          description: 'high when the customer is ready to buy or upset, low for small talk'
+        },
+        next_action: {
+          type: 'string',
+          enum: NEXT_ACTIONS,
+          description: 'What should happen next in this conversation'
+        },
+        intent: {
+          type: 'string',
+          description: 'What the customer wants, as a short snake_case label (e.g. pricing_inquiry, demo_request, feature_question, support, greeting)'
+        },
+        lead_fields: {
+          type: 'object',
+          description: 'Details the customer has stated about themselves. Leave out anything they have not said.',
+          properties: {
+            name: optional('Customer name'),
+            email: optional('Email address'),
+            company: optional('Company or business name'),
+            business_type: optional('Industry, e.g. real estate, travel, clinic'),
+            city: optional('City or location'),
+            budget: optional('Budget, as stated'),
+            timeline: optional('When they want to start'),
+            team_size: optional('Team or business size, as stated')
+          }
+        }
+      },
+      required: ['reply', 'urgency', 'next_action', 'intent']
+    }
+  };
+}
+
+/**
+ * Find a label in the button catalogue
+ * Matches regardless of case, surrounding brackets, quotes and trailing punctuation.
+ * @param {string} suggestion - Label as Claude wrote it
+ * @param {Array<string>} allowedButtons - Labels from getButtonCatalogue()
+ * @returns {string|null} Catalogue label, or null if it is not in the catalogue
+ */
+export function matchButton(suggestion, allowedButtons = []) {
+  const label = normaliseLabel(suggestion).toLowerCase();
+  return allowedButtons.find(button => button.toLowerCase() === label) || null;
+}
+
+/**
+ * Button label without brackets, quotes and trailing punctuation
+ * @param {string} suggestion - Label as Claude wrote it
+ * @returns {string} Label ('' if nothing is left)
+ */
+export function normaliseLabel(suggestion) {
+  return String(suggestion || '').trim().replace(/^[[("'“*]+|[\])"'”*.!]+$/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate the input of a reply_to_customer call
+ * Invalid optional fields are replaced with defaults and reported in `issues`;
+ * without a usable reply text the result is null.
+ * @param {object} input - Tool input from Claude
+ * @param {Array<string>} allowedButtons - Labels from getButtonCatalogue()
+ * @returns {object} { reply, issues } - reply is { text, buttons, list, urgency, nextAction, intent, leadFields } or null
+ */
+export function readReplyToolInput(input, allowedButtons = []) {
+  const strict = replySchema.safeParse(input);
+  const issues = strict.success
+    ? []
+    : strict.error.issues.map(issue => `${issue.path.join('.') || 'input'}: ${issue.message}`);
+
+  const repaired = strict.success ? strict : repairSchema.safeParse(input);
+  if (!repaired.success) {
+    return { reply: null, issues };
+  }
+
+  const data = repaired.data;
+  const buttons = [];
+  for (const suggestion of data.buttons || []) {
+    const button = matchButton(suggestion, allowedButtons);
+    if (button) {
+      buttons.push(button);
+    } else {
+      issues.push(`buttons: '${suggestion}' is not in the button catalogue`);
+    }
+  }
+
+  const leadFields = Object.fromEntries(
+    Object.entries(data.lead_fields || {}).filter(([, value]) => value !== undefined)
+  );
+
+  if (issues.length > 0) {
+    logger.warn('Repaired structured reply from Claude', { issues });
+  }
+
+  return {
+    reply: {
+      text: data.reply,
+      buttons: buttons.slice(0, 1),
+      list: data.list
+        ? {
+            buttonText: data.list.button_text,
+            options: data.list.options.map((option, index) => ({
+              id: `row_${index + 1}`,
+              title: option.title,
+              ...(option.description && { description: option.description })
+            }))
+          }
+        : null,
+      urgency: data.urgency,
+      nextAction: data.next_action,
+      intent: data.intent,
+      leadFields
+    },
+    issues
+  };
+}
@@ -1,5 +1,17 @@
 import { logger } from '../utils/logger.js';
 
+// Meta body limits: text messages / interactive (button) messages
+export const TEXT_BODY_LIMIT = 4096;
+export const INTERACTIVE_BODY_LIMIT = 1024;
+
+// Preferred split points, best first, and what rejoins pieces within a chunk
+const SPLIT_BOUNDARIES = [
+  { pattern: /\n{2,}/, joiner: '\n\n' }, // paragraphs
+  { pattern: /\n/, joiner: '\n' }, // lines
+  { pattern: /(?<=[.!?])\s+/, joiner: ' ' }, // sentences
+  { pattern: /\s+/, joiner: ' ' } // words
+];
+
 /**
  * Clean and format text for WhatsApp
  * Preserves WhatsApp formatting: *bold*, _italic_, ~strikethrough~
@@ -28,8 +40,10 @@ function cleanWhatsAppText(text) {
 
 /**
  * Format response for WhatsApp Business API
+ * list ({ buttonText, options: [{ id, title, description }] }) is used when
+ * responseType is 'text_with_list'.
  */
-export function formatWhatsAppResponse(text, responseType, buttons = [], metadata = {}) {
+export function formatWhatsAppResponse(text, responseType, buttons = [], metadata = {}, list = null) {
   // Clean the text before formatting
   const cleanedText = cleanWhatsAppText(text);
   
@@ -74,6 +88,12 @@ export function formatWhatsAppResponse(text, responseType, buttons = [], metadat
     };
   }
 
+  // Add a list of options (e.g. time slots) instead of buttons
+  if (list && responseType === 'text_with_list') {
+    basePayload.type = 'interactive';
+    basePayload.interactive = formatListResponse(cleanedText, list.options, list.buttonText).interactive;
+  }
+
   // Add metadata
   if (Object.keys(metadata).length > 0) {
     basePayload.metadata = metadata;
@@ -82,6 +102,95 @@ export function formatWhatsAppResponse(text, responseType, buttons = [], metadat
   return basePayload;
 }
 
+/**
+ * Split text on the best available boundary, packing pieces into chunks
+ */
+function splitOnBoundaries(text, maxLength, level) {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  if (level >= SPLIT_BOUNDARIES.length) {
+    // A single word longer than the limit (e.g. a URL) - hard cut
+    const pieces = [];
+    for (let start = 0; start < text.length; start += maxLength) {
+      pieces.push(text.slice(start, start + maxLength));
+    }
+    return pieces;
+  }
+
+  const { pattern, joiner } = SPLIT_BOUNDARIES[level];
+  const chunks = [];
+  let current = '';
+
+  for (const piece of text.split(pattern).map(item => item.trim()).filter(Boolean)) {
+    const parts = splitOnBoundaries(piece, maxLength, level + 1);
+
+    parts.forEach((part, index) => {
+      // Only a piece's first part follows this level's separator
+      const joined = current && index === 0 ? `${current}${joiner}${part}` : null;
+      if (joined && joined.length <= maxLength) {
+        current = joined;
+      } else {
+        if (current) chunks.push(current);
+        current = part;
+      }
+    });
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split a reply into ordered chunks that each fit in one WhatsApp message
+ * Splits on paragraphs, then lines, sentences and words.
+ * @param {string} text - Reply text
+ * @param {object} options - { maxLength, lastMaxLength } - lastMaxLength is for a final
+ *   chunk that carries buttons (INTERACTIVE_BODY_LIMIT)
+ * @returns {Array<string>} Chunks, in sending order
+ */
+export function splitMessageText(text, { maxLength = TEXT_BODY_LIMIT, lastMaxLength = maxLength } = {}) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return [];
+
+  const chunks = splitOnBoundaries(trimmed, maxLength, 0);
+  const last = chunks[chunks.length - 1];
+  if (last.length > lastMaxLength) {
+    chunks.splice(chunks.length - 1, 1, ...splitOnBoundaries(last, lastMaxLength, 0));
+  }
+
+  if (chunks.length > 1) {
+    logger.info('Split long reply into several WhatsApp messages', { length: trimmed.length, chunks: chunks.length });
+  }
+
+  return chunks;
+}
+
+/**
+ * Format a reply as one or more WhatsApp messages
+ * Long text is split (see splitMessageText) and buttons or a list go on the last message only.
+ * @returns {Array<object>} Payloads, in sending order
+ */
+export function formatWhatsAppMessages(text, responseType, buttons = [], metadata = {}, list = null) {
+  const withButtons = buttons.length > 0 && responseType === 'text_with_buttons';
+  const withList = Boolean(list) && responseType === 'text_with_list';
+  const chunks = splitMessageText(cleanWhatsAppText(text), {
+    lastMaxLength: withButtons || withList ? INTERACTIVE_BODY_LIMIT : TEXT_BODY_LIMIT
+  });
+
+  return chunks.map((chunk, index) => {
+    const isLast = index === chunks.length - 1;
+    return formatWhatsAppResponse(
+      chunk,
+      isLast ? responseType : 'text_only',
+      isLast ? buttons : [],
+      chunks.length > 1 ? { ...metadata, part: index + 1, parts: chunks.length } : metadata,
+      isLast ? list : null
+    );
+  });
+}
+
 /**
  * Format carousel response (for property listings)
  */
@@ -1,4 +1,16 @@
+import { supabaseAdmin } from '../config/supabase.js';
 import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { updateLeadBooking } from './customerService.js';
+
+/**
+ * Demo call scheduling
+ *
+ * Slots come from the brand's booking hours (BOOKING_* env vars) in
+ * BOOKING_TIMEZONE, minus confirmed rows in the bookings table. Claude books,
+ * moves and cancels them through the booking tools (bookingTools.js), and the
+ * lead's current booking is copied to all_leads.unified_context.
+ */
 
 /**
  * Generate booking link for calendar integration
@@ -32,23 +44,408 @@ export async function generateBookingLink(customerId, type = 'consultation_call'
   }
 }
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Booking hours, from the environment
+ * @returns {object} { timeZone, openTime, closeTime, days, slotMinutes, minNoticeMinutes, horizonDays }
+ */
+export function getBookingConfig() {
+  const [openTime = '10:00', closeTime = '19:00'] = (process.env.BOOKING_HOURS || '10:00-19:00').split('-').map(value => value.trim());
+
+  return {
+    timeZone: process.env.BOOKING_TIMEZONE || 'Asia/Kolkata',
+    openTime,
+    closeTime,
+    // 0 = Sunday
+    days: (process.env.BOOKING_DAYS || '1,2,3,4,5,6').split(',').map(value => parseInt(value, 10)),
+    slotMinutes: parseInt(process.env.BOOKING_SLOT_MINUTES || '30', 10),
+    minNoticeMinutes: parseInt(process.env.BOOKING_MIN_NOTICE_MINUTES || '60', 10),
+    horizonDays: parseInt(process.env.BOOKING_HORIZON_DAYS || '30', 10)
+  };
+}
+
+/**
+ * Calendar date, time and weekday of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {object} { date: 'YYYY-MM-DD', time: 'HH:MM', weekday (0 = Sunday) }
+ */
+export function toZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/**
+ * The instant a wall-clock date and time in a time zone refers to
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM' (24 hour)
+ * @param {string} timeZone - IANA zone
+ * @returns {Date} Instant
+ */
+export function fromZonedTime(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  const offsetAt = instant => {
+    const parts = toZonedParts(new Date(instant), timeZone);
+    const [zonedYear, zonedMonth, zonedDay] = parts.date.split('-').map(Number);
+    const [zonedHour, zonedMinute] = parts.time.split(':').map(Number);
+    return Date.UTC(zonedYear, zonedMonth - 1, zonedDay, zonedHour, zonedMinute) - Math.floor(instant / 60000) * 60000;
+  };
+
+  // Second pass corrects for a DST change between the guess and the answer
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+}
+
+function minutesOf(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+function timeOf(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * '18:00' → '6:00 PM'
+ */
+export function formatTimeLabel(time) {
+  const minutes = minutesOf(time);
+  const hour = Math.floor(minutes / 60) % 12 || 12;
+  return `${hour}:${String(minutes % 60).padStart(2, '0')} ${minutes >= 720 ? 'PM' : 'AM'}`;
+}
+
+/**
+ * Normalise a time Claude or a customer gave ('6pm', '18:00', '6:30 PM') to 'HH:MM'
+ * @param {string} value - Time
+ * @returns {string|null} 'HH:MM', or null if it is not a time
+ */
+export function normaliseTime(value) {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] || '00';
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = hour % 12 + (match[3] === 'pm' ? 12 : 0);
+  }
+
+  const time = `${String(hour).padStart(2, '0')}:${minute}`;
+  return TIME_PATTERN.test(time) ? time : null;
+}
+
+/**
+ * All slots of a day, with the ones already taken or too soon left out
+ * @param {string} date - 'YYYY-MM-DD' in the booking time zone
+ * @param {object} config - From getBookingConfig()
+ * @param {Array<string>} bookedStarts - start_at of confirmed bookings that day (ISO)
+ * @param {Date} now - Current time
+ * @returns {Array<object>} Free slots ({ date, time, label, startAt, endAt })
+ */
+export function buildDaySlots(date, config, bookedStarts = [], now = new Date()) {
+  const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+  if (!config.days.includes(weekday)) return [];
+
+  const booked = new Set(bookedStarts.map(start => new Date(start).getTime()));
+  const earliest = now.getTime() + config.minNoticeMinutes * 60000;
+  const slots = [];
+
+  for (let start = minutesOf(config.openTime); start + config.slotMinutes <= minutesOf(config.closeTime); start += config.slotMinutes) {
+    const time = timeOf(start);
+    const startAt = fromZonedTime(date, time, config.timeZone);
+    if (startAt.getTime() < earliest || booked.has(startAt.getTime())) continue;
+
+    slots.push({
+      date,
+      time,
+      label: formatTimeLabel(time),
+      startAt: startAt.toISOString(),
+      endAt: new Date(startAt.getTime() + config.slotMinutes * 60000).toISOString()
+    });
+  }
+
+  return slots;
+}
+
+function assertBookableDate(date, config, now = new Date()) {
+  if (!DATE_PATTERN.test(date || '') || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+    const error = new AppError('Date must be YYYY-MM-DD', 400);
+    error.code = 'INVALID_SLOT';
+    throw error;
+  }
+
+  const today = toZonedParts(now, config.timeZone).date;
+  const lastDay = toZonedParts(new Date(now.getTime() + config.horizonDays * 86400000), config.timeZone).date;
+  if (date < today || date > lastDay) {
+    const error = new AppError(`Bookings can be made from ${today} to ${lastDay}`, 400);
+    error.code = 'INVALID_SLOT';
+    throw error;
+  }
+}
+
+async function getBookedStarts(brand, date, config, { excludeBookingId } = {}) {
+  const dayStart = fromZonedTime(date, '00:00', config.timeZone);
+  const dayEnd = new Date(dayStart.getTime() + 86400000);
+
+  let query = supabaseAdmin
+    .from('bookings')
+    .select('id, start_at')
+    .eq('brand', brand)
+    .eq('status', 'confirmed')
+    .gte('start_at', dayStart.toISOString())
+    .lt('start_at', dayEnd.toISOString());
+
+  if (excludeBookingId) query = query.neq('id', excludeBookingId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(row => row.start_at);
+}
+
+/**
+ * Free slots on a day, and whether a given time is one of them
+ * @param {object} request - { brand, date ('YYYY-MM-DD'), time (optional, e.g. '18:00' or '6pm') }
+ * @returns {Promise<object>} { date, timezone, available (when time is given), slots }
+ */
+export async function checkAvailability({ brand = 'proxe', date, time } = {}) {
+  const config = getBookingConfig();
+  assertBookableDate(date, config);
+
+  const slots = buildDaySlots(date, config, await getBookedStarts(brand, date, config));
+  const result = { date, timezone: config.timeZone, slots };
+
+  if (time) {
+    const normalised = normaliseTime(time);
+    result.time = normalised || time;
+    result.available = !!normalised && slots.some(slot => slot.time === normalised);
+  }
+
+  return result;
+}
+
 /**
  * Get available time slots
- * OPEN INTEGRATION: Connect to actual calendar system
+ * @param {string} date - 'YYYY-MM-DD' (defaults to today in the booking time zone)
+ * @param {string} brand - Brand whose calendar to check
+ * @returns {Promise<object>} { date, timezone, slots: ['06:00 PM - 06:30 PM', ...] }
+ */
+export async function getAvailableTimeSlots(date = null, brand = 'proxe') {
+  const day = date || toZonedParts(new Date(), getBookingConfig().timeZone).date;
+  const { timezone, slots } = await checkAvailability({ brand, date: day });
+
+  const label = iso => new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(new Date(iso));
+
+  return {
+    date: day,
+    timezone,
+    slots: slots.map(slot => `${label(slot.startAt)} - ${label(slot.endAt)}`)
+  };
+}
+
+/**
+ * A free slot, or a 409 SLOT_UNAVAILABLE error listing the free times that day
  */
-export async function getAvailableTimeSlots(date = null) {
-  // TODO: Query actual calendar system for available slots
+async function findFreeSlot(brand, date, time, config, options) {
+  assertBookableDate(date, config);
+
+  const normalised = normaliseTime(time);
+  if (!normalised) {
+    const error = new AppError(`'${time}' is not a time`, 400);
+    error.code = 'INVALID_SLOT';
+    throw error;
+  }
+
+  const slots = buildDaySlots(date, config, await getBookedStarts(brand, date, config, options));
+  const slot = slots.find(candidate => candidate.time === normalised);
+  if (!slot) {
+    const error = new AppError(`${formatTimeLabel(normalised)} on ${date} is not available`, 409);
+    error.code = 'SLOT_UNAVAILABLE';
+    error.details = slots.map(candidate => candidate.label);
+    throw error;
+  }
+
+  return slot;
+}
+
+function slotTakenError(slot) {
+  const error = new AppError(`${slot.label} on ${slot.date} was just taken`, 409);
+  error.code = 'SLOT_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * A bookings row as returned to callers and stored on the lead
+ */
+function formatBooking(row) {
+  const zoned = toZonedParts(new Date(row.start_at), row.timezone);
   return {
-    date: date || new Date().toISOString().split('T')[0],
-    slots: [
-      '09:00 AM - 10:00 AM',
-      '10:00 AM - 11:00 AM',
-      '02:00 PM - 3:00 PM',
-      '03:00 PM - 4:00 PM',
-      '04:00 PM - 5:00 PM'
-    ]
+    id: row.id,
+    leadId: row.lead_id,
+    brand: row.brand,
+    type: row.type,
+    status: row.status,
+    date: zoned.date,
+    time: zoned.time,
+    label: `${zoned.date} at ${formatTimeLabel(zoned.time)}`,
+    timezone: row.timezone,
+    startAt: row.start_at,
+    endAt: row.end_at
   };
 }
 
+/**
+ * The lead's next confirmed booking
+ * @param {string} leadId - Lead UUID
+ * @returns {Promise<object|null>} Booking, or null
+ */
+export async function getUpcomingBooking(leadId) {
+  const { data, error } = await supabaseAdmin
+    .from('bookings')
+    .select('*')
+    .eq('lead_id', leadId)
+    .eq('status', 'confirmed')
+    .gte('start_at', new Date().toISOString())
+    .order('start_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? formatBooking(data) : null;
+}
+
+async function requireUpcomingBooking(leadId) {
+  const booking = await getUpcomingBooking(leadId);
+  if (!booking) {
+    const error = new AppError('No upcoming booking found', 404);
+    error.code = 'BOOKING_NOT_FOUND';
+    throw error;
+  }
+  return booking;
+}
+
+/**
+ * Book a demo call
+ * @param {string} leadId - Lead UUID
+ * @param {object} request - { brand, date ('YYYY-MM-DD'), time, type, notes }
+ * @returns {Promise<object>} Booking
+ */
+export async function createBooking(leadId, { brand = 'proxe', date, time, type = 'demo_call', notes = null } = {}) {
+  const existing = await getUpcomingBooking(leadId);
+  if (existing) {
+    const error = new AppError(`Lead already has a booking on ${existing.label} - reschedule it instead`, 409);
+    error.code = 'BOOKING_EXISTS';
+    throw error;
+  }
+
+  const config = getBookingConfig();
+  const slot = await findFreeSlot(brand, date, time, config);
+
+  const { data, error } = await supabaseAdmin
+    .from('bookings')
+    .insert({
+      lead_id: leadId,
+      brand,
+      type,
+      start_at: slot.startAt,
+      end_at: slot.endAt,
+      timezone: config.timeZone,
+      notes
+    })
+    .select()
+    .single();
+
+  // 23505 = unique_violation: someone else booked the slot meanwhile
+  if (error?.code === '23505') throw slotTakenError(slot);
+  if (error) throw error;
+
+  const booking = formatBooking(data);
+  await updateLeadBooking(leadId, booking);
+  logger.info(`Booked ${type} for lead ${leadId} on ${booking.label}`, { bookingId: booking.id });
+  return booking;
+}
+
+/**
+ * Move the lead's upcoming booking to another slot
+ * @param {string} leadId - Lead UUID
+ * @param {object} request - { date ('YYYY-MM-DD'), time }
+ * @returns {Promise<object>} Booking
+ */
+export async function rescheduleBooking(leadId, { date, time } = {}) {
+  const current = await requireUpcomingBooking(leadId);
+  const config = getBookingConfig();
+  const slot = await findFreeSlot(current.brand, date, time, config, { excludeBookingId: current.id });
 
+  const { data, error } = await supabaseAdmin
+    .from('bookings')
+    .update({
+      start_at: slot.startAt,
+      end_at: slot.endAt,
+      timezone: config.timeZone,
+      rescheduled_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', current.id)
+    .select()
+    .single();
 
+  if (error?.code === '23505') throw slotTakenError(slot);
+  if (error) throw error;
+
+  const booking = formatBooking(data);
+  await updateLeadBooking(leadId, booking);
+  logger.info(`Rescheduled booking ${booking.id} from ${current.label} to ${booking.label}`);
+  return booking;
+}
+
+/**
+ * Cancel the lead's upcoming booking
+ * @param {string} leadId - Lead UUID
+ * @param {object} request - { reason }
+ * @returns {Promise<object>} Booking (status 'cancelled')
+ */
+export async function cancelBooking(leadId, { reason = null } = {}) {
+  const current = await requireUpcomingBooking(leadId);
+
+  const { data, error } = await supabaseAdmin
+    .from('bookings')
+    .update({
+      status: 'cancelled',
+      cancel_reason: reason,
+      cancelled_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', current.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const booking = formatBooking(data);
+  await updateLeadBooking(leadId, booking);
+  logger.info(`Cancelled booking ${booking.id} for lead ${leadId}`, { reason });
+  return booking;
+}
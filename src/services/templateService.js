@@ -0,0 +1,421 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getGraphApiUrl } from '../config/meta.js';
+import { getWhatsAppNumbers, resolveWhatsAppNumber } from '../config/brands.js';
+import { enqueueJob, registerJobHandler } from './jobQueueService.js';
+
+/**
+ * Message template registry
+ *
+ * Templates are synced from each WhatsApp Business Account in the brand
+ * registry (wabaId) into message_templates: name, language, category, status
+ * and Meta's components. Template sends are checked against it before they
+ * reach Meta - the template must exist and be APPROVED, and the header, body
+ * and button parameters must match its {{placeholders}}. Numbers without a
+ * wabaId, or a WABA that was never synced, send unchecked.
+ *
+ * Meta's message_template_status_update webhooks (approved, rejected,
+ * paused, disabled) are queued as 'template_status' jobs and update the row;
+ * a template we haven't seen triggers a sync of its WABA.
+ */
+
+const TEMPLATE_FIELDS = 'id,name,language,category,status,components,parameter_format,rejected_reason';
+const SYNC_PAGE_SIZE = 100;
+
+// Body parameter types Meta accepts (header text only takes 'text')
+const BODY_PARAMETER_TYPES = ['text', 'currency', 'date_time'];
+const MEDIA_HEADER_FORMATS = ['image', 'video', 'document'];
+
+/**
+ * Distinct {{placeholders}} in a template text, in order of appearance
+ */
+function placeholders(text, named) {
+  const pattern = named ? /\{\{\s*([a-z_][a-z0-9_]*)\s*\}\}/g : /\{\{\s*(\d+)\s*\}\}/g;
+  return [...new Set([...String(text || '').matchAll(pattern)].map(match => match[1]))];
+}
+
+/**
+ * Parameters a template expects, from Meta's components
+ * @param {object} template - Registry row ({ components, parameter_format })
+ * @returns {object} { named, header: { format, keys } | null, body: keys, buttons: [{ index, subType, type }] }
+ */
+export function getTemplateRequirements(template) {
+  const named = template.parameter_format === 'NAMED';
+  const requirements = { named, header: null, body: [], buttons: [] };
+
+  for (const component of template.components || []) {
+    switch (component.type) {
+      case 'HEADER': {
+        const format = (component.format || 'TEXT').toLowerCase();
+        if (format === 'text') {
+          const keys = placeholders(component.text, named);
+          if (keys.length > 0) requirements.header = { format, keys };
+        } else {
+          requirements.header = { format, keys: [null] };
+        }
+        break;
+      }
+      case 'BODY':
+        requirements.body = placeholders(component.text, named);
+        break;
+      case 'BUTTONS':
+        (component.buttons || []).forEach((button, index) => {
+          if (button.type === 'URL' && placeholders(button.url, false).length > 0) {
+            requirements.buttons.push({ index, subType: 'url', type: 'text' });
+          } else if (button.type === 'COPY_CODE') {
+            requirements.buttons.push({ index, subType: 'copy_code', type: 'coupon_code' });
+          }
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  return requirements;
+}
+
+/**
+ * Check a send's template components against the registered template
+ * @param {object} template - Registry row
+ * @param {Array<object>} components - Graph API template.components being sent
+ * @returns {Array<string>} Problems (empty if the parameters fit)
+ */
+export function validateTemplateParameters(template, components = []) {
+  const problems = [];
+  const requirements = getTemplateRequirements(template);
+  const sent = type => components.filter(component => String(component.type).toLowerCase() === type);
+
+  const checkText = (param, label) => {
+    if (typeof param.text !== 'string' || param.text.trim() === '') {
+      problems.push(`${label} text is required`);
+    } else if (/[\n\t]| {5,}/.test(param.text)) {
+      problems.push(`${label} may not contain new lines, tabs or more than 4 consecutive spaces`);
+    }
+  };
+
+  const checkParameters = (section, keys, params, allowedTypes) => {
+    if (params.length !== keys.length) {
+      problems.push(`${section} expects ${keys.length} parameter(s), got ${params.length}`);
+      return;
+    }
+
+    params.forEach((param, index) => {
+      const label = `${section} parameter ${requirements.named ? `'${param.parameter_name}'` : index + 1}`;
+      if (!allowedTypes.includes(param.type)) {
+        problems.push(`${label} must be of type ${allowedTypes.join(' or ')} (got ${param.type})`);
+        return;
+      }
+      if (param.type === 'text') checkText(param, label);
+      if (MEDIA_HEADER_FORMATS.includes(param.type) && !param[param.type]?.id && !param[param.type]?.link) {
+        problems.push(`${label} needs a ${param.type} id or link`);
+      }
+    });
+
+    if (requirements.named && keys[0] !== null) {
+      const names = params.map(param => param.parameter_name);
+      const missing = keys.filter(key => !names.includes(key));
+      if (missing.length > 0) problems.push(`${section} is missing named parameter(s): ${missing.join(', ')}`);
+    }
+  };
+
+  const header = requirements.header;
+  const headerParams = sent('header').flatMap(component => component.parameters || []);
+  if (header) {
+    const allowed = header.format === 'text' ? ['text'] : [header.format];
+    checkParameters('header', header.keys, headerParams, allowed);
+  } else if (headerParams.length > 0) {
+    problems.push('header expects no parameters');
+  }
+
+  const bodyParams = sent('body').flatMap(component => component.parameters || []);
+  checkParameters('body', requirements.body, bodyParams, BODY_PARAMETER_TYPES);
+
+  const buttonComponents = sent('button');
+  for (const button of requirements.buttons) {
+    const component = buttonComponents.find(item => String(item.index) === String(button.index));
+    if (!component) {
+      problems.push(`button ${button.index} (${button.subType}) needs a parameter`);
+      continue;
+    }
+    if (component.sub_type !== button.subType) {
+      problems.push(`button ${button.index} must have sub_type ${button.subType} (got ${component.sub_type})`);
+    }
+    checkParameters(`button ${button.index}`, [null], component.parameters || [], [button.type]);
+  }
+  for (const component of buttonComponents) {
+    if (!requirements.buttons.some(button => String(button.index) === String(component.index))) {
+      problems.push(`button ${component.index} expects no parameters`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Registry row for a template
+ * @param {string} wabaId - WhatsApp Business Account ID
+ * @param {string} name - Template name
+ * @param {string} language - Language code (e.g. 'en', 'en_US')
+ * @returns {Promise<object|null>} Registry row
+ */
+export async function findTemplate(wabaId, name, language) {
+  const { data, error } = await supabaseAdmin
+    .from('message_templates')
+    .select('*')
+    .eq('waba_id', wabaId)
+    .eq('name', name)
+    .eq('language', language)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function hasSyncedTemplates(wabaId) {
+  const { count, error } = await supabaseAdmin
+    .from('message_templates')
+    .select('id', { count: 'exact', head: true })
+    .eq('waba_id', wabaId);
+
+  if (error) throw error;
+  return count > 0;
+}
+
+/**
+ * Refuse template sends Meta would reject
+ * @param {object} template - Graph API payload template ({ name, language: { code }, components })
+ * @param {object} credentials - Number sending it ({ phoneNumberId })
+ * @returns {Promise<object|null>} Registry row, or null when the send wasn't checked
+ * @throws {AppError} 400 TEMPLATE_NOT_FOUND / INVALID_TEMPLATE_PARAMETERS, 422 TEMPLATE_NOT_APPROVED
+ */
+export async function checkTemplateSend(template, { phoneNumberId } = {}) {
+  const wabaId = resolveWhatsAppNumber({ phoneNumberId })?.wabaId;
+  if (!wabaId) return null;
+
+  const name = template?.name;
+  const language = template?.language?.code;
+  let record;
+  try {
+    record = await findTemplate(wabaId, name, language);
+    if (!record && !(await hasSyncedTemplates(wabaId))) {
+      logger.warn('Template registry not synced - sending template unchecked', { wabaId, name });
+      return null;
+    }
+  } catch (error) {
+    // Registry unavailable - Meta still validates the send
+    logger.warn('Could not check template registry', { wabaId, name, error: error.message });
+    return null;
+  }
+
+  if (!record) {
+    const error = new AppError(`Template ${name} (${language}) does not exist in the WhatsApp Business Account`, 400);
+    error.code = 'TEMPLATE_NOT_FOUND';
+    error.details = { name, language, wabaId };
+    throw error;
+  }
+
+  if (record.status !== 'APPROVED') {
+    const error = new AppError(`Template ${name} (${language}) is ${record.status}, not APPROVED`, 422);
+    error.code = 'TEMPLATE_NOT_APPROVED';
+    error.details = { name, language, status: record.status, reason: record.rejected_reason || null };
+    throw error;
+  }
+
+  const problems = validateTemplateParameters(record, template.components || []);
+  if (problems.length > 0) {
+    const error = new AppError(`Invalid parameters for template ${name}: ${problems.join('; ')}`, 400);
+    error.code = 'INVALID_TEMPLATE_PARAMETERS';
+    error.details = problems;
+    throw error;
+  }
+
+  return record;
+}
+
+/**
+ * WABAs in the brand registry, each with a token that can read it
+ */
+function getBusinessAccounts() {
+  const accounts = new Map();
+  for (const number of getWhatsAppNumbers()) {
+    if (number.wabaId && number.accessToken && !accounts.has(number.wabaId)) {
+      accounts.set(number.wabaId, { wabaId: number.wabaId, accessToken: number.accessToken });
+    }
+  }
+  return [...accounts.values()];
+}
+
+async function fetchTemplates(wabaId, accessToken) {
+  const templates = [];
+  let url = getGraphApiUrl(`${wabaId}/message_templates?fields=${TEMPLATE_FIELDS}&limit=${SYNC_PAGE_SIZE}`);
+
+  while (url) {
+    const response = await fetch(url, { headers: { 'Authorization': `Bearer ${accessToken}` } });
+    const responseData = await response.json();
+
+    if (!response.ok) {
+      const error = new AppError(`WhatsApp API error: ${responseData.error?.message || response.statusText}`, 502);
+      error.code = 'WHATSAPP_API_ERROR';
+      error.metaCode = responseData.error?.code || null;
+      error.httpStatus = response.status;
+      throw error;
+    }
+
+    templates.push(...(responseData.data || []));
+    url = responseData.paging?.next || null;
+  }
+
+  return templates;
+}
+
+/**
+ * Pull every template from Meta into message_templates
+ * Templates deleted in Meta are kept with status DELETED.
+ * @param {object} options - { wabaId } to sync one account (default: all in the brand registry)
+ * @returns {Promise<Array<object>>} Per account: { wabaId, synced, deleted }
+ */
+export async function syncTemplates({ wabaId } = {}) {
+  const accounts = getBusinessAccounts().filter(account => !wabaId || account.wabaId === String(wabaId));
+  if (wabaId && accounts.length === 0) {
+    throw new AppError(`WhatsApp Business Account ${wabaId} is not in the brand registry`, 404);
+  }
+
+  const results = [];
+  for (const account of accounts) {
+    const templates = await fetchTemplates(account.wabaId, account.accessToken);
+    const syncedAt = new Date().toISOString();
+
+    if (templates.length > 0) {
+      const { error } = await supabaseAdmin
+        .from('message_templates')
+        .upsert(templates.map(template => ({
+          waba_id: account.wabaId,
+          meta_template_id: template.id,
+          name: template.name,
+          language: template.language,
+          category: template.category || null,
+          status: template.status,
+          components: template.components || [],
+          parameter_format: template.parameter_format || 'POSITIONAL',
+          rejected_reason: template.rejected_reason && template.rejected_reason !== 'NONE' ? template.rejected_reason : null,
+          synced_at: syncedAt,
+          updated_at: syncedAt
+        })), { onConflict: 'waba_id,name,language' });
+
+      if (error) throw error;
+    }
+
+    // Anything Meta no longer lists was deleted there
+    const { data: deleted, error: deleteError } = await supabaseAdmin
+      .from('message_templates')
+      .update({ status: 'DELETED', updated_at: syncedAt })
+      .eq('waba_id', account.wabaId)
+      .neq('status', 'DELETED')
+      .lt('synced_at', syncedAt)
+      .select('id');
+
+    if (deleteError) throw deleteError;
+
+    logger.info('Message templates synced', { wabaId: account.wabaId, synced: templates.length, deleted: deleted?.length || 0 });
+    results.push({ wabaId: account.wabaId, synced: templates.length, deleted: deleted?.length || 0 });
+  }
+
+  return results;
+}
+
+/**
+ * List registered templates
+ * @param {object} filters - { wabaId, status, category, name, language, limit }
+ * @returns {Promise<Array<object>>} Registry rows
+ */
+export async function listTemplates({ wabaId, status, category, name, language, limit = 100 } = {}) {
+  let query = supabaseAdmin
+    .from('message_templates')
+    .select('*')
+    .order('name', { ascending: true })
+    .limit(limit);
+
+  if (wabaId) query = query.eq('waba_id', wabaId);
+  if (status) query = query.eq('status', status);
+  if (category) query = query.eq('category', category);
+  if (name) query = query.eq('name', name);
+  if (language) query = query.eq('language', language);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * A registered template with the parameters it expects
+ * @param {string} templateId - Registry row ID
+ * @returns {Promise<object|null>} Row plus requirements
+ */
+export async function getTemplate(templateId) {
+  const { data, error } = await supabaseAdmin
+    .from('message_templates')
+    .select('*')
+    .eq('id', templateId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? { ...data, requirements: getTemplateRequirements(data) } : null;
+}
+
+/**
+ * Queue a message_template_status_update webhook
+ * @param {string} wabaId - entry[].id of the webhook
+ * @param {object} value - changes[].value
+ * @returns {Promise<object>} Queued job
+ */
+export async function queueTemplateStatusUpdate(wabaId, value) {
+  return enqueueJob('template_status', { wabaId: String(wabaId), ...value }, {
+    groupKey: `template:${wabaId}:${value.message_template_id}`
+  });
+}
+
+/**
+ * Job handler: apply a template status webhook
+ * @param {object} payload - { wabaId, event, message_template_id, message_template_name, message_template_language, reason }
+ */
+async function recordTemplateStatusUpdate(payload) {
+  const { wabaId, event, reason } = payload;
+
+  const { data, error } = await supabaseAdmin
+    .from('message_templates')
+    .update({
+      status: event,
+      rejected_reason: reason && reason !== 'NONE' ? reason : null,
+      status_updated_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('waba_id', wabaId)
+    .eq('meta_template_id', String(payload.message_template_id))
+    .select('id');
+
+  if (error) throw error;
+
+  if (!data?.length) {
+    if (!getBusinessAccounts().some(account => account.wabaId === wabaId)) {
+      logger.warn('Template status update for a WABA not in the brand registry - ignoring', { wabaId });
+      return;
+    }
+
+    // New template - fetch it with its components
+    logger.info('Status update for unknown template - syncing', { wabaId, name: payload.message_template_name });
+    await syncTemplates({ wabaId });
+    return;
+  }
+
+  logger.info('Template status updated', {
+    wabaId,
+    name: payload.message_template_name,
+    language: payload.message_template_language,
+    status: event,
+    reason
+  });
+}
+
+registerJobHandler('template_status', recordTemplateStatusUpdate);
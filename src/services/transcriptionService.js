@@ -0,0 +1,162 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Speech-to-text for WhatsApp voice notes
+ *
+ * A provider is an object with:
+ *   name: string
+ *   transcribe(buffer, { mimeType, language }) -> Promise<{ text, language }>
+ *
+ * TRANSCRIPTION_PROVIDER selects the provider:
+ *   'openai' - OpenAI transcription API (needs OPENAI_API_KEY)
+ *   'stub'   - returns TRANSCRIPTION_STUB_TEXT (tests/local development)
+ *   'none'   - transcription disabled
+ * Defaults to 'stub' under NODE_ENV=test, 'openai' when OPENAI_API_KEY is set, otherwise 'none'.
+ */
+
+const providers = new Map();
+
+// A hung request would hold the inbound job until its lock times out
+const OPENAI_TIMEOUT_MS = parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS) || 30000;
+
+/**
+ * Stub provider - returns a fixed transcript without calling any API
+ * @param {string} text - Transcript to return
+ * @returns {object} Transcription provider
+ */
+export function createStubProvider(text = process.env.TRANSCRIPTION_STUB_TEXT || 'This is a test voice note') {
+  return {
+    name: 'stub',
+    async transcribe(buffer, { language } = {}) {
+      return { text, language: language || 'en' };
+    }
+  };
+}
+
+/**
+ * OpenAI provider - multipart upload to the audio transcription endpoint
+ * WhatsApp voice notes are OGG/Opus, which the API accepts directly.
+ * @returns {object} Transcription provider
+ */
+export function createOpenAIProvider() {
+  return {
+    name: 'openai',
+    async transcribe(buffer, { mimeType, language } = {}) {
+      const apiKey = process.env.OPENAI_API_KEY;
+      if (!apiKey) {
+        throw new Error('OPENAI_API_KEY not configured');
+      }
+
+      const baseType = (mimeType || 'audio/ogg').split(';')[0].trim();
+      const extension = baseType.split('/')[1] || 'ogg';
+
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type: baseType }), `voice-note.${extension}`);
+      form.append('model', process.env.TRANSCRIPTION_MODEL || 'whisper-1');
+      form.append('response_format', 'json');
+      if (language) {
+        form.append('language', language);
+      }
+
+      let response;
+      let data;
+      try {
+        response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${apiKey}` },
+          body: form,
+          signal: AbortSignal.timeout(OPENAI_TIMEOUT_MS)
+        });
+        data = await response.json();
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          throw new Error(`Transcription API timed out after ${OPENAI_TIMEOUT_MS}ms`);
+        }
+        throw error;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Transcription API error: ${data.error?.message || response.statusText}`);
+      }
+
+      return { text: data.text || '', language: data.language || language || null };
+    }
+  };
+}
+
+/**
+ * Register (or replace) a transcription provider
+ * @param {string} name - Provider name used in TRANSCRIPTION_PROVIDER
+ * @param {object} provider - Provider implementing transcribe()
+ */
+export function registerTranscriptionProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+registerTranscriptionProvider('stub', createStubProvider());
+registerTranscriptionProvider('openai', createOpenAIProvider());
+
+/**
+ * Name of the configured provider
+ * @returns {string} Provider name or 'none'
+ */
+function getProviderName() {
+  if (process.env.TRANSCRIPTION_PROVIDER) {
+    return process.env.TRANSCRIPTION_PROVIDER;
+  }
+  if (process.env.NODE_ENV === 'test') {
+    return 'stub';
+  }
+  return process.env.OPENAI_API_KEY ? 'openai' : 'none';
+}
+
+/**
+ * Whether voice notes will be transcribed
+ * @returns {boolean}
+ */
+export function isTranscriptionEnabled() {
+  return getProviderName() !== 'none';
+}
+
+/**
+ * Transcribe an audio buffer with the configured provider
+ * @param {Buffer} buffer - Audio file contents
+ * @param {object} options - Options
+ * @param {string} options.mimeType - Audio MIME type (e.g. 'audio/ogg; codecs=opus')
+ * @param {string} options.language - Optional ISO-639-1 hint (defaults to TRANSCRIPTION_LANGUAGE)
+ * @returns {Promise<object|null>} { text, language, provider, durationMs } or null when disabled
+ */
+export async function transcribeAudio(buffer, { mimeType, language } = {}) {
+  const providerName = getProviderName();
+  if (providerName === 'none') {
+    return null;
+  }
+
+  const provider = providers.get(providerName);
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${providerName}`);
+  }
+
+  const startTime = Date.now();
+  const result = await provider.transcribe(buffer, {
+    mimeType,
+    language: language || process.env.TRANSCRIPTION_LANGUAGE || undefined
+  });
+  const durationMs = Date.now() - startTime;
+
+  const text = (result?.text || '').trim();
+
+  logger.info('Voice note transcribed', {
+    provider: provider.name,
+    durationMs,
+    transcriptLength: text.length,
+    language: result?.language || null
+  });
+
+  return {
+    text,
+    language: result?.language || null,
+    provider: provider.name,
+    durationMs
+  };
+}
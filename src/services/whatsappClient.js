@@ -0,0 +1,725 @@
+import { logger } from '../utils/logger.js';
+import { getGraphApiUrl } from '../config/meta.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { resolveWhatsAppNumber, getWhatsAppNumberForBrand } from '../config/brands.js';
+import { getWhatsAppSessionByExternalId } from './whatsappSessionService.js';
+import { dispatchSend } from './outboundDispatcher.js';
+import { splitMessageText } from './responseFormatter.js';
+import { checkTemplateSend } from './templateService.js';
+import { assertRecipientCanMessage } from './consentService.js';
+
+/**
+ * WhatsApp Cloud API client
+ * Outbound messages to customers, sent from a registered business number.
+ *
+ * sendMessage(to, message, credentials) builds a Graph API payload from a
+ * message description, validates it against Meta's limits and returns the
+ * wamid. sendPayload() sends a ready-made payload (e.g. from
+ * responseFormatter.js) through the same validation.
+ *
+ * Message descriptions:
+ *   { type: 'text', text, previewUrl }
+ *   { type: 'buttons', text, buttons: ['Label' | { id, title }], header, footer }
+ *   { type: 'list', text, buttonText, sections: [{ title, rows: [{ id, title, description }] }], header, footer }
+ *   { type: 'cta_url', text, displayText, url, header, footer }
+ *   { type: 'image', id | link, caption }
+ *   { type: 'document', id | link, caption, filename }
+ *   { type: 'location', latitude, longitude, name, address }
+ *   { type: 'template', name, language, parameters | components }
+ *   { type: 'reaction', messageId, emoji }
+ * Any of them can set replyTo (a wamid) to quote a customer message.
+ *
+ * Customer service window: Meta only accepts free-form (non-template) messages
+ * within 24 hours of the customer's last message (whatsapp_sessions.last_inbound_at).
+ * Outside it, sendMessage() switches to the brand's `windowTemplate` from the
+ * number registry, or refuses with code OUTSIDE_CUSTOMER_SERVICE_WINDOW.
+ *
+ * Every send goes through the outbound dispatcher (outboundDispatcher.js),
+ * which paces it per number and retries it when Meta throttles.
+ *
+ * markAsRead() / startTypingIndicator() show the customer blue ticks and
+ * "typing..." while a reply is being prepared.
+ */
+
+export const CUSTOMER_SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Switch to the template a little early rather than race the deadline
+const WINDOW_SAFETY_MARGIN_MS = 60 * 1000;
+
+// Meta: "Re-engagement message" - sent outside the customer service window
+const META_OUTSIDE_WINDOW_ERROR = 131047;
+
+// Meta hides the typing indicator after 25 seconds, or when we reply
+export const TYPING_INDICATOR_REFRESH_MS = 20 * 1000;
+
+// Meta Cloud API limits (characters unless noted)
+export const WHATSAPP_LIMITS = {
+  textBody: 4096,
+  interactiveBody: 1024,
+  headerText: 60,
+  footerText: 60,
+  replyButtons: 3,
+  buttonTitle: 20,
+  buttonId: 256,
+  listButtonText: 20,
+  listSections: 10,
+  listRows: 10, // across all sections
+  sectionTitle: 24,
+  rowTitle: 24,
+  rowDescription: 72,
+  rowId: 200,
+  ctaDisplayText: 20,
+  caption: 1024,
+  filename: 240,
+  templateName: 512
+};
+
+/**
+ * Reply button ID for a label, as formatWhatsAppResponse() builds it
+ */
+function toButtonId(label, index) {
+  return `btn_${index + 1}_${label.toLowerCase().replace(/\s+/g, '_')}`.slice(0, WHATSAPP_LIMITS.buttonId);
+}
+
+/**
+ * Interactive header: a string becomes a text header, objects are passed through
+ */
+function toHeader(header) {
+  if (!header) return undefined;
+  return typeof header === 'string' ? { type: 'text', text: header } : header;
+}
+
+/**
+ * Build a Graph API payload from a message description
+ * @param {string} to - Recipient phone number
+ * @param {object} message - Message description (see module comment)
+ * @returns {object} Graph API /messages payload (not yet validated)
+ */
+export function buildMessagePayload(to, message) {
+  const base = {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to,
+    ...(message.replyTo && { context: { message_id: message.replyTo } })
+  };
+
+  const interactive = (type, action) => ({
+    ...base,
+    type: 'interactive',
+    interactive: {
+      type,
+      ...(message.header && { header: toHeader(message.header) }),
+      body: { text: message.text },
+      ...(message.footer && { footer: { text: message.footer } }),
+      action
+    }
+  });
+
+  switch (message.type) {
+    case 'text':
+      return { ...base, type: 'text', text: { body: message.text, preview_url: !!message.previewUrl } };
+
+    case 'buttons':
+      return interactive('button', {
+        buttons: (message.buttons || []).map((button, index) => ({
+          type: 'reply',
+          reply: typeof button === 'string'
+            ? { id: toButtonId(button, index), title: button }
+            : { id: button.id || toButtonId(button.title || '', index), title: button.title }
+        }))
+      });
+
+    case 'list':
+      return interactive('list', {
+        button: message.buttonText,
+        sections: (message.sections || []).map(section => ({
+          ...(section.title && { title: section.title }),
+          rows: (section.rows || []).map((row, index) => ({
+            id: row.id || `row_${index + 1}`,
+            title: row.title,
+            ...(row.description && { description: row.description })
+          }))
+        }))
+      });
+
+    case 'cta_url':
+      return interactive('cta_url', {
+        name: 'cta_url',
+        parameters: { display_text: message.displayText, url: message.url }
+      });
+
+    case 'image':
+    case 'document':
+    case 'audio':
+    case 'video':
+    case 'sticker':
+      return {
+        ...base,
+        type: message.type,
+        [message.type]: {
+          ...(message.id ? { id: message.id } : { link: message.link }),
+          ...(message.caption && { caption: message.caption }),
+          ...(message.filename && { filename: message.filename })
+        }
+      };
+
+    case 'location':
+      return {
+        ...base,
+        type: 'location',
+        location: {
+          latitude: message.latitude,
+          longitude: message.longitude,
+          ...(message.name && { name: message.name }),
+          ...(message.address && { address: message.address })
+        }
+      };
+
+    case 'template':
+      return {
+        ...base,
+        type: 'template',
+        template: {
+          name: message.name,
+          language: { code: message.language || 'en' },
+          components: message.components || ((message.parameters || []).length > 0 ? [{
+            type: 'body',
+            parameters: message.parameters.map(param => (typeof param === 'string'
+              ? { type: 'text', text: param }
+              : param))
+          }] : [])
+        }
+      };
+
+    case 'reaction':
+      return {
+        ...base,
+        type: 'reaction',
+        reaction: { message_id: message.messageId, emoji: message.emoji ?? '' }
+      };
+
+    default:
+      return { ...base, type: message.type };
+  }
+}
+
+/**
+ * Check a Graph API payload against Meta's limits
+ * @param {object} payload - /messages payload
+ * @returns {Array<string>} Problems found (empty when the payload is valid)
+ */
+export function validateMessagePayload(payload) {
+  const problems = [];
+  const check = (condition, problem) => {
+    if (!condition) problems.push(problem);
+  };
+  const maxLength = (value, limit, field) => {
+    check(typeof value === 'string' && value.trim().length > 0, `${field} is required`);
+    if (typeof value === 'string') {
+      check(value.length <= limit, `${field} must be at most ${limit} characters (got ${value.length})`);
+    }
+  };
+  const optionalMaxLength = (value, limit, field) => {
+    if (value !== undefined && value !== null) maxLength(value, limit, field);
+  };
+  const unique = (values, field) => {
+    check(new Set(values).size === values.length, `${field} must be unique`);
+  };
+
+  check(typeof payload?.to === 'string' && /^\+?\d{7,15}$/.test(payload.to), 'to must be a phone number in international format');
+
+  switch (payload?.type) {
+    case 'text':
+      maxLength(payload.text?.body, WHATSAPP_LIMITS.textBody, 'text.body');
+      break;
+
+    case 'interactive': {
+      const { interactive = {} } = payload;
+      const action = interactive.action || {};
+
+      if (interactive.type !== 'product_list' && interactive.type !== 'product') {
+        maxLength(interactive.body?.text, WHATSAPP_LIMITS.interactiveBody, 'interactive.body.text');
+      }
+      if (interactive.header?.type === 'text') {
+        maxLength(interactive.header.text, WHATSAPP_LIMITS.headerText, 'interactive.header.text');
+      }
+      optionalMaxLength(interactive.footer?.text, WHATSAPP_LIMITS.footerText, 'interactive.footer.text');
+
+      if (interactive.type === 'button') {
+        const buttons = action.buttons || [];
+        check(buttons.length >= 1 && buttons.length <= WHATSAPP_LIMITS.replyButtons,
+          `interactive buttons must have 1-${WHATSAPP_LIMITS.replyButtons} buttons (got ${buttons.length})`);
+        buttons.forEach((button, index) => {
+          maxLength(button.reply?.id, WHATSAPP_LIMITS.buttonId, `button ${index + 1} id`);
+          maxLength(button.reply?.title, WHATSAPP_LIMITS.buttonTitle, `button ${index + 1} title`);
+        });
+        unique(buttons.map(button => button.reply?.id), 'button ids');
+        unique(buttons.map(button => button.reply?.title), 'button titles');
+      } else if (interactive.type === 'list') {
+        const sections = action.sections || [];
+        const rows = sections.flatMap(section => section.rows || []);
+        maxLength(action.button, WHATSAPP_LIMITS.listButtonText, 'list button text');
+        check(sections.length >= 1 && sections.length <= WHATSAPP_LIMITS.listSections,
+          `list must have 1-${WHATSAPP_LIMITS.listSections} sections (got ${sections.length})`);
+        check(rows.length >= 1 && rows.length <= WHATSAPP_LIMITS.listRows,
+          `list must have 1-${WHATSAPP_LIMITS.listRows} rows in total (got ${rows.length})`);
+        sections.forEach((section, index) => {
+          if (sections.length > 1 || section.title !== undefined) {
+            maxLength(section.title, WHATSAPP_LIMITS.sectionTitle, `section ${index + 1} title`);
+          }
+        });
+        rows.forEach((row, index) => {
+          maxLength(row.id, WHATSAPP_LIMITS.rowId, `row ${index + 1} id`);
+          maxLength(row.title, WHATSAPP_LIMITS.rowTitle, `row ${index + 1} title`);
+          optionalMaxLength(row.description || undefined, WHATSAPP_LIMITS.rowDescription, `row ${index + 1} description`);
+        });
+        unique(rows.map(row => row.id), 'list row ids');
+      } else if (interactive.type === 'cta_url') {
+        maxLength(action.parameters?.display_text, WHATSAPP_LIMITS.ctaDisplayText, 'cta_url display_text');
+        check(/^https?:\/\/\S+$/.test(action.parameters?.url || ''), 'cta_url url must be an http(s) URL');
+      } else if (interactive.type === 'product_list') {
+        check(!!action.catalog_id, 'product_list catalog_id is required');
+        check((action.sections || []).length > 0, 'product_list must have at least one section');
+      } else {
+        problems.push(`Unsupported interactive type '${interactive.type}'`);
+      }
+      break;
+    }
+
+    case 'image':
+    case 'document':
+    case 'audio':
+    case 'video':
+    case 'sticker': {
+      const media = payload[payload.type] || {};
+      check(!!media.id !== !!media.link, `${payload.type} needs exactly one of id or link`);
+      if (media.link) {
+        check(/^https?:\/\/\S+$/.test(media.link), `${payload.type} link must be an http(s) URL`);
+      }
+      if (media.caption !== undefined) {
+        check(['image', 'document', 'video'].includes(payload.type), `${payload.type} messages can't have a caption`);
+        maxLength(media.caption, WHATSAPP_LIMITS.caption, `${payload.type} caption`);
+      }
+      if (media.filename !== undefined) {
+        check(payload.type === 'document', 'only documents have a filename');
+        maxLength(media.filename, WHATSAPP_LIMITS.filename, 'document filename');
+      }
+      break;
+    }
+
+    case 'location': {
+      const { latitude, longitude } = payload.location || {};
+      check(typeof latitude === 'number' && latitude >= -90 && latitude <= 90, 'location latitude must be between -90 and 90');
+      check(typeof longitude === 'number' && longitude >= -180 && longitude <= 180, 'location longitude must be between -180 and 180');
+      break;
+    }
+
+    case 'template':
+      maxLength(payload.template?.name, WHATSAPP_LIMITS.templateName, 'template name');
+      check(/^[a-z0-9_]+$/.test(payload.template?.name || ''), 'template name may only contain lowercase letters, digits and underscores');
+      check(!!payload.template?.language?.code, 'template language code is required');
+      break;
+
+    case 'reaction':
+      check(!!payload.reaction?.message_id, 'reaction message_id is required');
+      check(typeof payload.reaction?.emoji === 'string', 'reaction emoji must be a string (empty removes the reaction)');
+      break;
+
+    default:
+      problems.push(`Unsupported message type '${payload?.type}'`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validate and POST a payload to /{phone-number-id}/messages
+ * @param {string} to - Recipient phone number
+ * @param {object} payload - Graph API payload (`to` and `messaging_product` are filled in)
+ * @param {object} credentials - Number to send from ({ phoneNumberId, accessToken }),
+ *   defaults to META_PHONE_NUMBER_ID / META_ACCESS_TOKEN
+ * @returns {Promise<object>} { wamid, response }
+ */
+export async function sendPayload(to, payload, credentials = {}) {
+  const phoneNumberId = credentials.phoneNumberId || process.env.META_PHONE_NUMBER_ID;
+  const accessToken = credentials.accessToken || process.env.META_ACCESS_TOKEN;
+
+  // formatWhatsAppResponse() adds our own metadata - not a Graph API field
+  const { metadata, ...graphPayload } = payload;
+  const body = { messaging_product: 'whatsapp', recipient_type: 'individual', ...graphPayload, to };
+
+  const problems = validateMessagePayload(body);
+  if (problems.length > 0) {
+    logger.warn('Rejected invalid WhatsApp message', { to, type: body.type, problems });
+    const error = new AppError(`Invalid WhatsApp ${body.type || ''} message: ${problems.join('; ')}`, 400);
+    error.code = 'INVALID_WHATSAPP_MESSAGE';
+    error.details = problems;
+    throw error;
+  }
+
+  // Never to an opted-out recipient (whoever sends it - campaigns, follow-ups,
+  // window fallbacks); exists, is approved and gets the parameters it expects
+  if (body.type === 'template') {
+    const brand = resolveWhatsAppNumber({ phoneNumberId })?.brand;
+    await assertRecipientCanMessage(to, { brand, message: { type: 'template' } });
+    await checkTemplateSend(body.template, { phoneNumberId });
+  }
+
+  if (!phoneNumberId || !accessToken) {
+    logger.error('Meta WhatsApp API credentials not configured', {
+      hasPhoneNumberId: !!phoneNumberId,
+      hasAccessToken: !!accessToken
+    });
+    throw new Error('WhatsApp API credentials not configured');
+  }
+
+  // Paced per number; retried if Meta throttles it
+  return dispatchSend(phoneNumberId, to, () => postMessage(to, body, phoneNumberId, accessToken));
+}
+
+/**
+ * POST a validated payload to /{phone-number-id}/messages (one attempt)
+ */
+async function postMessage(to, body, phoneNumberId, accessToken) {
+  try {
+    const response = await fetch(getGraphApiUrl(`${phoneNumberId}/messages`), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    const responseData = await response.json();
+
+    if (!response.ok) {
+      logger.error('Failed to send WhatsApp message', {
+        status: response.status,
+        statusText: response.statusText,
+        error: responseData
+      });
+      const error = new AppError(`WhatsApp API error: ${responseData.error?.message || response.statusText}`, 502);
+      error.code = 'WHATSAPP_API_ERROR';
+      error.metaCode = responseData.error?.code || null; // e.g. 131047, 130429
+      error.httpStatus = response.status;
+      error.details = responseData.error || null;
+      throw error;
+    }
+
+    const wamid = responseData.messages?.[0]?.id || null;
+    logger.info('WhatsApp message sent successfully', {
+      to,
+      type: body.type,
+      messageId: wamid,
+      phoneNumberId
+    });
+
+    return { wamid, response: responseData };
+  } catch (error) {
+    logger.error('Error sending WhatsApp message', {
+      to,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
+/**
+ * Mark a customer message (and every earlier one) as read - blue ticks
+ * Not paced by the dispatcher: it's a status update, not a message.
+ * @param {string} messageId - wamid of the customer's message
+ * @param {object} credentials - Number the message was sent to ({ phoneNumberId, accessToken })
+ * @param {object} options - { typing: true } to also show the typing indicator
+ * @returns {Promise<boolean>} Whether Meta accepted it (failures are logged, not thrown)
+ */
+export async function markAsRead(messageId, credentials = {}, { typing = false } = {}) {
+  const phoneNumberId = credentials.phoneNumberId || process.env.META_PHONE_NUMBER_ID;
+  const accessToken = credentials.accessToken || process.env.META_ACCESS_TOKEN;
+
+  if (!messageId || !phoneNumberId || !accessToken) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(getGraphApiUrl(`${phoneNumberId}/messages`), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        status: 'read',
+        message_id: messageId,
+        ...(typing ? { typing_indicator: { type: 'text' } } : {})
+      })
+    });
+
+    if (!response.ok) {
+      const responseData = await response.json().catch(() => ({}));
+      logger.warn('Failed to mark WhatsApp message as read', {
+        messageId,
+        status: response.status,
+        error: responseData.error?.message
+      });
+      return false;
+    }
+    return true;
+  } catch (error) {
+    logger.warn('Error marking WhatsApp message as read', { messageId, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Mark a message as read and keep the typing indicator up until stopped
+ * @param {string} messageId - wamid of the customer's latest message
+ * @param {object} credentials - { phoneNumberId, accessToken }
+ * @param {object} options - { typing: false } for blue ticks only
+ * @returns {Function} stop() - call before sending the reply (safe to call twice)
+ */
+export function startTypingIndicator(messageId, credentials = {}, { typing = true } = {}) {
+  markAsRead(messageId, credentials, { typing });
+  if (!typing) {
+    return () => {};
+  }
+
+  const timer = setInterval(() => markAsRead(messageId, credentials, { typing: true }), TYPING_INDICATOR_REFRESH_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Whether free-form messages are allowed, given the customer's last message time
+ * @param {string|Date|null} lastInboundAt - whatsapp_sessions.last_inbound_at
+ * @param {number} now - Current time (ms)
+ * @returns {object} { open, expiresAt }
+ */
+export function getServiceWindow(lastInboundAt, now = Date.now()) {
+  if (!lastInboundAt) {
+    return { open: false, expiresAt: null };
+  }
+
+  const expiresAt = new Date(lastInboundAt).getTime() + CUSTOMER_SERVICE_WINDOW_MS;
+  return {
+    open: now < expiresAt - WINDOW_SAFETY_MARGIN_MS,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+/**
+ * Fill {{placeholders}} in template parameters
+ * Meta rejects parameters with newlines, tabs or more than 4 spaces in a row.
+ * @param {Array<string|object>} parameters - Template body parameters, e.g. ['{{customer_name}}', '{{message}}']
+ * @param {object} variables - Placeholder values
+ * @returns {Array<object>} Graph API body parameters
+ */
+export function renderTemplateParameters(parameters = [], variables = {}) {
+  return parameters.map(param => {
+    if (typeof param !== 'string') return param;
+
+    const text = param
+      .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (variables[name] ?? '').toString())
+      .replace(/[\r\n\t]+/g, ' ')
+      .replace(/ {5,}/g, '    ')
+      .trim();
+
+    return { type: 'text', text: text || '-' };
+  });
+}
+
+/**
+ * Registry entry for the number a message is sent from
+ */
+function getSendingNumber(credentials, brand) {
+  if (credentials.phoneNumberId) {
+    const number = resolveWhatsAppNumber({ phoneNumberId: credentials.phoneNumberId });
+    if (number?.phoneNumberId === String(credentials.phoneNumberId)) return number;
+  }
+  return brand ? getWhatsAppNumberForBrand(brand) : resolveWhatsAppNumber();
+}
+
+/**
+ * Send the brand's approved template instead of a free-form message,
+ * or refuse when the brand has none
+ */
+async function sendOutsideWindow(to, message, credentials, { template, variables, lastInboundAt, expiresAt }) {
+  if (!template?.name) {
+    const error = new AppError('Customer service window closed: the customer has not messaged in the last 24 hours and no template is configured', 422);
+    error.code = 'OUTSIDE_CUSTOMER_SERVICE_WINDOW';
+    error.details = { lastInboundAt: lastInboundAt || null, windowExpiredAt: expiresAt || null };
+    throw error;
+  }
+
+  logger.info('Customer service window closed - sending template instead', {
+    to,
+    template: template.name,
+    lastInboundAt
+  });
+
+  const result = await sendPayload(to, buildMessagePayload(to, {
+    type: 'template',
+    name: template.name,
+    language: template.language,
+    ...(template.components
+      ? { components: template.components }
+      : { parameters: renderTemplateParameters(template.parameters, {
+        message: message.text || message.caption || '',
+        ...variables
+      }) })
+  }), credentials);
+
+  return { ...result, template: template.name };
+}
+
+/**
+ * Send a message described by type (see module comment)
+ * Free-form messages outside the customer service window are sent as the
+ * brand's window template, or refused with code OUTSIDE_CUSTOMER_SERVICE_WINDOW.
+ * @param {string} to - Recipient phone number
+ * @param {object} message - Message description
+ * @param {object} credentials - { phoneNumberId, accessToken }
+ * @param {object} options - Window handling
+ * @param {string} options.brand - Brand of the conversation (defaults to the sending number's)
+ * @param {object|false} options.template - Template to fall back to instead of the brand's windowTemplate (false for none)
+ * @param {object} options.variables - Extra values for template {{placeholders}}
+ * @param {boolean} options.enforceWindow - false to skip the window check (Meta still enforces it)
+ * @returns {Promise<object>} { wamid, response, template } - template is set when the fallback was used
+ */
+export async function sendMessage(to, message, credentials = {}, options = {}) {
+  const payload = buildMessagePayload(to, message);
+  if (message.type === 'template' || options.enforceWindow === false) {
+    return { ...(await sendPayload(to, payload, credentials)), template: message.type === 'template' ? message.name : null };
+  }
+
+  const number = getSendingNumber(credentials, options.brand);
+  const brand = options.brand || number?.brand || 'proxe';
+  const template = options.template === false ? null : (options.template || number?.windowTemplate || null);
+
+  // No session means the customer never messaged this brand - the window is closed
+  let session = null;
+  let windowKnown = false;
+  try {
+    session = await getWhatsAppSessionByExternalId(to, brand);
+    windowKnown = true;
+  } catch (error) {
+    // Can't tell - let Meta decide, and fall back below if it refuses
+    logger.warn('Could not check customer service window', { to, brand, error: error.message });
+  }
+
+  const variables = { customer_name: session?.customer_name || '', phone: to, brand, ...options.variables };
+  const window = getServiceWindow(session?.last_inbound_at);
+
+  if (windowKnown && !window.open) {
+    return sendOutsideWindow(to, message, credentials, {
+      template,
+      variables,
+      lastInboundAt: session.last_inbound_at,
+      expiresAt: window.expiresAt
+    });
+  }
+
+  try {
+    return { ...(await sendPayload(to, payload, credentials)), template: null };
+  } catch (error) {
+    // Our records said the window was open (or we had none) but Meta disagrees
+    if (error.metaCode === META_OUTSIDE_WINDOW_ERROR) {
+      return sendOutsideWindow(to, message, credentials, {
+        template,
+        variables,
+        lastInboundAt: session?.last_inbound_at,
+        expiresAt: window.expiresAt
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Message descriptions for a text reply with optional reply buttons or list
+ * Long text is split into several messages (see splitMessageText) with the
+ * buttons or list on the last one. Labels are cut to Meta's 20 characters, as
+ * Claude's button labels can run long.
+ * @param {string} text - Reply text
+ * @param {Array<string>} buttons - Optional button labels (used when there are 1-3)
+ * @param {object} list - Optional list instead of buttons ({ buttonText, options: [{ id, title, description }] })
+ * @returns {Array<object>} Messages for sendMessage(), in sending order
+ */
+export function buildReplyMessages(text, buttons = null, list = null) {
+  const useList = Boolean(list?.options?.length);
+  const useButtons = !useList && buttons && buttons.length > 0 && buttons.length <= WHATSAPP_LIMITS.replyButtons;
+  const chunks = splitMessageText(text, {
+    maxLength: WHATSAPP_LIMITS.textBody,
+    lastMaxLength: useButtons || useList ? WHATSAPP_LIMITS.interactiveBody : WHATSAPP_LIMITS.textBody
+  });
+  if (chunks.length === 0) {
+    chunks.push(text || '');
+  }
+
+  return chunks.map((chunk, index) => {
+    if (!(useButtons || useList) || index < chunks.length - 1) {
+      return { type: 'text', text: chunk };
+    }
+    if (useList) {
+      return { type: 'list', text: chunk, buttonText: list.buttonText, sections: [{ rows: list.options }] };
+    }
+    return {
+      type: 'buttons',
+      text: chunk,
+      buttons: buttons.map((label, buttonIndex) => ({
+        id: `btn_${buttonIndex + 1}`,
+        title: label.length > WHATSAPP_LIMITS.buttonTitle ? label.substring(0, WHATSAPP_LIMITS.buttonTitle) : label
+      }))
+    };
+  });
+}
+
+/**
+ * Send a text reply, split into as many messages as it needs
+ * Stops after the first message if the window was closed and a template was
+ * sent instead - the template already carries the reply.
+ * @param {string} to - Recipient phone number
+ * @param {string} text - Reply text
+ * @param {Array<string>} buttons - Optional button labels
+ * @param {object} credentials - Number to send from ({ phoneNumberId, accessToken })
+ * @param {object} options - Window handling, as for sendMessage(), and `list` to send
+ *   list options instead of buttons (see buildReplyMessages)
+ * @returns {Promise<object>} { wamid, wamids, response, template } - wamid/response of the last message sent
+ * @throws {Error} If a message fails; error.wamids lists the messages sent before it
+ */
+export async function sendReply(to, text, buttons = null, credentials = {}, { list = null, ...options } = {}) {
+  const wamids = [];
+  let result = null;
+
+  for (const message of buildReplyMessages(text, buttons, list)) {
+    try {
+      result = await sendMessage(to, message, credentials, options);
+    } catch (error) {
+      // The customer already has the first part - the caller must not send it again
+      error.wamids = [...wamids];
+      throw error;
+    }
+    wamids.push(result.wamid);
+    if (result.template) break;
+  }
+
+  return { wamid: result.wamid, wamids, response: result.response, template: result.template };
+}
+
+/**
+ * Send WhatsApp message via Meta API
+ * Text, or reply buttons when 1-3 labels are given (see sendReply).
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message text to send
+ * @param {Array<string>} buttons - Optional array of button labels
+ * @param {object} credentials - Number to send from ({ phoneNumberId, accessToken }),
+ *   defaults to META_PHONE_NUMBER_ID / META_ACCESS_TOKEN
+ * @param {object} options - Window handling, as for sendMessage()
+ * @returns {Promise<Object>} - API response (of the last message, if the text was split)
+ */
+export async function sendWhatsAppMessage(to, message, buttons = null, credentials = {}, options = {}) {
+  const { response } = await sendReply(to, message, buttons, credentials, options);
+  return response;
+}
@@ -168,6 +168,26 @@ export async function incrementSessionMessageCount(sessionId) {
   }
 }
 
+/**
+ * Record when the customer last messaged us
+ * Opens Meta's 24-hour customer service window (see whatsappClient.js).
+ * Never moves the timestamp backwards, so late or retried jobs are harmless.
+ * @param {string} sessionId - Session UUID
+ * @param {string} receivedAt - ISO timestamp of the customer's message
+ */
+export async function recordInboundMessage(sessionId, receivedAt = new Date().toISOString()) {
+  const { error } = await supabase
+    .from('whatsapp_sessions')
+    .update({ last_inbound_at: receivedAt })
+    .eq('id', sessionId)
+    .or(`last_inbound_at.is.null,last_inbound_at.lt.${receivedAt}`);
+
+  if (error) {
+    logger.error('Error recording inbound message time:', error);
+    throw error;
+  }
+}
+
 /**
  * Link WhatsApp session to lead
  * @param {string} sessionId - Session UUID